@@ -16,9 +16,6 @@ dotenv.config({ path: path.join(__dirname, '..', '.env') });
 const requiredEnvVars = {
   MONGODB_URI: process.env.MONGODB_URI,
   JWT_SECRET: process.env.JWT_SECRET,
-  CLOUDINARY_CLOUD_NAME: process.env.CLOUDINARY_CLOUD_NAME,
-  CLOUDINARY_API_KEY: process.env.CLOUDINARY_API_KEY,
-  CLOUDINARY_API_SECRET: process.env.CLOUDINARY_API_SECRET,
 };
 
 const missingVars = Object.entries(requiredEnvVars)
@@ -39,6 +36,51 @@ if (requiredEnvVars.JWT_SECRET === 'dev-secret-change-me' || requiredEnvVars.JWT
   process.exit(1);
 }
 
+const isDevelopment = process.env.NODE_ENV !== 'production';
+
+// The console transport writes reset and verification codes to the logs, so outside development
+// a real transport has to be chosen (and registered, see utils/mailTransport.js)
+const mailTransport = process.env.MAIL_TRANSPORT || (isDevelopment ? 'console' : null);
+if (!mailTransport || (!isDevelopment && mailTransport === 'console')) {
+  console.error('❌ MAIL_TRANSPORT must be set to a transport that delivers mail when NODE_ENV=production');
+  process.exit(1);
+}
+
+// Same for emergency contacts: escalations must reach them, not just the logs
+const contactTransport = process.env.CONTACT_NOTIFY_TRANSPORT || (isDevelopment ? 'console' : null);
+if (!contactTransport || (!isDevelopment && contactTransport === 'console')) {
+  console.error('❌ CONTACT_NOTIFY_TRANSPORT must be set to a transport that delivers messages when NODE_ENV=production');
+  process.exit(1);
+}
+
+// Media storage provider. In development, setups that only set Cloudinary credentials keep
+// using Cloudinary; outside development the provider must be chosen explicitly.
+const storageProvider = process.env.STORAGE_PROVIDER ||
+  (isDevelopment ? (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local') : null);
+if (!storageProvider) {
+  console.error('❌ STORAGE_PROVIDER must be set when NODE_ENV=production');
+  process.exit(1);
+}
+
+const requiredStorageVars = {
+  cloudinary: ['CLOUDINARY_CLOUD_NAME', 'CLOUDINARY_API_KEY', 'CLOUDINARY_API_SECRET'],
+  s3: ['S3_BUCKET'],
+  local: isDevelopment ? [] : ['STORAGE_PUBLIC_BASE_URL'], // The default points at localhost
+}[storageProvider] || [];
+
+const missingStorageVars = requiredStorageVars.filter((varName) => !process.env[varName]);
+if (missingStorageVars.length > 0) {
+  console.error(`❌ Missing environment variables for the ${storageProvider} storage provider:`);
+  missingStorageVars.forEach(varName => console.error(`   - ${varName}`));
+  process.exit(1);
+}
+
+// Comma-separated ring radii in km, smallest first. Returns null if none are valid.
+const parseRingRadii = (value) => {
+  const radii = (value || '').split(',').map(parseFloat).filter((km) => km > 0).sort((a, b) => a - b);
+  return radii.length > 0 ? radii : null;
+};
+
 // Get allowed origins from environment variable
 const allowedOrigins = process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000', 'http://localhost:19006'];
 
@@ -59,16 +101,102 @@ export const config = {
   },
   jwt: {
     secret: requiredEnvVars.JWT_SECRET,
-    expiresIn: '7d',
+    accessTokenExpiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m', // Short-lived, paired with refresh tokens
+    refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
   },
-  cloudinary: {
-    cloud_name: requiredEnvVars.CLOUDINARY_CLOUD_NAME,
-    api_key: requiredEnvVars.CLOUDINARY_API_KEY,
-    api_secret: requiredEnvVars.CLOUDINARY_API_SECRET,
+  storage: {
+    provider: storageProvider, // 'local' | 's3' | 'cloudinary' | any registered provider
+    local: {
+      dir: process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', 'media'),
+      mountPath: '/media', // Where the backend serves the directory
+      publicBaseUrl: process.env.STORAGE_PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 4000}/media`,
+    },
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT, // For S3-compatible stores (MinIO, R2, ...)
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      publicBaseUrl: process.env.S3_PUBLIC_BASE_URL, // e.g. a CDN in front of the bucket
+    },
+    cloudinary: {
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET,
+    },
   },
   cors: {
     allowedOrigins,
   },
-  isDevelopment: process.env.NODE_ENV !== 'production',
+  mail: {
+    transport: mailTransport, // 'console' | 'file' | any registered transport
+    from: process.env.MAIL_FROM || 'no-reply@women-safety.app',
+    outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox'),
+  },
+  uploads: {
+    // Resumable uploads (init / chunk / finalize) for evidence too large for one request
+    maxBytes: parseInt(process.env.UPLOAD_MAX_BYTES) || 100 * 1024 * 1024, // Held in memory once while finalizing
+    maxOpenSessions: parseInt(process.env.UPLOAD_MAX_OPEN_SESSIONS) || 3, // Per user, live audio streams included
+    maxChunkBytes: parseInt(process.env.UPLOAD_MAX_CHUNK_BYTES) || 5 * 1024 * 1024, // Chunks are stored as MongoDB documents
+    sessionTtlHours: parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24, // Since the last chunk
+    finalizeTimeoutMinutes: parseInt(process.env.UPLOAD_FINALIZE_TIMEOUT_MINUTES) || 10, // A stuck finalize can be retried after this
+    cleanupIntervalMinutes: parseInt(process.env.UPLOAD_CLEANUP_INTERVAL_MINUTES) || 60,
+  },
+  liveAudio: {
+    // Audio streamed over the socket during an open incident, relayed to guardians and saved as a recording
+    maxChunkBytes: parseInt(process.env.LIVE_AUDIO_MAX_CHUNK_BYTES) || 256 * 1024,
+    maxBytes: parseInt(process.env.LIVE_AUDIO_MAX_BYTES) || 100 * 1024 * 1024, // Per stream
+    idleTimeoutSeconds: parseInt(process.env.LIVE_AUDIO_IDLE_TIMEOUT_SECONDS) || 120, // Saved after this long without a chunk
+    checkIntervalSeconds: parseInt(process.env.LIVE_AUDIO_CHECK_INTERVAL_SECONDS) || 30, // How often idle streams are looked for
+    attentionAfterAttempts: parseInt(process.env.LIVE_AUDIO_ATTENTION_AFTER_ATTEMPTS) || 5, // Failed saves before a stream is flagged; retries go on
+    maxRetryDelayMinutes: parseInt(process.env.LIVE_AUDIO_MAX_RETRY_DELAY_MINUTES) || 30,
+  },
+  nearby: {
+    staleLocationMinutes: parseInt(process.env.NEARBY_STALE_LOCATION_MINUTES) || 30, // Ignore users not seen recently
+    maxSosRecipients: parseInt(process.env.SOS_MAX_RECIPIENTS) || 200,
+  },
+  sosBroadcast: {
+    // SOS alerts start with the smallest ring and expand outwards on a schedule
+    ringRadiiKm: parseRingRadii(process.env.SOS_RING_RADII_KM) || [0.5, 1, 2, 5, 10],
+    ringIntervalSeconds: parseInt(process.env.SOS_RING_INTERVAL_SECONDS) || 60,
+    targetAcknowledgements: parseInt(process.env.SOS_TARGET_ACKNOWLEDGEMENTS) || 3, // Stop expanding once this many respond
+    checkIntervalSeconds: parseInt(process.env.SOS_RING_CHECK_INTERVAL_SECONDS) || 10,
+  },
+  locationHistory: {
+    retentionDays: parseFloat(process.env.LOCATION_HISTORY_RETENTION_DAYS) || 30,
+  },
+  contactNotifications: {
+    transport: contactTransport, // 'console' | 'file' | any registered transport
+    outboxDir: process.env.CONTACT_OUTBOX_DIR || path.join(__dirname, '..', 'sms-outbox'),
+  },
+  journey: {
+    // Defaults for journeys that do not set their own values
+    deviationThresholdMeters: parseInt(process.env.JOURNEY_DEVIATION_THRESHOLD_METERS) || 200,
+    deviationGraceMinutes: parseInt(process.env.JOURNEY_DEVIATION_GRACE_MINUTES) || 5,
+    overdueGraceMinutes: parseInt(process.env.JOURNEY_OVERDUE_GRACE_MINUTES) || 10, // Slack after the expected arrival
+    stationaryMinutes: parseInt(process.env.JOURNEY_STATIONARY_MINUTES) || 15, // Stop away from the destination before prompting
+    checkIntervalSeconds: parseInt(process.env.JOURNEY_CHECK_INTERVAL_SECONDS) || 30,
+    maxDurationHours: parseInt(process.env.JOURNEY_MAX_HOURS) || 24,
+  },
+  heartbeat: {
+    checkIntervalSeconds: parseInt(process.env.HEARTBEAT_CHECK_INTERVAL_SECONDS) || 60,
+    defaultWindowMinutes: parseInt(process.env.HEARTBEAT_DEFAULT_WINDOW_MINUTES) || 15,
+  },
+  checkIns: {
+    checkIntervalSeconds: parseInt(process.env.CHECKIN_CHECK_INTERVAL_SECONDS) || 30,
+    maxDurationHours: parseInt(process.env.CHECKIN_MAX_HOURS) || 24,
+  },
+  share: {
+    maxDurationHours: parseInt(process.env.SHARE_LINK_MAX_HOURS) || 24,
+    // Web page that renders a shared location; the token is appended as the last path segment
+    viewerBaseUrl: process.env.SHARE_VIEWER_BASE_URL || 'http://localhost:3000/share',
+  },
+  incidents: {
+    // Triggers within this window attach to the user's open incident instead of opening a new one
+    attachWindowMinutes: parseInt(process.env.INCIDENT_ATTACH_WINDOW_MINUTES) || 30,
+    timelineLeadMinutes: parseInt(process.env.INCIDENT_TIMELINE_LEAD_MINUTES) || 15, // Timeline starts this long before the incident
+  },
+  isDevelopment,
 };
 
@@ -1,4 +1,3 @@
-import { v2 as cloudinary } from 'cloudinary';
 import cors from 'cors';
 import express from 'express';
 import { createServer } from 'http';
@@ -6,16 +5,39 @@ import mongoose from 'mongoose';
 import morgan from 'morgan';
 import { Server } from 'socket.io';
 import { config } from './config/index.js';
+import { startCheckInMonitor } from './jobs/checkInMonitor.js';
+import { startHeartbeatMonitor } from './jobs/heartbeatMonitor.js';
+import { startJourneyMonitor } from './jobs/journeyMonitor.js';
+import { startLiveAudioMonitor } from './jobs/liveAudioMonitor.js';
+import { startSosRingMonitor } from './jobs/sosRingMonitor.js';
+import { startUploadCleanup } from './jobs/uploadCleanup.js';
 import { createAuthenticate, createAuthenticateSocket } from './middleware/auth.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
+import { Guardianship } from './models/Guardianship.js';
+import { LocationFix } from './models/LocationFix.js';
+import { Session } from './models/Session.js';
 import { User } from './models/User.js';
 import { createAccountRoutes } from './routes/accounts.js';
 import { createAlertRoutes } from './routes/alerts.js';
 import { createAuthRoutes } from './routes/auth.js';
+import { createCheckInRoutes } from './routes/checkIns.js';
 import { createEmergencyRoutes } from './routes/emergency.js';
+import { createIncidentRoutes } from './routes/incidents.js';
 import { createJourneyRoutes } from './routes/journey.js';
 import { createMissingPosterRoutes } from './routes/missingPosters.js';
+import { createPairingRoutes } from './routes/pairing.js';
+import { createSafeZoneRoutes } from './routes/safeZones.js';
+import { createPublicShareRoutes, createShareLinkRoutes } from './routes/shareLinks.js';
 import { safeLog } from './utils/logger.js';
+import { createContactNotifier } from './utils/contactNotifier.js';
+import { createLiveShareHub } from './utils/liveShare.js';
+import { touchUserSeen } from './utils/heartbeat.js';
+import { registerTimelineHandlers, startIncidentTimelineFeed } from './utils/incidentTimeline.js';
+import { registerLiveAudioHandlers } from './utils/liveAudio.js';
+import { createMailTransport } from './utils/mailTransport.js';
+import { createMediaStorage } from './utils/mediaStorage.js';
+import { registerResponderHandlers } from './utils/responders.js';
+import { sessionRoom } from './utils/sessions.js';
 
 const app = express();
 const httpServer = createServer(app);
@@ -24,17 +46,17 @@ const httpServer = createServer(app);
 // This allows Express to trust the X-Forwarded-For header for accurate client IP detection
 app.set('trust proxy', true);
 
-// Configure Cloudinary
-cloudinary.config(config.cloudinary);
+// Media storage for evidence uploads (local disk, S3-compatible or Cloudinary)
+const mediaStorage = createMediaStorage(config.storage);
 
-// Test Cloudinary connection function
-const testCloudinary = async () => {
-  try {
-    await cloudinary.api.ping();
-    console.log('✅ Cloudinary connected');
-  } catch (error) {
-    console.error('❌ Cloudinary connection error:', error.message);
-    console.log('⚠️  Cloudinary uploads may fail. Please check your credentials.');
+// Test the media storage connection
+const testStorage = async () => {
+  const health = await mediaStorage.checkHealth();
+  if (health.status === 'healthy') {
+    console.log(`✅ Media storage ready (${health.provider})`);
+  } else {
+    console.error(`❌ Media storage (${health.provider}) error:`, health.error);
+    console.log('⚠️  Evidence uploads may fail. Please check the storage configuration.');
   }
 };
 
@@ -50,12 +72,18 @@ const io = new Server(httpServer, {
   },
 });
 
+// Outgoing mail (password reset, email verification)
+const mailTransport = createMailTransport(config.mail);
+// Outgoing messages to emergency contacts
+const contactNotifier = createContactNotifier(config.contactNotifications);
+
 // Create authentication middleware
-const authenticate = createAuthenticate(config.jwt.secret, User);
-const authenticateSocket = createAuthenticateSocket(config.jwt.secret, User);
+const authenticate = createAuthenticate(config.jwt.secret, User, Session);
+const authenticateSocket = createAuthenticateSocket(config.jwt.secret, User, Session);
 
 // Middleware - CORS configuration
-app.use(cors({
+// Public share links are opened from arbitrary browsers and set their own CORS policy
+const appCors = cors({
   origin: function (origin, callback) {
     // Allow requests with no origin (mobile apps, curl, etc.)
     if (!origin) return callback(null, true);
@@ -66,7 +94,8 @@ app.use(cors({
     }
   },
   credentials: true,
-}));
+});
+app.use((req, res, next) => (req.path.startsWith('/api/public/') ? next() : appCors(req, res, next)));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -80,6 +109,7 @@ app.use(morgan(morganFormat, {
 // Rate limiting
 let authLimiter = (req, res, next) => next(); // Default: no rate limiting
 let apiLimiter = (req, res, next) => next(); // Default: no rate limiting
+let refreshLimiter = (req, res, next) => next(); // Default: no rate limiting
 
 try {
   // Dynamic import for ES modules
@@ -106,11 +136,14 @@ try {
         'emergency/sos-broadcast',
         'emergency/upload-image',
         'emergency/upload-audio',
+        'emergency/uploads',
         'accounts/location',
         'accounts/contacts',
-        // Auth endpoints (they have their own email-based rate limiting)
+        // Auth endpoints (they have their own rate limiters)
         'auth/register',
         'auth/login',
+        'auth/password-reset',
+        'auth/refresh',
       ];
 
       // Check if path matches any skip pattern
@@ -154,6 +187,17 @@ try {
     },
   });
 
+  // Token refresh rate limiter (IP-based: the request carries no email, only the token being guessed)
+  // Looser than authLimiter because every signed-in app refreshes each access token lifetime
+  refreshLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 30, // 30 refreshes per window per IP
+    message: 'Too many token refresh attempts from this IP, please try again later.',
+    standardHeaders: true,
+    legacyHeaders: false,
+    // Default key generator: client IP, with IPv6 addresses grouped by subnet
+  });
+
   // Apply general rate limiting to all API routes
   app.use('/api/', apiLimiter);
 
@@ -167,38 +211,62 @@ try {
 // WebSocket authentication and connection handling
 io.use(authenticateSocket);
 
-io.on('connection', (socket) => {
+// Public viewers of share links connect to the /share namespace with the share token
+const shareHub = createLiveShareHub(io);
+// Location and battery changes feed open incident timelines
+startIncidentTimelineFeed(io);
+
+io.on('connection', async (socket) => {
   const userId = socket.userId;
   connectedUsers.set(userId, socket.id);
   safeLog.info(`[WebSocket] User connected`, { userId, socketId: socket.id });
 
+  socket.on('disconnect', () => {
+    connectedUsers.delete(userId);
+    touchUserSeen(io, userId);
+    safeLog.info(`[WebSocket] User disconnected`, { userId });
+  });
+
+  // Socket activity counts as a heartbeat for the silent-device monitor
+  touchUserSeen(io, userId);
+  socket.on('heartbeat', () => touchUserSeen(io, userId));
+
+  // Nearby users answering an SOS they were sent
+  registerResponderHandlers(io, socket, () => User.findById(userId).select('name responderProfile.volunteer'));
+
+  // Guardians (and the user) following an incident's timeline live
+  registerTimelineHandlers(socket);
+
+  // Audio streamed from the phone during an SOS, relayed to guardians and saved as a recording
+  registerLiveAudioHandlers(io, socket, mediaStorage);
+
   // Join user's room for targeted updates
   socket.join(`user:${userId}`);
 
-  // Join parent's room if user is a child (for receiving parent updates)
-  if (socket.user.parentId) {
-    const parentIdStr = socket.user.parentId.toString();
-    socket.join(`parent:${parentIdStr}`);
-    safeLog.info(`[WebSocket] Child joined parent room`, { userId, parentId: parentIdStr });
-  }
+  // Join session room so revoking the session can disconnect this socket
+  socket.join(sessionRoom(socket.sessionId));
 
-  // Join children's rooms if user is a parent (for sending updates to children)
-  if (socket.user.children && socket.user.children.length > 0) {
-    socket.user.children.forEach((childId) => {
-      const childIdStr = childId.toString();
-      socket.join(`child:${childIdStr}`);
-    });
-    safeLog.info(`[WebSocket] Parent joined child rooms`, { userId, childrenCount: socket.user.children.length });
-  }
+  // Join own parent room - guardian alerts about this user's children are sent to parent:${userId}.
+  // Children must NOT join their parent's room, otherwise alerts about them (e.g. a duress
+  // alarm) would also be delivered to their own phone.
+  socket.join(`parent:${userId}`);
 
   // IMPORTANT: Every user should join their own child room
   // This ensures parent can send updates to this child via child:${userId}
   socket.join(`child:${userId}`);
 
-  socket.on('disconnect', () => {
-    connectedUsers.delete(userId);
-    safeLog.info(`[WebSocket] User disconnected`, { userId });
-  });
+  // Join children's rooms if user is a guardian (for sending updates to children)
+  try {
+    const childIds = await Guardianship.find({ guardianId: userId }).distinct('childId');
+    childIds.forEach((childId) => {
+      socket.join(`child:${childId.toString()}`);
+    });
+    if (childIds.length > 0) {
+      safeLog.info(`[WebSocket] Parent joined child rooms`, { userId, childrenCount: childIds.length });
+    }
+  } catch (err) {
+    safeLog.error('[WebSocket] Failed to join child rooms', err);
+  }
 });
 
 // Health check with comprehensive dependency checks
@@ -236,17 +304,9 @@ app.get('/api/health', async (_req, res) => {
     healthStatus.status = 'unhealthy';
   }
 
-  // Check Cloudinary connection
-  try {
-    await cloudinary.api.ping();
-    healthStatus.dependencies.cloudinary = {
-      status: 'healthy',
-    };
-  } catch (error) {
-    healthStatus.dependencies.cloudinary = {
-      status: 'unhealthy',
-      error: error.message,
-    };
+  // Check the configured media storage provider
+  healthStatus.dependencies.storage = await mediaStorage.checkHealth();
+  if (healthStatus.dependencies.storage.status !== 'healthy') {
     healthStatus.status = healthStatus.status === 'unhealthy' ? 'unhealthy' : 'degraded';
   }
 
@@ -258,13 +318,24 @@ app.get('/api/health', async (_req, res) => {
 });
 
 // Register routes
-app.use('/api/auth', createAuthRoutes(config.jwt.secret, authLimiter));
-app.use('/api/accounts', createAccountRoutes(authenticate, connectedUsers, io));
+app.use('/api/auth', createAuthRoutes(config.jwt, authLimiter, refreshLimiter, authenticate, io, mailTransport, contactNotifier));
+app.use('/api/accounts', createAccountRoutes(authenticate, connectedUsers, io, config.heartbeat));
+app.use('/api/accounts/children/:childId/zones', createSafeZoneRoutes(authenticate));
+app.use('/api/checkins', createCheckInRoutes(authenticate, io, contactNotifier));
+app.use('/api/incidents', createIncidentRoutes(authenticate, io));
+app.use('/api/share-links', createShareLinkRoutes(authenticate, shareHub));
+app.use('/api/public/share', createPublicShareRoutes(shareHub));
+app.use('/api/pairing', createPairingRoutes(authenticate, io));
 app.use('/api/journey', createJourneyRoutes(authenticate, connectedUsers, io));
-app.use('/api/emergency', createEmergencyRoutes(authenticate, io));
+app.use('/api/emergency', createEmergencyRoutes(authenticate, io, config.nearby, mediaStorage, config.uploads));
 app.use('/api/alerts', createAlertRoutes(authenticate));
 app.use('/api/missing-posters', createMissingPosterRoutes(authenticate));
 
+// Files kept on local disk are served from here (object keys are unguessable)
+if (mediaStorage.localDir) {
+  app.use(config.storage.local.mountPath, express.static(mediaStorage.localDir, { index: false, dotfiles: 'deny' }));
+}
+
 // Error handling middleware (must be last)
 app.use(errorHandler);
 app.use(notFoundHandler);
@@ -306,8 +377,23 @@ const connectWithRetry = async (retries = 5, delay = 5000) => {
       await mongoose.connect(config.mongodb.uri, config.mongodb.options);
       console.log('✅ MongoDB connected');
 
-      // Test Cloudinary connection
-      await testCloudinary();
+      // Keep location history retention in sync with config
+      try {
+        await LocationFix.applyRetention(config.locationHistory.retentionDays);
+      } catch (error) {
+        safeLog.error('Failed to apply location history retention', error);
+      }
+
+      // Background jobs
+      startHeartbeatMonitor(io, connectedUsers, config.heartbeat);
+      startCheckInMonitor(io, contactNotifier, config.checkIns);
+      startJourneyMonitor(io, contactNotifier, config.journey);
+      startSosRingMonitor(io, config.sosBroadcast);
+      startUploadCleanup(config.uploads);
+      startLiveAudioMonitor(io, mediaStorage, config.liveAudio, config.uploads);
+
+      // Test media storage
+      await testStorage();
 
       httpServer.listen(config.port, '0.0.0.0', () => {
         const isProduction = !config.isDevelopment;
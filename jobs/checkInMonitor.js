@@ -0,0 +1,104 @@
+// Escalate safety check-ins whose deadline passed without the user checking in
+
+import { CheckIn } from '../models/CheckIn.js';
+import { User } from '../models/User.js';
+import { mapsLink } from '../utils/contactNotifier.js';
+import { formatLocation } from '../utils/geo.js';
+import { emitToGuardians } from '../utils/guardians.js';
+import { safeLog } from '../utils/logger.js';
+import { startPollingJob } from './scheduler.js';
+
+// An escalation that has not finished by then (the process died, or notifying threw) is retried
+const ESCALATION_LEASE_MS = 2 * 60 * 1000;
+
+// Escalate a single overdue check-in that has already been claimed. It is only marked
+// escalated once everyone has been notified.
+const escalateCheckIn = async (io, contactNotifier, checkIn, escalatedAt) => {
+  const user = await User.findById(checkIn.userId);
+  if (!user) {
+    await CheckIn.updateOne({ _id: checkIn._id, status: 'active' }, { status: 'escalated', escalatedAt, escalationLeaseUntil: null });
+    return;
+  }
+
+  const location = formatLocation(user.currentLocation);
+
+  const guardianIds = await emitToGuardians(io, user._id, 'sos', 'child-checkin-missed', {
+    childId: user._id.toString(),
+    childName: user.name,
+    checkInId: checkIn._id.toString(),
+    deadline: checkIn.deadline,
+    destination: checkIn.destination,
+    note: checkIn.note || null,
+    location,
+    batteryLevel: user.batteryLevel,
+    timestamp: escalatedAt,
+  });
+
+  const link = mapsLink(location);
+  const destination = checkIn.destination?.name || checkIn.destination?.address;
+  const contactsNotified = await contactNotifier.notifyEmergencyContacts(
+    user,
+    `${user.name} did not check in by ${checkIn.deadline.toISOString()}` +
+      (destination ? ` (expected at ${destination})` : '') +
+      '. Please try to reach them.' +
+      (link ? ` Last known location: ${link}` : '')
+  );
+
+  await CheckIn.updateOne(
+    { _id: checkIn._id, status: 'active' },
+    {
+      status: 'escalated',
+      escalatedAt,
+      escalationLeaseUntil: null,
+      guardianNotified: guardianIds.length > 0,
+      contactsNotified,
+    }
+  );
+
+  // Let the user's own devices know so they can check in late
+  io.to(`user:${user._id}`).emit('checkin-escalated', {
+    checkInId: checkIn._id.toString(),
+    escalatedAt,
+  });
+
+  safeLog.warn('[CheckIn] Check-in missed, escalated', {
+    userId: user._id,
+    guardianCount: guardianIds.length,
+    contactsNotified,
+  });
+};
+
+// Find and escalate every overdue check-in
+export const escalateOverdueCheckIns = async (io, contactNotifier) => {
+  const now = new Date();
+
+  const leaseUntil = new Date(now.getTime() + ESCALATION_LEASE_MS);
+
+  for (;;) {
+    // Claim one at a time with a lease so concurrent instances never escalate the same
+    // check-in twice, and a failed escalation comes due again once the lease lapses
+    const checkIn = await CheckIn.findOneAndUpdate(
+      {
+        status: 'active',
+        deadline: { $lte: now },
+        $or: [{ escalationLeaseUntil: null }, { escalationLeaseUntil: { $lte: now } }],
+      },
+      { escalationLeaseUntil: leaseUntil },
+      { new: true, sort: { deadline: 1 } }
+    );
+    if (!checkIn) break;
+
+    try {
+      await escalateCheckIn(io, contactNotifier, checkIn, now);
+    } catch (err) {
+      safeLog.error('[CheckIn] Failed to escalate check-in', err);
+    }
+  }
+};
+
+// Start the periodic overdue check. Returns a stop function.
+export const startCheckInMonitor = (io, contactNotifier, checkInConfig) => startPollingJob({
+  name: 'Check-in monitor',
+  intervalMs: checkInConfig.checkIntervalSeconds * 1000,
+  run: () => escalateOverdueCheckIns(io, contactNotifier),
+});
@@ -0,0 +1,74 @@
+// Dead-man's switch: escalate to guardians when a monitored device goes silent
+
+import { User } from '../models/User.js';
+import { formatLocation } from '../utils/geo.js';
+import { emitToGuardians } from '../utils/guardians.js';
+import { markUserSeen } from '../utils/heartbeat.js';
+import { safeLog } from '../utils/logger.js';
+import { startPollingJob } from './scheduler.js';
+
+// Users being monitored (active journey or monitoring switched on) whose last
+// heartbeat is older than their own silence window and who have not been reported yet
+const silentUsersFilter = (now, defaultWindowMinutes) => ({
+  $or: [{ 'activeJourney.isActive': true }, { 'silenceMonitor.enabled': true }],
+  lastSeenAt: { $ne: null },
+  'silenceMonitor.alertedAt': null,
+  $expr: {
+    $lt: [
+      '$lastSeenAt',
+      {
+        $subtract: [
+          now,
+          { $multiply: [{ $ifNull: ['$silenceMonitor.windowMinutes', defaultWindowMinutes] }, 60 * 1000] },
+        ],
+      },
+    ],
+  },
+});
+
+// Check once for silent devices and escalate each of them
+export const checkSilentDevices = async (io, connectedUsers, { defaultWindowMinutes }) => {
+  const now = new Date();
+  const candidates = await User.find(silentUsersFilter(now, defaultWindowMinutes)).select('_id').lean();
+
+  for (const { _id: userId } of candidates) {
+    // A connected socket is answering pings, so the device is alive even if it sent nothing
+    if (connectedUsers.has(userId.toString())) {
+      await markUserSeen(io, userId);
+      continue;
+    }
+
+    // Claim the alert so it is sent once per silence, even with several server instances
+    const user = await User.findOneAndUpdate(
+      { _id: userId, 'silenceMonitor.alertedAt': null },
+      { 'silenceMonitor.alertedAt': now },
+      { new: true }
+    );
+    if (!user) continue;
+
+    const guardianIds = await emitToGuardians(io, user._id, 'sos', 'child-device-silent', {
+      childId: user._id.toString(),
+      childName: user.name,
+      lastSeenAt: user.lastSeenAt,
+      silentForMinutes: Math.floor((now - user.lastSeenAt) / 60000),
+      reason: user.activeJourney?.isActive ? 'journey' : 'monitoring',
+      location: formatLocation(user.currentLocation),
+      batteryLevel: user.batteryLevel,
+      isCharging: user.isCharging || false,
+      batteryUpdatedAt: user.batteryUpdatedAt || null,
+      timestamp: now,
+    });
+
+    safeLog.warn('[Heartbeat] Device went silent, guardians alerted', {
+      userId: user._id,
+      guardianCount: guardianIds.length,
+    });
+  }
+};
+
+// Start the periodic silent-device check. Returns a stop function.
+export const startHeartbeatMonitor = (io, connectedUsers, heartbeatConfig) => startPollingJob({
+  name: 'Heartbeat monitor',
+  intervalMs: heartbeatConfig.checkIntervalSeconds * 1000,
+  run: () => checkSilentDevices(io, connectedUsers, heartbeatConfig),
+});
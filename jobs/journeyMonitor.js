@@ -0,0 +1,224 @@
+// Journey escalation that does not depend on the phone calling back:
+// unanswered deviation prompts and journeys that pass their expected arrival time
+
+import { User } from '../models/User.js';
+import { mapsLink } from '../utils/contactNotifier.js';
+import { formatLocation } from '../utils/geo.js';
+import { emitToGuardians } from '../utils/guardians.js';
+import { recordJourneyEvent } from '../utils/journeyHistory.js';
+import { safeLog } from '../utils/logger.js';
+import { startPollingJob } from './scheduler.js';
+
+// How each prompt reason reads in a message to emergency contacts
+const REASON_TEXT = {
+  off_route: 'went off their planned route',
+  stationary: 'stopped moving for a long time away from their destination',
+  speed: 'started moving unusually fast',
+};
+
+// Where the child was last seen off route, falling back to the last known location
+const deviationLocation = (user) => {
+  const journey = user.activeJourney;
+  if (journey.deviationLocation?.lat !== undefined && journey.deviationLocation?.lat !== null) {
+    return { lat: journey.deviationLocation.lat, lng: journey.deviationLocation.lng };
+  }
+  const lastKnown = formatLocation(user.currentLocation);
+  return lastKnown ? { lat: lastKnown.latitude, lng: lastKnown.longitude } : null;
+};
+
+// Escalations are claimed with a lease: one that has not finished by then (the process died,
+// or alerting threw) is retried, and the escalation is only recorded once everyone was alerted
+const ESCALATION_LEASE_MS = 2 * 60 * 1000;
+
+const leaseFree = (field, now) => ({
+  $or: [{ [field]: null }, { [field]: { $lte: now } }],
+});
+
+// Active journeys with a deviation prompt that went unanswered past the journey's grace period
+const unansweredDeviationFilter = (now, defaultGraceMinutes) => ({
+  'activeJourney.isActive': true,
+  'activeJourney.deviationAlertSent': true,
+  'activeJourney.deviationEscalatedAt': null,
+  ...leaseFree('activeJourney.deviationEscalationLeaseUntil', now),
+  $expr: {
+    $lte: [
+      {
+        $add: [
+          '$activeJourney.deviationAlertTime',
+          { $multiply: [{ $ifNull: ['$activeJourney.deviationGraceMinutes', defaultGraceMinutes] }, 60 * 1000] },
+        ],
+      },
+      now,
+    ],
+  },
+});
+
+// Alert guardians and contacts about one deviation that has already been claimed
+const escalateDeviation = async (io, contactNotifier, user, now) => {
+  const location = deviationLocation(user);
+  const reason = user.activeJourney.deviationReason || 'off_route';
+  const guardianIds = await emitToGuardians(io, user._id, 'journey', 'child-deviation-alert', {
+    childId: user._id.toString(),
+    childName: user.name,
+    reason,
+    currentLocation: location,
+    distanceFromRoute: user.activeJourney.deviationDistanceKm ?? null,
+    deviationAlertTime: user.activeJourney.deviationAlertTime,
+    timestamp: now,
+  });
+
+  const link = location && mapsLink({ latitude: location.lat, longitude: location.lng });
+  const contactsNotified = await contactNotifier.notifyEmergencyContacts(
+    user,
+    `${user.name} ${REASON_TEXT[reason]} during a journey and has not responded.` +
+      (link ? ` Last known location: ${link}` : '')
+  );
+
+  await recordJourneyEvent(user.activeJourney.journeyId, {
+    type: 'deviation_escalated',
+    details: reason,
+    location: location || undefined,
+    distanceFromRouteKm: user.activeJourney.deviationDistanceKm,
+    guardianCount: guardianIds.length,
+    contactsNotified,
+  });
+
+  // A /deviation-response in the meantime resets deviationAlertTime, and the escalation is moot
+  await User.updateOne(
+    {
+      _id: user._id,
+      'activeJourney.isActive': true,
+      'activeJourney.deviationAlertTime': user.activeJourney.deviationAlertTime,
+    },
+    { 'activeJourney.deviationEscalatedAt': now, 'activeJourney.deviationEscalationLeaseUntil': null }
+  );
+
+  safeLog.warn('[Journey] Deviation not answered, guardians alerted', {
+    userId: user._id,
+    guardianCount: guardianIds.length,
+    contactsNotified,
+  });
+};
+
+const escalateDeviations = async (io, contactNotifier, journeyConfig) => {
+  const now = new Date();
+  const leaseUntil = new Date(now.getTime() + ESCALATION_LEASE_MS);
+  const candidates = await User.find(unansweredDeviationFilter(now, journeyConfig.deviationGraceMinutes))
+    .select('_id activeJourney.deviationAlertTime')
+    .lean();
+
+  for (const candidate of candidates) {
+    try {
+      // Claim the escalation; a /deviation-response in the meantime resets deviationAlertTime
+      const user = await User.findOneAndUpdate(
+        {
+          _id: candidate._id,
+          'activeJourney.isActive': true,
+          'activeJourney.deviationEscalatedAt': null,
+          'activeJourney.deviationAlertTime': candidate.activeJourney.deviationAlertTime,
+          ...leaseFree('activeJourney.deviationEscalationLeaseUntil', now),
+        },
+        { 'activeJourney.deviationEscalationLeaseUntil': leaseUntil },
+        { new: true }
+      );
+      if (user) {
+        await escalateDeviation(io, contactNotifier, user, now);
+      }
+    } catch (err) {
+      safeLog.error('[Journey] Failed to escalate deviation', err);
+    }
+  }
+};
+
+// Alert guardians and contacts about one overdue journey that has already been claimed
+const alertOverdueJourney = async (io, contactNotifier, user, now) => {
+  const journey = user.activeJourney;
+  const location = formatLocation(user.currentLocation);
+  const guardianIds = await emitToGuardians(io, user._id, 'journey', 'child-journey-overdue', {
+    childId: user._id.toString(),
+    childName: user.name,
+    to: journey.to,
+    startedAt: journey.startedAt,
+    expectedArrivalAt: journey.expectedArrivalAt,
+    location,
+    batteryLevel: user.batteryLevel,
+    timestamp: now,
+  });
+
+  const link = mapsLink(location);
+  const destination = journey.to?.name || journey.to?.address;
+  const contactsNotified = await contactNotifier.notifyEmergencyContacts(
+    user,
+    `${user.name} has not arrived` + (destination ? ` at ${destination}` : '') +
+      ` and is overdue since ${journey.expectedArrivalAt.toISOString()}.` +
+      (link ? ` Last known location: ${link}` : '')
+  );
+
+  // The child's app can prompt them to end the journey or extend it
+  io.to(`user:${user._id}`).emit('journey-overdue', {
+    expectedArrivalAt: journey.expectedArrivalAt,
+  });
+
+  await recordJourneyEvent(journey.journeyId, {
+    type: 'overdue_alert',
+    location: location ? { lat: location.latitude, lng: location.longitude } : undefined,
+    guardianCount: guardianIds.length,
+    contactsNotified,
+  });
+
+  await User.updateOne(
+    // Not if the journey ended or the arrival time was extended in the meantime
+    {
+      _id: user._id,
+      'activeJourney.isActive': true,
+      'activeJourney.journeyId': journey.journeyId,
+      'activeJourney.expectedArrivalAt': journey.expectedArrivalAt,
+    },
+    { 'activeJourney.overdueAlertedAt': now, 'activeJourney.overdueAlertLeaseUntil': null }
+  );
+
+  safeLog.warn('[Journey] Journey overdue, guardians alerted', {
+    userId: user._id,
+    guardianCount: guardianIds.length,
+    contactsNotified,
+  });
+};
+
+const escalateOverdueJourneys = async (io, contactNotifier, journeyConfig) => {
+  const now = new Date();
+  const overdueBefore = new Date(now.getTime() - journeyConfig.overdueGraceMinutes * 60 * 1000);
+  const leaseUntil = new Date(now.getTime() + ESCALATION_LEASE_MS);
+
+  for (;;) {
+    const user = await User.findOneAndUpdate(
+      {
+        'activeJourney.isActive': true,
+        'activeJourney.expectedArrivalAt': { $lte: overdueBefore },
+        'activeJourney.overdueAlertedAt': null,
+        ...leaseFree('activeJourney.overdueAlertLeaseUntil', now),
+      },
+      { 'activeJourney.overdueAlertLeaseUntil': leaseUntil },
+      { new: true }
+    );
+    if (!user) break;
+
+    try {
+      await alertOverdueJourney(io, contactNotifier, user, now);
+    } catch (err) {
+      safeLog.error('[Journey] Failed to alert overdue journey', err);
+    }
+  }
+};
+
+// Run both journey checks once
+export const checkJourneys = async (io, contactNotifier, journeyConfig) => {
+  await escalateDeviations(io, contactNotifier, journeyConfig);
+  await escalateOverdueJourneys(io, contactNotifier, journeyConfig);
+};
+
+// Start the periodic journey check. Returns a stop function.
+export const startJourneyMonitor = (io, contactNotifier, journeyConfig) => startPollingJob({
+  name: 'Journey monitor',
+  intervalMs: journeyConfig.checkIntervalSeconds * 1000,
+  run: () => checkJourneys(io, contactNotifier, journeyConfig),
+});
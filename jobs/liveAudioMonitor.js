@@ -0,0 +1,34 @@
+// Save live audio streams that went quiet: the phone lost its connection or never sent
+// live-audio-stop. Runs every few seconds so guardians get the recording soon after the
+// idle timeout rather than on the next upload cleanup.
+
+import { UploadSession } from '../models/UploadSession.js';
+import { finalizeLiveAudio } from '../utils/liveAudio.js';
+import { startPollingJob } from './scheduler.js';
+
+const BATCH_SIZE = 50;
+
+export const saveIdleLiveStreams = async (io, mediaStorage, { finalizeTimeoutMinutes }) => {
+  // A save interrupted by a restart is picked up again once it has had time to finish
+  const staleBefore = new Date(Date.now() - finalizeTimeoutMinutes * 60 * 1000);
+  await UploadSession.updateMany(
+    { live: true, status: 'finalizing', finalizingAt: { $lt: staleBefore } },
+    { status: 'uploading', finalizingAt: null, expiresAt: new Date() }
+  );
+
+  const idle = await UploadSession.find({ live: true, status: 'uploading', expiresAt: { $lte: new Date() } })
+    .select('_id')
+    .limit(BATCH_SIZE)
+    .lean();
+
+  for (const stream of idle) {
+    await finalizeLiveAudio(io, mediaStorage, stream._id);
+  }
+};
+
+// Start the periodic check. Returns a stop function.
+export const startLiveAudioMonitor = (io, mediaStorage, liveAudioConfig, uploadConfig) => startPollingJob({
+  name: 'Live audio monitor',
+  intervalMs: liveAudioConfig.checkIntervalSeconds * 1000,
+  run: () => saveIdleLiveStreams(io, mediaStorage, uploadConfig),
+});
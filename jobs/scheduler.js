@@ -0,0 +1,29 @@
+// Minimal polling scheduler for background jobs.
+// Job state lives in MongoDB, so a restart only delays the next run by one interval.
+
+import { safeLog } from '../utils/logger.js';
+
+// Run `run()` every `intervalMs`. Runs never overlap; a slow run just skips ticks.
+// Returns a function that stops the job.
+export const startPollingJob = ({ name, intervalMs, run }) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await run();
+    } catch (err) {
+      safeLog.error(`[Jobs] ${name} failed`, err);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  // Background jobs must not keep the process alive on shutdown
+  timer.unref();
+  safeLog.info(`[Jobs] ${name} scheduled every ${Math.round(intervalMs / 1000)}s`);
+
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,64 @@
+// Expand SOS broadcasts ring by ring until enough nearby users respond or the last ring is paged
+
+import { CLOSED_INCIDENT_STATUSES, Incident } from '../models/Incident.js';
+import { User } from '../models/User.js';
+import { publishLatestSosRing } from '../utils/incidentTimeline.js';
+import { safeLog } from '../utils/logger.js';
+import { notifyBroadcastProgress, pageSosRing, targetReached } from '../utils/sosBroadcast.js';
+import { startPollingJob } from './scheduler.js';
+
+// Page the next ring of an incident that has already been claimed
+const expandBroadcast = async (io, incident) => {
+  const owner = await User.findById(incident.userId).select('name accountId');
+  if (!owner) return;
+
+  let updated;
+  if (targetReached(incident)) {
+    updated = await Incident.findByIdAndUpdate(
+      incident._id,
+      { 'broadcast.completedAt': new Date(), 'broadcast.completedReason': 'target_reached' },
+      { new: true }
+    );
+    safeLog.info('[SOS] Enough responders, broadcast stopped', { incidentId: incident._id, ring: incident.broadcast.ring });
+  } else {
+    ({ incident: updated } = await pageSosRing(io, incident, owner, incident.broadcast.ring + 1));
+    publishLatestSosRing(io, updated);
+  }
+
+  await notifyBroadcastProgress(io, updated, owner);
+};
+
+// Find and expand every broadcast whose next ring is due
+export const expandDueBroadcasts = async (io, { ringIntervalSeconds }) => {
+  const now = new Date();
+  // A claim is a lease: paging the ring overwrites it, and if expanding fails the
+  // broadcast comes due again one interval later instead of stalling
+  const leaseUntil = new Date(now.getTime() + ringIntervalSeconds * 1000);
+
+  for (;;) {
+    // Claim one at a time so concurrent instances never page the same ring twice
+    const incident = await Incident.findOneAndUpdate(
+      {
+        'broadcast.nextRingAt': { $lte: now },
+        'broadcast.completedAt': null,
+        status: { $nin: CLOSED_INCIDENT_STATUSES },
+      },
+      { 'broadcast.nextRingAt': leaseUntil },
+      { sort: { 'broadcast.nextRingAt': 1 } }
+    );
+    if (!incident) break;
+
+    try {
+      await expandBroadcast(io, incident);
+    } catch (err) {
+      safeLog.error('[SOS] Failed to expand broadcast', err);
+    }
+  }
+};
+
+// Start the periodic ring expansion. Returns a stop function.
+export const startSosRingMonitor = (io, sosBroadcastConfig) => startPollingJob({
+  name: 'SOS ring monitor',
+  intervalMs: sosBroadcastConfig.checkIntervalSeconds * 1000,
+  run: () => expandDueBroadcasts(io, sosBroadcastConfig),
+});
@@ -0,0 +1,35 @@
+// Remove resumable uploads that were abandoned, or finished long enough ago that the
+// client no longer needs the finalize result replayed. Live audio streams that went quiet
+// are saved as recordings by jobs/liveAudioMonitor.js instead.
+
+import { UploadSession } from '../models/UploadSession.js';
+import { discardUpload } from '../utils/resumableUploads.js';
+import { startPollingJob } from './scheduler.js';
+
+const BATCH_SIZE = 100;
+
+export const removeExpiredUploads = async ({ finalizeTimeoutMinutes }) => {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - finalizeTimeoutMinutes * 60 * 1000);
+
+  // A finalize in progress keeps its session until it has had time to finish
+  const expired = await UploadSession.find({
+    expiresAt: { $lte: now },
+    $or: [{ status: { $ne: 'finalizing' } }, { finalizingAt: { $lt: staleBefore } }],
+    $nor: [{ live: true, status: { $ne: 'completed' } }], // Unsaved live audio is never dropped
+  })
+    .select('_id')
+    .limit(BATCH_SIZE)
+    .lean();
+
+  for (const upload of expired) {
+    await discardUpload(upload._id);
+  }
+};
+
+// Start the periodic cleanup. Returns a stop function.
+export const startUploadCleanup = (uploadConfig) => startPollingJob({
+  name: 'Upload cleanup',
+  intervalMs: uploadConfig.cleanupIntervalMinutes * 60 * 1000,
+  run: () => removeExpiredUploads(uploadConfig),
+});
@@ -1,7 +1,27 @@
 import jwt from 'jsonwebtoken';
 
+// Resolve the user and session behind a decoded access token.
+// Tokens must carry a session ID (sid) so revoked sessions lose access immediately.
+const resolveTokenOwner = async (decoded, User, Session) => {
+  if (!decoded.sid) {
+    return { error: 'Session required' };
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive() || session.userId.toString() !== decoded.sub) {
+    return { error: 'Session revoked' };
+  }
+
+  const user = await User.findById(decoded.sub);
+  if (!user) {
+    return { error: 'User not found' };
+  }
+
+  return { user, session };
+};
+
 // Middleware factory that creates authenticate middleware with dependencies
-export const createAuthenticate = (JWT_SECRET, User) => {
+export const createAuthenticate = (JWT_SECRET, User, Session) => {
   return async (req, res, next) => {
     try {
       const authHeader = req.headers.authorization;
@@ -10,11 +30,12 @@ export const createAuthenticate = (JWT_SECRET, User) => {
       }
       const token = authHeader.substring(7);
       const decoded = jwt.verify(token, JWT_SECRET);
-      const user = await User.findById(decoded.sub);
-      if (!user) {
-        return res.status(401).json({ error: 'User not found' });
+      const { user, session, error } = await resolveTokenOwner(decoded, User, Session);
+      if (error) {
+        return res.status(401).json({ error });
       }
       req.user = user;
+      req.authSession = session;
       next();
     } catch (err) {
       res.status(401).json({ error: 'Invalid token' });
@@ -23,22 +44,23 @@ export const createAuthenticate = (JWT_SECRET, User) => {
 };
 
 // WebSocket authentication middleware factory
-export const createAuthenticateSocket = (JWT_SECRET, User) => {
+export const createAuthenticateSocket = (JWT_SECRET, User, Session) => {
   return async (socket, next) => {
     try {
       const token = socket.handshake.auth.token;
       if (!token) {
         return next(new Error('Authentication error: No token provided'));
       }
-      
+
       const decoded = jwt.verify(token, JWT_SECRET);
-      const user = await User.findById(decoded.sub);
-      if (!user) {
-        return next(new Error('Authentication error: User not found'));
+      const { user, session, error } = await resolveTokenOwner(decoded, User, Session);
+      if (error) {
+        return next(new Error(`Authentication error: ${error}`));
       }
-      
+
       socket.userId = user._id.toString();
       socket.user = user;
+      socket.sessionId = session._id.toString();
       next();
     } catch (err) {
       next(new Error('Authentication error: Invalid token'));
@@ -46,8 +68,7 @@ export const createAuthenticateSocket = (JWT_SECRET, User) => {
   };
 };
 
-// Helper function to sign JWT tokens
-export const createSignToken = (JWT_SECRET) => {
-  return (userId) => jwt.sign({ sub: userId }, JWT_SECRET, { expiresIn: '7d' });
+// Helper function to sign short-lived access tokens bound to a session
+export const createSignToken = (JWT_SECRET, expiresIn = '15m') => {
+  return (userId, sessionId) => jwt.sign({ sub: userId, sid: sessionId }, JWT_SECRET, { expiresIn });
 };
-
@@ -0,0 +1,56 @@
+// Script to migrate User.currentLocation from latitude/longitude fields to a GeoJSON point
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { User } from './models/User.js';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+async function migrateGeoLocations() {
+    try {
+        console.log('Connecting to MongoDB...');
+        await mongoose.connect(MONGODB_URI);
+        console.log('✅ Connected to MongoDB');
+
+        // latitude/longitude are no longer in the User schema, so read the raw collection
+        const users = mongoose.connection.collection('users');
+        const legacyUsers = await users.find({
+            'currentLocation.latitude': { $type: 'number' },
+            'currentLocation.longitude': { $type: 'number' },
+        }).toArray();
+        console.log(`Found ${legacyUsers.length} users with legacy locations`);
+
+        let migrated = 0;
+        for (const user of legacyUsers) {
+            const { latitude, longitude } = user.currentLocation;
+            await users.updateOne(
+                { _id: user._id },
+                {
+                    $set: { 'currentLocation.point': { type: 'Point', coordinates: [longitude, latitude] } },
+                    $unset: { 'currentLocation.latitude': '', 'currentLocation.longitude': '' },
+                }
+            );
+            migrated++;
+        }
+
+        // Leftover documents with a partial location cannot be indexed - drop the stale fields
+        const cleanup = await users.updateMany(
+            { $or: [{ 'currentLocation.latitude': { $exists: true } }, { 'currentLocation.longitude': { $exists: true } }] },
+            { $unset: { 'currentLocation.latitude': '', 'currentLocation.longitude': '' } }
+        );
+
+        // Replace the old compound index with the 2dsphere index
+        await users.dropIndex('currentLocation.latitude_1_currentLocation.longitude_1').catch(() => {});
+        await User.syncIndexes();
+
+        console.log(`\n✅ Migration complete! Migrated ${migrated} locations, cleaned ${cleanup.modifiedCount} partial locations`);
+        await mongoose.disconnect();
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error:', error);
+        process.exit(1);
+    }
+}
+
+migrateGeoLocations();
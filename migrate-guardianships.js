@@ -0,0 +1,58 @@
+// Script to migrate single-parent links (User.parentId / children) to Guardianship documents
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { GUARDIAN_SCOPES, Guardianship } from './models/Guardianship.js';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+async function migrateGuardianships() {
+    try {
+        console.log('Connecting to MongoDB...');
+        await mongoose.connect(MONGODB_URI);
+        console.log('✅ Connected to MongoDB');
+
+        // parentId/displayName are no longer in the User schema, so read the raw collection
+        const users = mongoose.connection.collection('users');
+        const children = await users.find({ parentId: { $ne: null, $exists: true } }).toArray();
+        console.log(`Found ${children.length} linked child accounts`);
+
+        let created = 0;
+        for (const child of children) {
+            const result = await Guardianship.updateOne(
+                { guardianId: child.parentId, childId: child._id },
+                {
+                    $setOnInsert: {
+                        guardianId: child.parentId,
+                        childId: child._id,
+                        displayName: child.displayName || undefined,
+                        // Existing parents keep full access
+                        scopes: Object.fromEntries(GUARDIAN_SCOPES.map((scope) => [scope, true])),
+                    },
+                },
+                { upsert: true }
+            );
+            if (result.upsertedCount > 0) {
+                created++;
+                console.log(`  ✅ Linked ${child.email} to guardian ${child.parentId}`);
+            }
+        }
+
+        // Drop the legacy fields once every link has been copied
+        const cleanup = await users.updateMany(
+            {},
+            { $unset: { parentId: '', children: '', displayName: '' } }
+        );
+        await users.dropIndex('parentId_1').catch(() => {});
+
+        console.log(`\n✅ Migration complete! Created ${created} guardianships, cleaned ${cleanup.modifiedCount} users`);
+        await mongoose.disconnect();
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error:', error);
+        process.exit(1);
+    }
+}
+
+migrateGuardianships();
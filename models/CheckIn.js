@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// Safety check-in timer ("I'll be home by 10pm"). If the deadline passes while the
+// check-in is still active, the check-in monitor escalates it.
+const checkInSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    deadline: { type: Date, required: true },
+    destination: {
+      name: { type: String, trim: true },
+      address: { type: String, trim: true },
+      latitude: { type: Number },
+      longitude: { type: Number },
+    },
+    note: { type: String, trim: true },
+    status: {
+      type: String,
+      enum: ['active', 'completed', 'cancelled', 'escalated'],
+      default: 'active',
+    },
+    extensionCount: { type: Number, default: 0 },
+    completedAt: { type: Date },
+    cancelledAt: { type: Date },
+    escalatedAt: { type: Date },
+    escalationLeaseUntil: { type: Date, default: null }, // Held by the monitor while it notifies; retried once it lapses
+    guardianNotified: { type: Boolean, default: false },
+    contactsNotified: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+// The monitor polls for active check-ins past their deadline
+checkInSchema.index({ status: 1, deadline: 1 });
+// At most one active check-in per user
+checkInSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { status: 'active' }, name: 'one_active_per_user' });
+
+export const CheckIn = mongoose.model('CheckIn', checkInSchema);
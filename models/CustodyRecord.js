@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+export const CUSTODY_ACTIONS = ['received', 'verified'];
+export const EVIDENCE_TYPES = ['image', 'audio', 'video'];
+
+const APPEND_ONLY_ERROR = 'Custody records are append-only';
+
+// One entry in a user's evidence chain of custody. Entries are hash-chained per user:
+// recordHash covers every field below plus the previous entry's hash, so editing,
+// removing or reordering an entry breaks every hash after it (see utils/custody.js).
+const custodyRecordSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    }, // Whose evidence this is
+    sequence: { type: Number, required: true }, // Position in the user's chain, starting at 1
+    action: { type: String, enum: CUSTODY_ACTIONS, required: true },
+    evidenceType: { type: String, enum: EVIDENCE_TYPES, required: true },
+    evidenceId: { type: mongoose.Schema.Types.ObjectId, required: true }, // EmergencyImage, EmergencyVideo or recording _id
+    sha256: { type: String, required: true }, // Hash of the file as received
+    clientSha256: { type: String }, // Hash the client declared for the file, if it sent one
+    sizeBytes: { type: Number },
+    mimeType: { type: String },
+    storage: {
+      provider: { type: String },
+      url: { type: String },
+      key: { type: String }, // Provider-specific object id
+    },
+    recordedAt: { type: Date, required: true }, // Server time
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Uploader, or whoever ran the verification
+    device: {
+      sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Session' },
+      deviceId: { type: String },
+      deviceName: { type: String },
+      platform: { type: String },
+      userAgent: { type: String },
+      ipAddress: { type: String },
+    },
+    location: {
+      latitude: { type: Number },
+      longitude: { type: Number },
+    },
+    // Only for 'verified' entries
+    verification: {
+      actualSha256: { type: String },
+      contentMatches: { type: Boolean },
+      chainValid: { type: Boolean },
+      error: { type: String },
+    },
+    previousHash: { type: String, required: true }, // recordHash of the previous entry ('0' x 64 for the first)
+    recordHash: { type: String, required: true },
+  },
+  { versionKey: false }
+);
+
+custodyRecordSchema.index({ userId: 1, sequence: 1 }, { unique: true });
+custodyRecordSchema.index({ evidenceId: 1, sequence: 1 });
+
+// Entries can be added but never changed or removed through the model
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach((operation) => {
+  custodyRecordSchema.pre(operation, function () {
+    throw new Error(APPEND_ONLY_ERROR);
+  });
+});
+custodyRecordSchema.pre('save', function () {
+  if (!this.isNew) {
+    throw new Error(APPEND_ONLY_ERROR);
+  }
+});
+
+export const CustodyRecord = mongoose.model('CustodyRecord', custodyRecordSchema);
@@ -8,8 +8,10 @@ const emergencyImageSchema = new mongoose.Schema(
       required: true,
       index: true 
     },
-    imageUrl: { type: String, required: true }, // Cloudinary URL
-    cloudinaryPublicId: { type: String }, // Cloudinary public ID for deletion
+    imageUrl: { type: String, required: true }, // Public URL from the media storage provider
+    storageProvider: { type: String }, // 'local' | 's3' | 'cloudinary' (see utils/mediaStorage.js)
+    storageKey: { type: String }, // Provider-specific object key, for fetching and deletion
+    cloudinaryPublicId: { type: String }, // Legacy: images stored before storage was pluggable
     location: {
       latitude: { type: Number },
       longitude: { type: Number },
@@ -22,6 +24,8 @@ const emergencyImageSchema = new mongoose.Schema(
       default: 'shutdown_attempt'
     },
     sentToContacts: { type: Boolean, default: false },
+    incidentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Incident', index: true },
+    sha256: { type: String }, // Hash of the file as received (see CustodyRecord)
   },
   { timestamps: true }
 );
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// Emergency video evidence. Videos are only received through resumable uploads
+// (see utils/resumableUploads.js) as they rarely fit in a single request.
+const emergencyVideoSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    videoUrl: { type: String, required: true }, // Public URL from the media storage provider
+    storageProvider: { type: String }, // 'local' | 's3' | 'cloudinary' (see utils/mediaStorage.js)
+    storageKey: { type: String }, // Provider-specific object key, for fetching and deletion
+    mimeType: { type: String },
+    location: {
+      latitude: { type: Number },
+      longitude: { type: Number },
+    },
+    timestamp: { type: Date, default: Date.now }, // When recording started, as reported by the phone
+    duration: { type: Number }, // Seconds
+    fileSize: { type: Number }, // Bytes
+    incidentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Incident', index: true }, // Open incident at upload time
+    sha256: { type: String }, // Hash of the file as received (see CustodyRecord)
+  },
+  { timestamps: true }
+);
+
+emergencyVideoSchema.index({ userId: 1, timestamp: -1 });
+
+export const EmergencyVideo = mongoose.model('EmergencyVideo', emergencyVideoSchema);
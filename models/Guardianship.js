@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// What a guardian is allowed to see / be told about a protected user
+const scopesSchema = new mongoose.Schema(
+  {
+    liveLocation: { type: Boolean, default: true },
+    battery: { type: Boolean, default: true },
+    journey: { type: Boolean, default: true },
+    evidence: { type: Boolean, default: true }, // Emergency images and recordings
+    sos: { type: Boolean, default: true }, // Receive SOS / emergency alerts
+  },
+  { _id: false }
+);
+
+// Guardian <-> protected user (child) link. A child can have many guardians.
+const guardianshipSchema = new mongoose.Schema(
+  {
+    guardianId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    childId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    displayName: { type: String, trim: true }, // Name the guardian uses for the child
+    scopes: { type: scopesSchema, default: () => ({}) },
+  },
+  { timestamps: true }
+);
+
+guardianshipSchema.index({ guardianId: 1, childId: 1 }, { unique: true });
+
+export const GUARDIAN_SCOPES = ['liveLocation', 'battery', 'journey', 'evidence', 'sos'];
+
+export const Guardianship = mongoose.model('Guardianship', guardianshipSchema);
@@ -0,0 +1,145 @@
+import mongoose from 'mongoose';
+
+export const INCIDENT_TYPES = ['sos', 'duress', 'shutdown_attempt'];
+export const INCIDENT_STATUSES = ['open', 'acknowledged', 'responding', 'resolved', 'false_alarm'];
+// Statuses after which an incident no longer accepts new triggers
+export const CLOSED_INCIDENT_STATUSES = ['resolved', 'false_alarm'];
+export const RESPONDER_STATUSES = ['acknowledged', 'on_my_way', 'declined'];
+// Older entries are dropped so live ETA updates cannot grow an incident without bound
+export const MAX_RESPONDER_ACTIONS = 500;
+// Same for battery reports during a long incident
+export const MAX_BATTERY_LOG = 500;
+
+const locationSchema = new mongoose.Schema(
+  {
+    latitude: { type: Number },
+    longitude: { type: Number },
+    address: { type: String },
+  },
+  { _id: false }
+);
+
+// Emergency incident raised on behalf of a user. SOS broadcasts, shutdown-attempt
+// images and duress logins open one, or attach to the one that is already open.
+const incidentSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: INCIDENT_TYPES,
+      required: true,
+    }, // What opened the incident
+    status: {
+      type: String,
+      enum: INCIDENT_STATUSES,
+      default: 'open',
+    },
+    location: locationSchema,
+    // Every trigger that opened or attached to this incident
+    triggers: [
+      {
+        _id: false,
+        type: { type: String, enum: INCIDENT_TYPES, required: true },
+        at: { type: Date, default: Date.now },
+        location: locationSchema,
+        imageId: { type: mongoose.Schema.Types.ObjectId, ref: 'EmergencyImage' },
+      },
+    ],
+    statusHistory: [
+      {
+        _id: false,
+        status: { type: String, enum: INCIDENT_STATUSES, required: true },
+        at: { type: Date, default: Date.now },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        note: { type: String, trim: true },
+      },
+    ],
+    // SOS broadcast to nearby users, expanding in rings (see utils/sosBroadcast.js)
+    broadcast: {
+      center: locationSchema,
+      ring: { type: Number, default: 0 }, // Last ring paged (1-based, 0 = not broadcast)
+      radiusKm: { type: Number },
+      startedAt: { type: Date },
+      nextRingAt: { type: Date, default: null }, // When the next ring is paged, unless enough users respond
+      completedAt: { type: Date, default: null },
+      completedReason: { type: String, enum: ['target_reached', 'max_radius', null], default: null },
+      // Every time a ring was paged, including repeats after another SOS press
+      pages: [
+        {
+          _id: false,
+          ring: { type: Number, required: true },
+          radiusKm: { type: Number },
+          recipientCount: { type: Number, default: 0 },
+          at: { type: Date, default: Date.now },
+        },
+      ],
+    },
+    // Nearby users who were sent the SOS - only they may respond to it
+    alertedUsers: [
+      {
+        _id: false,
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        ring: { type: Number, required: true },
+        radiusKm: { type: Number },
+        distanceKm: { type: Number },
+        alertedAt: { type: Date, default: Date.now },
+      },
+    ],
+    responders: [
+      {
+        _id: false,
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        name: { type: String },
+        verifiedVolunteer: { type: Boolean, default: false },
+        status: { type: String, enum: RESPONDER_STATUSES, required: true },
+        etaMinutes: { type: Number }, // Only while on the way
+        location: locationSchema, // Responder's live position while on the way
+        respondedAt: { type: Date, default: Date.now },
+        updatedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Every response as it happened (responders above only keeps the latest per user)
+    responderActions: [
+      {
+        _id: false,
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        name: { type: String },
+        status: { type: String, enum: RESPONDER_STATUSES, required: true },
+        etaMinutes: { type: Number },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    // Battery reports from the user's device while the incident is open
+    batteryLog: [
+      {
+        _id: false,
+        level: { type: Number, required: true },
+        isCharging: { type: Boolean },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    // Sessions that must never learn about this incident (e.g. a duress login)
+    concealedFromSessionIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Session' }],
+    guardianNotified: { type: Boolean, default: false },
+    contactsNotified: { type: Number, default: 0 },
+    nearbyUsersNotified: { type: Number, default: 0 },
+    lastTriggeredAt: { type: Date, default: Date.now },
+    resolvedAt: { type: Date },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+incidentSchema.index({ userId: 1, status: 1, createdAt: -1 });
+incidentSchema.index({ 'broadcast.nextRingAt': 1 });
+
+incidentSchema.methods.isClosed = function () {
+  return CLOSED_INCIDENT_STATUSES.includes(this.status);
+};
+
+export const Incident = mongoose.model('Incident', incidentSchema);
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+const placeSchema = new mongoose.Schema(
+  {
+    name: { type: String },
+    address: { type: String },
+    coordinates: {
+      lat: { type: Number },
+      lng: { type: Number },
+    },
+  },
+  { _id: false }
+);
+
+// Something that happened during a journey (deviation prompts, responses, alerts)
+const journeyEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: [
+        'deviation_detected',
+        'stationary_detected',
+        'speed_anomaly_detected',
+        'deviation_response',
+        'deviation_escalated',
+        'overdue_alert',
+        'expected_arrival_updated',
+      ],
+      required: true,
+    },
+    timestamp: { type: Date, default: Date.now },
+    location: {
+      lat: { type: Number },
+      lng: { type: Number },
+    },
+    distanceFromRouteKm: { type: Number },
+    guardianCount: { type: Number },
+    contactsNotified: { type: Number },
+    details: { type: String },
+  },
+  { _id: false }
+);
+
+// A journey from start to stop. The live state stays in User.activeJourney;
+// this is the permanent record kept after the journey ends.
+const journeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    status: { type: String, enum: ['active', 'completed'], default: 'active' },
+    from: placeSchema,
+    to: placeSchema,
+    plannedRoute: [[Number]], // [lat, lng] pairs as planned at start
+    travelMode: { type: String },
+    deviationThresholdMeters: { type: Number },
+    deviationGraceMinutes: { type: Number },
+    expectedArrivalAt: { type: Date },
+    startedAt: { type: Date, required: true },
+    endedAt: { type: Date },
+    durationSeconds: { type: Number },
+    // Actual track, simplified when the journey ends (location fixes expire, this does not)
+    track: [
+      {
+        _id: false,
+        lat: { type: Number },
+        lng: { type: Number },
+        timestamp: { type: Date },
+        speed: { type: Number },
+      },
+    ],
+    trackRawCount: { type: Number, default: 0 },
+    distanceKm: { type: Number, default: 0 },
+    events: [journeyEventSchema],
+    deviationCount: { type: Number, default: 0 },
+    alertCount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+journeySchema.index({ userId: 1, startedAt: -1 });
+
+export const Journey = mongoose.model('Journey', journeySchema);
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// Every accepted location fix, stored in a MongoDB time-series collection
+const locationFixSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    timestamp: { type: Date, required: true },
+    latitude: { type: Number, required: true },
+    longitude: { type: Number, required: true },
+    accuracy: { type: Number }, // Horizontal accuracy in meters
+    speed: { type: Number }, // Meters per second
+    heading: { type: Number }, // Degrees from true north
+    source: {
+      type: String,
+      enum: ['gps', 'network', 'fused', 'manual', 'journey', 'unknown'],
+      default: 'unknown',
+    },
+    batteryLevel: { type: Number }, // Battery percentage when the fix was taken
+  },
+  {
+    timeseries: {
+      timeField: 'timestamp',
+      metaField: 'userId',
+      granularity: 'seconds',
+    },
+    versionKey: false,
+  }
+);
+
+locationFixSchema.index({ userId: 1, timestamp: -1 });
+
+// Apply the configured retention to the collection (time-series TTL is a collection option)
+locationFixSchema.statics.applyRetention = async function (retentionDays) {
+  await this.init();
+  await this.db.db.command({
+    collMod: this.collection.collectionName,
+    expireAfterSeconds: Math.round(retentionDays * 24 * 60 * 60),
+  });
+};
+
+export const LocationFix = mongoose.model('LocationFix', locationFixSchema);
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// Short-lived code a child shows (e.g. as a QR code) to let a guardian link instantly
+const pairingCodeSchema = new mongoose.Schema(
+  {
+    childId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    codeHash: { type: String, required: true, unique: true }, // SHA-256 of the code
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+    usedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+// Expired codes are removed automatically
+pairingCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const PairingCode = mongoose.model('PairingCode', pairingCodeSchema);
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// Guardian -> child link request that the child must accept
+const pairingRequestSchema = new mongoose.Schema(
+  {
+    guardianId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    childId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    displayName: { type: String, trim: true }, // Name the guardian wants to show for the child
+    requestedScopes: { type: Object, default: {} }, // Guardian scopes asked for (see Guardianship)
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'cancelled'],
+      default: 'pending',
+    },
+    expiresAt: { type: Date, required: true },
+    respondedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+pairingRequestSchema.index({ childId: 1, status: 1, expiresAt: 1 });
+
+export const PairingRequest = mongoose.model('PairingRequest', pairingRequestSchema);
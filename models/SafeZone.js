@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// Guardian-defined place for a child ("home", "school", ...), either a circle or a polygon
+const safeZoneSchema = new mongoose.Schema(
+  {
+    childId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, required: true, trim: true },
+    shape: { type: String, enum: ['circle', 'polygon'], required: true },
+    center: {
+      latitude: { type: Number },
+      longitude: { type: Number },
+    },
+    radiusMeters: { type: Number }, // Circle only
+    polygon: { type: [[Number]], default: undefined }, // Polygon only: [[lat, lng], ...]
+    hysteresisMeters: { type: Number, default: 25 }, // Band around the boundary that never flips the state
+    isActive: { type: Boolean, default: true },
+    // Last confirmed state plus a pending transition that needs confirming fixes
+    state: {
+      inside: { type: Boolean, default: null },
+      changedAt: { type: Date },
+      pendingInside: { type: Boolean, default: null },
+      pendingCount: { type: Number, default: 0 },
+    },
+  },
+  { timestamps: true }
+);
+
+export const SafeZone = mongoose.model('SafeZone', safeZoneSchema);
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// Login session - one per device, holds the current rotating refresh token
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: { type: String, required: true }, // SHA-256 of the current refresh token
+    previousRefreshTokenHash: { type: String }, // Last rotated-out token, used to detect replay
+    deviceId: { type: String, trim: true },
+    deviceName: { type: String, trim: true },
+    platform: { type: String, trim: true },
+    userAgent: { type: String },
+    ipAddress: { type: String },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    // Opened with the duress password - behaves normally but must never reveal the alarm
+    duress: { type: Boolean, default: false },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB drop sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+export const Session = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// Time-limited, revocable public link to a user's live location
+const shareLinkSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    tokenHash: { type: String, required: true, unique: true }, // SHA-256 of the share token
+    label: { type: String, trim: true }, // e.g. "Sister"
+    include: {
+      location: { type: Boolean, default: true },
+      journey: { type: Boolean, default: true },
+      battery: { type: Boolean, default: true },
+    },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    lastViewedAt: { type: Date },
+    viewCount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+shareLinkSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+export const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+// One received piece of a resumable upload, stored until the upload is finalized
+const uploadChunkSchema = new mongoose.Schema(
+  {
+    uploadId: { type: mongoose.Schema.Types.ObjectId, ref: 'UploadSession', required: true },
+    offset: { type: Number, required: true }, // Position of the first byte in the file
+    data: { type: Buffer, required: true },
+  },
+  { versionKey: false }
+);
+
+// A retried chunk cannot be stored twice
+uploadChunkSchema.index({ uploadId: 1, offset: 1 }, { unique: true });
+
+export const UploadChunk = mongoose.model('UploadChunk', uploadChunkSchema);
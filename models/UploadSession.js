@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+export const UPLOAD_KINDS = ['image', 'audio', 'video'];
+export const UPLOAD_STATUSES = ['uploading', 'finalizing', 'completed'];
+
+// A resumable evidence upload. The phone sends the file in chunks (see UploadChunk) and
+// can pick up from `receivedBytes` after losing its connection; finalizing assembles the
+// chunks and stores the file like a single-request upload (see utils/resumableUploads.js).
+// Live audio streamed during an SOS is kept the same way (see utils/liveAudio.js).
+const uploadSessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    kind: { type: String, enum: UPLOAD_KINDS, required: true },
+    mimeType: { type: String },
+    totalBytes: { type: Number, required() { return !this.live; } }, // Live streams set it when they end
+    receivedBytes: { type: Number, default: 0 }, // Offset of the next chunk
+    expectedSha256: { type: String }, // Optional hash of the whole file from the client
+    // Saved with the evidence on finalize
+    metadata: {
+      timestamp: { type: Date },
+      triggerType: { type: String },
+      location: {
+        latitude: { type: Number },
+        longitude: { type: Number },
+      },
+      duration: { type: Number }, // Seconds, for audio and video
+    },
+    // Live audio streams only
+    live: { type: Boolean, default: false },
+    incidentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Incident' },
+    device: { type: mongoose.Schema.Types.Mixed }, // Custody device details; the stream may end without a connection
+    finalizeAttempts: { type: Number, default: 0 },
+    lastError: { type: String }, // Why the last save failed
+    needsAttention: { type: Boolean, default: false }, // Keeps failing to save; the chunks are kept and retried
+    status: { type: String, enum: UPLOAD_STATUSES, default: 'uploading' },
+    finalizingAt: { type: Date }, // When the current finalize claimed the session
+    result: { type: mongoose.Schema.Types.Mixed }, // Finalize response, replayed if the client retries
+    expiresAt: { type: Date, required: true }, // Pushed back by every chunk
+  },
+  { timestamps: true }
+);
+
+// Expired sessions are removed together with their chunks by jobs/uploadCleanup.js
+uploadSessionSchema.index({ expiresAt: 1 });
+
+export const UploadSession = mongoose.model('UploadSession', uploadSessionSchema);
@@ -1,18 +1,34 @@
 import mongoose from 'mongoose';
 
+// GeoJSON point - coordinates are [longitude, latitude]
+const pointSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], required: true },
+  },
+  { _id: false }
+);
+
+// Responders are only alerted for SOS this close unless they choose otherwise
+export const DEFAULT_RESPONDER_DISTANCE_KM = 2;
+
 // User model
 const userSchema = new mongoose.Schema(
   {
     email: { type: String, required: true, unique: true, lowercase: true, trim: true },
     passwordHash: { type: String, required: true },
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date },
+    passwordChangedAt: { type: Date },
+    duressPasswordHash: { type: String, default: null }, // Secondary password that silently raises an SOS
+    safetyPinHash: { type: String, default: null }, // Short PIN for cancelling incidents (falls back to the password)
+    safetyPinAttempts: { type: Number, default: 0 }, // Wrong PINs since the last correct one or lockout
+    safetyPinLockedUntil: { type: Date, default: null },
     name: { type: String, required: true, trim: true },
     accountId: { type: String, required: true, unique: true, uppercase: true },
-    displayName: { type: String, trim: true },
-    parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // If set, this user is a child
-    children: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], // Array of child user IDs
+    // Guardian <-> child links (and per-guardian display names) live in the Guardianship model
     currentLocation: {
-      latitude: { type: Number },
-      longitude: { type: Number },
+      point: { type: pointSchema, default: undefined }, // Indexed for $geoNear radius queries
       address: { type: String },
       timestamp: { type: Date },
     },
@@ -20,6 +36,29 @@ const userSchema = new mongoose.Schema(
     batteryLevel: { type: Number, default: 100 }, // Battery percentage (0-100)
     isCharging: { type: Boolean, default: false }, // Is device charging
     batteryUpdatedAt: { type: Date }, // Last battery update timestamp
+    lastSeenAt: { type: Date }, // Last location/battery/socket activity from the device
+    silenceMonitor: {
+      enabled: { type: Boolean, default: false }, // Watch for silence even without an active journey
+      windowMinutes: { type: Number }, // Silence tolerated before guardians are alerted; config.heartbeat.defaultWindowMinutes if unset
+      alertedAt: { type: Date, default: null }, // Set once guardians were alerted for the current silence
+    },
+    // Whether (and when) this user is sent other people's SOS alerts
+    responderProfile: {
+      optedIn: { type: Boolean, default: false },
+      maxDistanceKm: { type: Number, default: DEFAULT_RESPONDER_DISTANCE_KM }, // Only alerted for SOS within this distance
+      quietHours: {
+        enabled: { type: Boolean, default: false },
+        start: { type: String, default: '22:00' }, // HH:mm in the user's time zone
+        end: { type: String, default: '07:00' },
+        timeZone: { type: String, default: 'UTC' }, // IANA name, e.g. Europe/London
+      },
+      volunteer: {
+        status: { type: String, enum: ['none', 'pending', 'verified'], default: 'none' },
+        qualification: { type: String, trim: true }, // e.g. "First aid (St John Ambulance)"
+        requestedAt: { type: Date },
+        verifiedAt: { type: Date }, // Set by verify-volunteer.js
+      },
+    },
     activeJourney: {
       isActive: { type: Boolean, default: false },
       from: {
@@ -39,18 +78,51 @@ const userSchema = new mongoose.Schema(
         },
       },
       selectedRoutePath: [[Number]], // Array of [lat, lng] coordinates
+      travelMode: { type: String, enum: ['walking', 'cycling', 'driving', 'transit', null] },
+      deviationThresholdMeters: { type: Number }, // Distance from the route that counts as off route
+      deviationGraceMinutes: { type: Number }, // Time to respond to a deviation prompt before guardians are alerted
       deviationDetected: { type: Boolean, default: false },
       deviationAlertSent: { type: Boolean, default: false },
       deviationAlertTime: { type: Date },
+      deviationEscalatedAt: { type: Date, default: null }, // Guardians alerted by the journey monitor
+      deviationEscalationLeaseUntil: { type: Date, default: null }, // Held by the monitor while it alerts; retried once it lapses
+      deviationReason: { type: String, enum: ['off_route', 'stationary', 'speed', null], default: null },
+      deviationLocation: {
+        lat: { type: Number },
+        lng: { type: Number },
+      },
+      deviationDistanceKm: { type: Number },
+      // Movement state for stop/speed anomaly detection
+      tracking: {
+        lastFix: {
+          lat: { type: Number },
+          lng: { type: Number },
+          timestamp: { type: Date },
+        },
+        stationaryAnchor: {
+          lat: { type: Number },
+          lng: { type: Number },
+        },
+        stationarySince: { type: Date },
+        speedViolations: { type: Number, default: 0 },
+      },
       startedAt: { type: Date },
+      expectedArrivalAt: { type: Date }, // Journey is overdue after this (plus the configured grace)
+      overdueAlertedAt: { type: Date, default: null },
+      overdueAlertLeaseUntil: { type: Date, default: null }, // As deviationEscalationLeaseUntil
+      journeyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Journey' }, // History record (see Journey model)
     },
     emergencyRecordings: [
       {
-        audioUrl: { type: String }, // Cloudinary URL
-        cloudinaryPublicId: { type: String },
+        audioUrl: { type: String }, // Public URL from the media storage provider
+        storageProvider: { type: String }, // 'local' | 's3' | 'cloudinary' (see utils/mediaStorage.js)
+        storageKey: { type: String }, // Provider-specific object key
+        cloudinaryPublicId: { type: String }, // Legacy: recordings stored before storage was pluggable
         timestamp: { type: String },
         duration: { type: Number }, // Duration in seconds
         fileSize: { type: Number }, // File size in bytes
+        sha256: { type: String }, // Hash of the file as received (see CustodyRecord)
+        incidentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Incident' }, // Set for live streams
       },
     ],
     emergencyContacts: [
@@ -66,9 +138,9 @@ const userSchema = new mongoose.Schema(
 
 // Add indexes for frequently queried fields to improve query performance
 // Note: email and accountId already have indexes from unique: true, so we skip those
-userSchema.index({ parentId: 1 });
-userSchema.index({ 'currentLocation.latitude': 1, 'currentLocation.longitude': 1 });
+userSchema.index({ 'currentLocation.point': '2dsphere' });
 userSchema.index({ 'activeJourney.isActive': 1 });
+userSchema.index({ 'silenceMonitor.enabled': 1 });
 
 export const User = mongoose.model('User', userSchema);
 
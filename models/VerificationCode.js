@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// One-time codes for password reset and email verification (only the hash is stored)
+const verificationCodeSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: ['password_reset', 'email_verification'],
+      required: true,
+    },
+    codeHash: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    consumedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+verificationCodeSchema.index({ userId: 1, purpose: 1, consumedAt: 1 });
+// Expired codes are removed automatically
+verificationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const VerificationCode = mongoose.model('VerificationCode', verificationCodeSchema);
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Log of safe zone arrivals and departures
+const zoneEventSchema = new mongoose.Schema(
+  {
+    zoneId: { type: mongoose.Schema.Types.ObjectId, ref: 'SafeZone', required: true },
+    childId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    zoneName: { type: String },
+    type: { type: String, enum: ['entered', 'exited'], required: true },
+    location: {
+      latitude: { type: Number },
+      longitude: { type: Number },
+    },
+    timestamp: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+zoneEventSchema.index({ childId: 1, timestamp: -1 });
+zoneEventSchema.index({ zoneId: 1, timestamp: -1 });
+
+export const ZoneEvent = mongoose.model('ZoneEvent', zoneEventSchema);
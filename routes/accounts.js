@@ -1,12 +1,53 @@
 import express from 'express';
-import { body, param, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
+import { Guardianship } from '../models/Guardianship.js';
 import { User } from '../models/User.js';
+import { formatLocation, toGeoPoint } from '../utils/geo.js';
+import { emitToGuardians, findGuardianship, sanitizeScopes, unlinkGuardian } from '../utils/guardians.js';
+import { markUserSeen, touchUserSeen } from '../utils/heartbeat.js';
+import { revokeTimelineAccess } from '../utils/incidentTimeline.js';
+import { checkJourneyAnomalies } from '../utils/journeyAnomalies.js';
 import { validateCoordinates } from '../utils/helpers.js';
+import { buildTrail, locationFixCursor, recordLocationFix } from '../utils/locationHistory.js';
 import { safeLog } from '../utils/logger.js';
+import { evaluateSafeZones } from '../utils/safeZones.js';
 import { sendError, sendSuccess, sendValidationError } from '../utils/response.js';
+import { EXPORT_FORMATS, streamTrackExport } from '../utils/trackFormats.js';
+import { publishUserEvent } from '../utils/userEvents.js';
 
 const router = express.Router();
 
+const MAX_TRAIL_RANGE_DAYS = 31;
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// IANA time zone names, e.g. Europe/London
+const isValidTimeZone = (timeZone) => {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone });
+    return typeof timeZone === 'string';
+  } catch {
+    return false;
+  }
+};
+
+const formatResponderProfile = (profile) => ({
+  optedIn: profile?.optedIn || false,
+  maxDistanceKm: profile?.maxDistanceKm,
+  quietHours: {
+    enabled: profile?.quietHours?.enabled || false,
+    start: profile?.quietHours?.start,
+    end: profile?.quietHours?.end,
+    timeZone: profile?.quietHours?.timeZone,
+  },
+  volunteer: {
+    status: profile?.volunteer?.status || 'none',
+    qualification: profile?.volunteer?.qualification || null,
+    requestedAt: profile?.volunteer?.requestedAt || null,
+    verifiedAt: profile?.volunteer?.verifiedAt || null,
+  },
+});
+
 // Validation middleware
 const validate = (req, res, next) => {
   const errors = validationResult(req);
@@ -17,63 +58,7 @@ const validate = (req, res, next) => {
 };
 
 // Factory function to create account routes with dependencies
-export const createAccountRoutes = (authenticate, connectedUsers, io) => {
-  // Add a child account (by account ID)
-  router.post('/add',
-    authenticate,
-    [
-      body('accountId').trim().notEmpty().withMessage('Account ID is required'),
-      body('displayName').optional().trim(),
-    ],
-    validate,
-    async (req, res) => {
-      try {
-        const { accountId, displayName } = req.body;
-
-        // Find the child user by account ID
-        const childUser = await User.findOne({ accountId: accountId.toUpperCase() });
-        if (!childUser) {
-          return sendError(res, 'Account with this ID not found', 404);
-        }
-
-        // Check if already a child
-        if (childUser.parentId) {
-          return sendError(res, 'This account is already linked to another parent', 400);
-        }
-
-        // Check if trying to add self
-        if (childUser._id.toString() === req.user._id.toString()) {
-          return sendError(res, 'Cannot add yourself as a child', 400);
-        }
-
-        // Link child to parent
-        childUser.parentId = req.user._id;
-        if (displayName) {
-          childUser.displayName = displayName;
-        }
-        await childUser.save();
-
-        // Add to parent's children array if not already there
-        if (!req.user.children.includes(childUser._id)) {
-          req.user.children.push(childUser._id);
-          await req.user.save();
-        }
-
-        return sendSuccess(res, {
-          child: {
-            id: childUser._id,
-            name: childUser.name,
-            accountId: childUser.accountId,
-            displayName: childUser.displayName || childUser.name,
-          },
-        }, 'Child account added successfully');
-      } catch (err) {
-        safeLog.error('Error adding child account', err);
-        return sendError(res, 'Failed to add child account', 500);
-      }
-    }
-  );
-
+export const createAccountRoutes = (authenticate, connectedUsers, io, heartbeatConfig) => {
   // Get all child accounts with their locations
   router.get('/children', authenticate, async (req, res) => {
     try {
@@ -81,27 +66,40 @@ export const createAccountRoutes = (authenticate, connectedUsers, io) => {
       const limit = Math.min(parseInt(req.query.limit) || 100, 100);
       const skip = (page - 1) * limit;
 
-      const children = await User.find({ parentId: req.user._id })
-        .select('name accountId displayName currentLocation updatedAt isAppEnabled activeJourney batteryLevel isCharging batteryUpdatedAt')
+      const guardianships = await Guardianship.find({ guardianId: req.user._id })
+        .sort({ createdAt: 1 })
         .skip(skip)
         .limit(limit)
         .lean();
 
-      const total = await User.countDocuments({ parentId: req.user._id });
-
-      const childrenWithLocation = children.map((child) => ({
-        id: child._id.toString(),
-        name: child.name,
-        accountId: child.accountId,
-        displayName: child.displayName || child.name,
-        location: child.currentLocation || null,
-        lastUpdated: child.currentLocation?.timestamp || child.updatedAt,
-        isAppEnabled: child.isAppEnabled !== undefined ? child.isAppEnabled : true,
-        activeJourney: child.activeJourney || null,
-        batteryLevel: child.batteryLevel !== undefined ? child.batteryLevel : 100,
-        isCharging: child.isCharging || false,
-        batteryUpdatedAt: child.batteryUpdatedAt || null,
-      }));
+      const total = await Guardianship.countDocuments({ guardianId: req.user._id });
+
+      const children = await User.find({ _id: { $in: guardianships.map((g) => g.childId) } })
+        .select('name accountId currentLocation updatedAt isAppEnabled activeJourney batteryLevel isCharging batteryUpdatedAt')
+        .lean();
+      const childrenById = new Map(children.map((child) => [child._id.toString(), child]));
+
+      // Only expose the data each guardianship's scopes allow
+      const childrenWithLocation = guardianships
+        .filter((g) => childrenById.has(g.childId.toString()))
+        .map((g) => {
+          const child = childrenById.get(g.childId.toString());
+          const scopes = g.scopes || {};
+          return {
+            id: child._id.toString(),
+            name: child.name,
+            accountId: child.accountId,
+            displayName: g.displayName || child.name,
+            scopes,
+            location: scopes.liveLocation ? formatLocation(child.currentLocation) : null,
+            lastUpdated: scopes.liveLocation ? child.currentLocation?.timestamp || child.updatedAt : null,
+            isAppEnabled: child.isAppEnabled !== undefined ? child.isAppEnabled : true,
+            activeJourney: scopes.journey ? child.activeJourney || null : null,
+            batteryLevel: scopes.battery ? (child.batteryLevel !== undefined ? child.batteryLevel : 100) : null,
+            isCharging: scopes.battery ? child.isCharging || false : null,
+            batteryUpdatedAt: scopes.battery ? child.batteryUpdatedAt || null : null,
+          };
+        });
 
       return sendSuccess(res, {
         children: childrenWithLocation,
@@ -131,30 +129,15 @@ export const createAccountRoutes = (authenticate, connectedUsers, io) => {
       try {
         const { childId } = req.params;
 
-        // Find child by ID and verify it belongs to this parent
-        const childUser = await User.findOne({
-          _id: childId,
-          parentId: req.user._id
-        });
-
-        if (!childUser) {
+        const removed = await unlinkGuardian(io, req.user._id, childId);
+        if (!removed) {
           return sendError(res, 'Child account not found or does not belong to you', 404);
         }
+        await revokeTimelineAccess(io, req.user._id, childId);
 
-        // Remove parent link from child
-        childUser.parentId = null;
-        childUser.displayName = undefined;
-        await childUser.save();
-
-        // Refresh parent user to get latest data
-        const parentUser = await User.findById(req.user._id);
-        if (parentUser) {
-          // Remove child from parent's children array
-          parentUser.children = parentUser.children.filter(
-            (id) => id.toString() !== childId
-          );
-          await parentUser.save();
-        }
+        io.to(`user:${childId}`).emit('guardian-unlinked', {
+          guardianId: req.user._id.toString(),
+        });
 
         return sendSuccess(res, null, 'Child account removed successfully');
       } catch (err) {
@@ -164,34 +147,161 @@ export const createAccountRoutes = (authenticate, connectedUsers, io) => {
     }
   );
 
-  // Update current location (for children to update their location)
+  // List the guardians watching the current user, with their scopes
+  router.get('/guardians', authenticate, async (req, res) => {
+    try {
+      const guardianships = await Guardianship.find({ childId: req.user._id })
+        .populate('guardianId', 'name accountId')
+        .sort({ createdAt: 1 })
+        .lean();
+
+      return sendSuccess(res, {
+        guardians: guardianships
+          .filter((g) => g.guardianId)
+          .map((g) => ({
+            id: g.guardianId._id.toString(),
+            name: g.guardianId.name,
+            accountId: g.guardianId.accountId,
+            scopes: g.scopes,
+            linkedAt: g.createdAt,
+          })),
+      });
+    } catch (err) {
+      safeLog.error('Error fetching guardians', err);
+      return sendError(res, 'Failed to fetch guardians', 500);
+    }
+  });
+
+  // Change what a guardian may see (only the protected user can do this)
+  router.patch('/guardians/:guardianId/scopes',
+    authenticate,
+    [
+      param('guardianId').isMongoId().withMessage('Invalid guardian ID format'),
+      body('liveLocation').optional().isBoolean().withMessage('liveLocation must be a boolean'),
+      body('battery').optional().isBoolean().withMessage('battery must be a boolean'),
+      body('journey').optional().isBoolean().withMessage('journey must be a boolean'),
+      body('evidence').optional().isBoolean().withMessage('evidence must be a boolean'),
+      body('sos').optional().isBoolean().withMessage('sos must be a boolean'),
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const { guardianId } = req.params;
+        const scopes = sanitizeScopes(req.body);
+
+        // Under duress the change is acknowledged but never applied, so alerts keep flowing
+        if (req.authSession.duress) {
+          const guardianship = await findGuardianship(guardianId, req.user._id);
+          if (!guardianship) {
+            return sendError(res, 'Guardian not found', 404);
+          }
+          return sendSuccess(res, {
+            scopes: { ...guardianship.toObject().scopes, ...scopes },
+          }, 'Guardian permissions updated successfully');
+        }
+
+        const update = {};
+        Object.entries(scopes).forEach(([scope, allowed]) => {
+          update[`scopes.${scope}`] = allowed;
+        });
+
+        const guardianship = await Guardianship.findOneAndUpdate(
+          { guardianId, childId: req.user._id },
+          { $set: update },
+          { new: true }
+        );
+        if (!guardianship) {
+          return sendError(res, 'Guardian not found', 404);
+        }
+        await revokeTimelineAccess(io, guardianId, req.user._id, guardianship.scopes.toObject());
+
+        io.to(`parent:${guardianId}`).emit('guardian-scopes-updated', {
+          childId: req.user._id.toString(),
+          scopes: guardianship.scopes,
+        });
+
+        return sendSuccess(res, {
+          scopes: guardianship.scopes,
+        }, 'Guardian permissions updated successfully');
+      } catch (err) {
+        safeLog.error('Error updating guardian scopes', err);
+        return sendError(res, 'Failed to update guardian permissions', 500);
+      }
+    }
+  );
+
+  // Update current location (for children to update their location).
+  // Every accepted fix is also stored in the location history.
   router.put('/location',
     authenticate,
     [
       body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
       body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
       body('address').optional().trim(),
+      body('accuracy').optional().isFloat({ min: 0 }).withMessage('Accuracy must be a positive number'),
+      body('speed').optional().isFloat({ min: 0 }).withMessage('Speed must be a positive number'),
+      body('heading').optional().isFloat({ min: 0, max: 360 }).withMessage('Heading must be between 0 and 360'),
+      body('source').optional().isIn(['gps', 'network', 'fused', 'manual']).withMessage('Invalid location source'),
+      body('batteryLevel').optional().isInt({ min: 0, max: 100 }).withMessage('Battery level must be between 0 and 100'),
+      body('timestamp').optional().isISO8601().withMessage('Invalid timestamp format'),
     ],
     validate,
     async (req, res) => {
       try {
-        const { latitude, longitude, address } = req.body;
+        const { latitude, longitude, address, accuracy, speed, heading, source, batteryLevel, timestamp } = req.body;
 
         // Additional validation using helper
         if (!validateCoordinates(latitude, longitude)) {
           return sendError(res, 'Invalid coordinates', 400);
         }
 
-        req.user.currentLocation = {
+        touchUserSeen(io, req.user._id);
+
+        // Device time is used for queued fixes, but never later than server time
+        const now = new Date();
+        const fixTime = timestamp && new Date(timestamp) < now ? new Date(timestamp) : now;
+
+        await recordLocationFix(req.user._id, {
+          timestamp: fixTime,
           latitude,
           longitude,
-          address: address || null,
-          timestamp: new Date(),
-        };
-        await req.user.save();
+          accuracy,
+          speed,
+          heading,
+          source,
+          batteryLevel,
+        });
+
+        // A late-arriving (older) fix only goes into the history
+        const lastFixTime = req.user.currentLocation?.timestamp;
+        if (!lastFixTime || fixTime >= lastFixTime) {
+          req.user.currentLocation = {
+            point: toGeoPoint(latitude, longitude),
+            address: address || null,
+            timestamp: fixTime,
+          };
+          await req.user.save();
+          publishUserEvent('location', req.user);
+
+          // Zone arrivals/departures must never break location updates
+          try {
+            await evaluateSafeZones(io, req.user, { latitude, longitude, accuracy, timestamp: fixTime });
+          } catch (zoneErr) {
+            safeLog.error('Error evaluating safe zones', zoneErr);
+          }
+
+          // Stops and speed anomalies during an active journey
+          if (req.user.activeJourney?.isActive) {
+            try {
+              await checkJourneyAnomalies(io, req.user, { latitude, longitude, timestamp: fixTime });
+            } catch (journeyErr) {
+              safeLog.error('Error checking journey anomalies', journeyErr);
+            }
+          }
+        }
 
         return sendSuccess(res, {
-          location: req.user.currentLocation,
+          location: formatLocation(req.user.currentLocation),
         }, 'Location updated successfully');
       } catch (err) {
         safeLog.error('Error updating location', err);
@@ -200,6 +310,152 @@ export const createAccountRoutes = (authenticate, connectedUsers, io) => {
     }
   );
 
+  // Validators shared by the trail endpoints
+  const trailValidators = [
+    query('from').optional().isISO8601().withMessage('Invalid from date'),
+    query('to').optional().isISO8601().withMessage('Invalid to date'),
+    query('toleranceMeters').optional().isFloat({ min: 0, max: 1000 }).withMessage('Tolerance must be between 0 and 1000 meters'),
+    query('maxPoints').optional().isInt({ min: 2, max: 5000 }).withMessage('maxPoints must be between 2 and 5000'),
+  ];
+
+  // Trail time range from the query (defaults to the last 24 hours). Returns { from, to } or { error }.
+  const resolveTrailRange = (reqQuery) => {
+    const to = reqQuery.to ? new Date(reqQuery.to) : new Date();
+    const from = reqQuery.from ? new Date(reqQuery.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+    if (from >= to) {
+      return { error: 'from must be before to' };
+    }
+    if (to - from > MAX_TRAIL_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      return { error: `Trail range cannot exceed ${MAX_TRAIL_RANGE_DAYS} days` };
+    }
+    return { from, to };
+  };
+
+  // Build and send a downsampled trail
+  const sendTrail = async (res, userId, reqQuery) => {
+    const { from, to, error } = resolveTrailRange(reqQuery);
+    if (error) {
+      return sendError(res, error, 400);
+    }
+
+    const trail = await buildTrail(userId, {
+      from,
+      to,
+      toleranceMeters: reqQuery.toleranceMeters !== undefined ? parseFloat(reqQuery.toleranceMeters) : undefined,
+      maxPoints: reqQuery.maxPoints !== undefined ? parseInt(reqQuery.maxPoints) : undefined,
+    });
+
+    return sendSuccess(res, { trail });
+  };
+
+  // Get own location trail
+  router.get('/trail',
+    authenticate,
+    trailValidators,
+    validate,
+    async (req, res) => {
+      try {
+        return await sendTrail(res, req.user._id, req.query);
+      } catch (err) {
+        safeLog.error('Error fetching location trail', err);
+        return sendError(res, 'Failed to fetch location trail', 500);
+      }
+    }
+  );
+
+  // Get a child's location trail (requires the liveLocation scope)
+  router.get('/children/:childId/trail',
+    authenticate,
+    [
+      param('childId').isMongoId().withMessage('Invalid child ID format'),
+      ...trailValidators,
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const guardianship = await findGuardianship(req.user._id, req.params.childId, 'liveLocation');
+        if (!guardianship) {
+          return sendError(res, 'Child account not found or location access not granted', 404);
+        }
+
+        return await sendTrail(res, guardianship.childId, req.query);
+      } catch (err) {
+        safeLog.error('Error fetching child location trail', err);
+        return sendError(res, 'Failed to fetch location trail', 500);
+      }
+    }
+  );
+
+  const exportValidators = [
+    query('format').isIn(EXPORT_FORMATS).withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+    query('from').optional().isISO8601().withMessage('Invalid from date'),
+    query('to').optional().isISO8601().withMessage('Invalid to date'),
+  ];
+
+  // Stream every stored fix in the range (not downsampled) as GPX, KML or GeoJSON
+  const sendTrailExport = async (res, user, reqQuery) => {
+    const { from, to, error } = resolveTrailRange(reqQuery);
+    if (error) {
+      return sendError(res, error, 400);
+    }
+
+    return streamTrackExport(res, reqQuery.format, {
+      name: `${user.name} ${from.toISOString()} - ${to.toISOString()}`,
+      filename: `trail-${user.accountId}-${from.toISOString().slice(0, 10)}`,
+      points: () => locationFixCursor(user._id, from, to),
+    });
+  };
+
+  const handleExportError = (res, err) => {
+    safeLog.error('Error exporting location trail', err);
+    // Once streaming has started the only way to signal failure is to cut the download
+    if (res.headersSent) {
+      return res.destroy(err);
+    }
+    return sendError(res, 'Failed to export location trail', 500);
+  };
+
+  // Export own location trail
+  router.get('/trail/export',
+    authenticate,
+    exportValidators,
+    validate,
+    async (req, res) => {
+      try {
+        return await sendTrailExport(res, req.user, req.query);
+      } catch (err) {
+        return handleExportError(res, err);
+      }
+    }
+  );
+
+  // Export a child's location trail (requires the liveLocation scope)
+  router.get('/children/:childId/trail/export',
+    authenticate,
+    [
+      param('childId').isMongoId().withMessage('Invalid child ID format'),
+      ...exportValidators,
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const guardianship = await findGuardianship(req.user._id, req.params.childId, 'liveLocation');
+        if (!guardianship) {
+          return sendError(res, 'Child account not found or location access not granted', 404);
+        }
+        const child = await User.findById(guardianship.childId).select('name accountId');
+        if (!child) {
+          return sendError(res, 'Child account not found', 404);
+        }
+
+        return await sendTrailExport(res, child, req.query);
+      } catch (err) {
+        return handleExportError(res, err);
+      }
+    }
+  );
+
   // Update app enabled state
   router.put('/app-state',
     authenticate,
@@ -220,18 +476,17 @@ export const createAccountRoutes = (authenticate, connectedUsers, io) => {
           isAppEnabled: req.user.isAppEnabled,
         });
 
-        // If user is a child, notify parent
-        if (req.user.parentId) {
-          io.to(`parent:${req.user.parentId}`).emit('child-app-state-changed', {
-            childId: req.user._id.toString(),
-            isAppEnabled: req.user.isAppEnabled,
-          });
-        }
+        // If user is a child, notify guardians
+        await emitToGuardians(io, req.user._id, 'liveLocation', 'child-app-state-changed', {
+          childId: req.user._id.toString(),
+          isAppEnabled: req.user.isAppEnabled,
+        });
 
         // If user is a parent, notify all children
-        if (req.user.children && req.user.children.length > 0) {
-          safeLog.info(`Broadcasting to children`, { childrenCount: req.user.children.length });
-          req.user.children.forEach((childId) => {
+        const childIds = await Guardianship.find({ guardianId: req.user._id }).distinct('childId');
+        if (childIds.length > 0) {
+          safeLog.info(`Broadcasting to children`, { childrenCount: childIds.length });
+          childIds.forEach((childId) => {
             const childIdStr = childId.toString();
             const parentIdStr = req.user._id.toString();
 
@@ -281,21 +536,21 @@ export const createAccountRoutes = (authenticate, connectedUsers, io) => {
     async (req, res) => {
       try {
         const { batteryLevel, isCharging } = req.body;
+        touchUserSeen(io, req.user._id);
 
         req.user.batteryLevel = batteryLevel;
         req.user.isCharging = isCharging;
         req.user.batteryUpdatedAt = new Date();
         await req.user.save();
-
-        // If user is a child, notify parent via WebSocket
-        if (req.user.parentId) {
-          io.to(`parent:${req.user.parentId}`).emit('child-battery-updated', {
-            childId: req.user._id.toString(),
-            batteryLevel,
-            isCharging,
-            timestamp: req.user.batteryUpdatedAt,
-          });
-        }
+        publishUserEvent('battery', req.user);
+
+        // If user is a child, notify guardians via WebSocket
+        await emitToGuardians(io, req.user._id, 'battery', 'child-battery-updated', {
+          childId: req.user._id.toString(),
+          batteryLevel,
+          isCharging,
+          timestamp: req.user.batteryUpdatedAt,
+        });
 
         return sendSuccess(res, {
           batteryLevel: req.user.batteryLevel,
@@ -310,6 +565,140 @@ export const createAccountRoutes = (authenticate, connectedUsers, io) => {
   );
 
 
+  // Explicit keep-alive for apps that cannot hold a socket open in the background
+  router.post('/heartbeat', authenticate, async (req, res) => {
+    try {
+      await markUserSeen(io, req.user._id);
+      return sendSuccess(res, { serverTime: new Date() });
+    } catch (err) {
+      safeLog.error('Error recording heartbeat', err);
+      return sendError(res, 'Failed to record heartbeat', 500);
+    }
+  });
+
+  // Get silent-device monitoring settings
+  router.get('/monitoring', authenticate, async (req, res) => {
+    try {
+      return sendSuccess(res, {
+        enabled: req.user.silenceMonitor?.enabled || false,
+        windowMinutes: req.user.silenceMonitor?.windowMinutes || heartbeatConfig.defaultWindowMinutes,
+        lastSeenAt: req.user.lastSeenAt || null,
+      });
+    } catch (err) {
+      safeLog.error('Error fetching monitoring settings', err);
+      return sendError(res, 'Failed to fetch monitoring settings', 500);
+    }
+  });
+
+  // Turn silent-device monitoring on/off outside journeys and set the silence window.
+  // During an active journey the device is always monitored.
+  router.put('/monitoring',
+    authenticate,
+    [
+      body('enabled').optional().isBoolean().withMessage('enabled must be a boolean'),
+      body('windowMinutes').optional().isInt({ min: 5, max: 24 * 60 }).withMessage('Window must be between 5 and 1440 minutes'),
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const { enabled, windowMinutes } = req.body;
+
+        if (enabled !== undefined) req.user.silenceMonitor.enabled = enabled;
+        if (windowMinutes !== undefined) req.user.silenceMonitor.windowMinutes = windowMinutes;
+        await req.user.save();
+        // The caller is clearly online - the window starts now
+        await markUserSeen(io, req.user._id);
+
+        return sendSuccess(res, {
+          enabled: req.user.silenceMonitor.enabled,
+          windowMinutes: req.user.silenceMonitor.windowMinutes || heartbeatConfig.defaultWindowMinutes,
+        }, 'Monitoring settings updated successfully');
+      } catch (err) {
+        safeLog.error('Error updating monitoring settings', err);
+        return sendError(res, 'Failed to update monitoring settings', 500);
+      }
+    }
+  );
+
+  // Get the responder profile that controls whether this user receives other people's SOS alerts
+  router.get('/responder-profile', authenticate, async (req, res) => {
+    try {
+      return sendSuccess(res, { responderProfile: formatResponderProfile(req.user.responderProfile) });
+    } catch (err) {
+      safeLog.error('Error fetching responder profile', err);
+      return sendError(res, 'Failed to fetch responder profile', 500);
+    }
+  });
+
+  // Opt in/out of SOS alerts, set the max distance and quiet hours
+  router.put('/responder-profile',
+    authenticate,
+    [
+      body('optedIn').optional().isBoolean().withMessage('optedIn must be a boolean'),
+      body('maxDistanceKm').optional().isFloat({ min: 0.1, max: 50 }).withMessage('Max distance must be between 0.1 and 50 km'),
+      body('quietHours').optional().isObject().withMessage('quietHours must be an object'),
+      body('quietHours.enabled').optional().isBoolean().withMessage('quietHours.enabled must be a boolean'),
+      body('quietHours.start').optional().matches(TIME_OF_DAY).withMessage('quietHours.start must be HH:mm'),
+      body('quietHours.end').optional().matches(TIME_OF_DAY).withMessage('quietHours.end must be HH:mm'),
+      body('quietHours.timeZone').optional().custom(isValidTimeZone).withMessage('Invalid time zone'),
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const { optedIn, maxDistanceKm, quietHours = {} } = req.body;
+        const profile = req.user.responderProfile;
+
+        if (optedIn !== undefined) profile.optedIn = optedIn;
+        if (maxDistanceKm !== undefined) profile.maxDistanceKm = maxDistanceKm;
+        ['enabled', 'start', 'end', 'timeZone'].forEach((key) => {
+          if (quietHours[key] !== undefined) profile.quietHours[key] = quietHours[key];
+        });
+        if (profile.quietHours.enabled && profile.quietHours.start === profile.quietHours.end) {
+          return sendError(res, 'Quiet hours must start and end at different times', 400);
+        }
+        await req.user.save();
+
+        safeLog.info('[Responder] Responder profile updated', { userId: req.user._id, optedIn: profile.optedIn });
+        return sendSuccess(res, { responderProfile: formatResponderProfile(profile) }, 'Responder profile updated successfully');
+      } catch (err) {
+        safeLog.error('Error updating responder profile', err);
+        return sendError(res, 'Failed to update responder profile', 500);
+      }
+    }
+  );
+
+  // Ask to be listed as a verified volunteer (e.g. trained first aider).
+  // Requests are reviewed out of band and approved with verify-volunteer.js.
+  router.post('/responder-profile/verification',
+    authenticate,
+    [
+      body('qualification').trim().notEmpty().withMessage('Qualification is required')
+        .isLength({ max: 200 }).withMessage('Qualification must be at most 200 characters'),
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const { volunteer } = req.user.responderProfile;
+        if (volunteer.status === 'verified') {
+          return sendError(res, 'You are already a verified volunteer', 409);
+        }
+
+        volunteer.status = 'pending';
+        volunteer.qualification = req.body.qualification;
+        volunteer.requestedAt = new Date();
+        await req.user.save();
+
+        safeLog.info('[Responder] Volunteer verification requested', { userId: req.user._id });
+        return sendSuccess(res, {
+          responderProfile: formatResponderProfile(req.user.responderProfile),
+        }, 'Verification requested', 202);
+      } catch (err) {
+        safeLog.error('Error requesting volunteer verification', err);
+        return sendError(res, 'Failed to request verification', 500);
+      }
+    }
+  );
+
   // Get emergency contacts
   router.get('/contacts', authenticate, async (req, res) => {
     try {
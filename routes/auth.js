@@ -1,15 +1,42 @@
 import bcrypt from 'bcryptjs';
 import express from 'express';
+import jwt from 'jsonwebtoken';
+import { Session } from '../models/Session.js';
 import { User } from '../models/User.js';
 import { generateAccountId, validateEmail, validatePassword, sanitizeString } from '../utils/helpers.js';
 import { safeLog } from '../utils/logger.js';
+import { describeSession, openSession, revokeSessions, revokeUserSessions, rotateRefreshToken } from '../utils/sessions.js';
+import { triggerDuressIncident } from '../utils/duress.js';
+import { consumeVerificationCode, issueVerificationCode, verificationCodeTtlMinutes } from '../utils/verificationCodes.js';
 import { createSignToken } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Factory function to create auth routes with dependencies
-export const createAuthRoutes = (JWT_SECRET, authLimiter) => {
-  const signToken = createSignToken(JWT_SECRET);
+export const createAuthRoutes = (jwtConfig, authLimiter, refreshLimiter, authenticate, io, mailTransport, contactNotifier) => {
+  const signToken = createSignToken(jwtConfig.secret, jwtConfig.accessTokenExpiresIn);
+
+  // Build the token pair returned by register/login/refresh
+  const buildTokens = (userId, session, refreshToken) => {
+    const token = signToken(userId.toString(), session._id.toString());
+    const { exp } = jwt.decode(token);
+    return {
+      token,
+      refreshToken,
+      expiresAt: new Date(exp * 1000).toISOString(),
+      sessionId: session._id.toString(),
+    };
+  };
+
+  // Generate an email verification code and mail it to the user
+  const sendVerificationEmail = async (user) => {
+    const { code } = await issueVerificationCode(user._id, 'email_verification');
+    await mailTransport.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: `Hi ${user.name},\n\nYour verification code is ${code}. It expires in ${verificationCodeTtlMinutes} minutes.`,
+    });
+  };
 
   // Register route
   router.post('/register', authLimiter, async (req, res) => {
@@ -67,14 +94,19 @@ export const createAuthRoutes = (JWT_SECRET, authLimiter) => {
         name: sanitizedName,
         accountId 
       });
-      const token = signToken(user._id.toString());
+      const { session, refreshToken } = await openSession(user, req, jwtConfig.refreshTokenTtlDays, io);
+
+      // Registration must not fail because the mail provider is down
+      sendVerificationEmail(user).catch((err) => safeLog.error('Error sending verification email', err));
+
       res.status(201).json({ 
-        token, 
+        ...buildTokens(user._id, session, refreshToken),
         user: { 
           id: user._id, 
           email: user.email, 
           name: user.name,
-          accountId: user.accountId 
+          accountId: user.accountId,
+          emailVerified: user.emailVerified,
         } 
       });
     } catch (err) {
@@ -101,18 +133,29 @@ export const createAuthRoutes = (JWT_SECRET, authLimiter) => {
         return res.status(401).json({ error: 'Invalid credentials' });
       }
       const valid = await bcrypt.compare(password, user.passwordHash);
-      if (!valid) {
+      const isDuress = !valid && !!user.duressPasswordHash &&
+        await bcrypt.compare(password, user.duressPasswordHash);
+      if (!valid && !isDuress) {
         return res.status(401).json({ error: 'Invalid credentials' });
       }
-      const token = signToken(user._id.toString());
+      const { session, refreshToken } = await openSession(user, req, jwtConfig.refreshTokenTtlDays, io);
+
+      // Duress login: respond exactly like a normal login, raise the alarm in the background
+      if (isDuress) {
+        session.duress = true;
+        await session.save();
+        triggerDuressIncident({ user, session, location: req.body.location, io, contactNotifier })
+          .catch((err) => safeLog.error('Error raising duress incident', err));
+      }
       res.json({ 
-        token, 
+        ...buildTokens(user._id, session, refreshToken),
         user: { 
           id: user._id, 
           email: user.email,
           name: user.name,
           accountId: user.accountId,
-          isAppEnabled: user.isAppEnabled !== undefined ? user.isAppEnabled : true
+          isAppEnabled: user.isAppEnabled !== undefined ? user.isAppEnabled : true,
+          emailVerified: user.emailVerified || false,
         } 
       });
     } catch (err) {
@@ -121,6 +164,306 @@ export const createAuthRoutes = (JWT_SECRET, authLimiter) => {
     }
   });
 
+  // Set or change the duress password (requires the real password)
+  router.put('/duress-password', authenticate, async (req, res) => {
+    try {
+      const { currentPassword, duressPassword } = req.body;
+      if (!currentPassword || !duressPassword) {
+        return res.status(400).json({ error: 'Current password and duress password are required' });
+      }
+
+      const passwordValidation = validatePassword(duressPassword);
+      if (!passwordValidation.valid) {
+        return res.status(400).json({ error: passwordValidation.error });
+      }
+
+      // Under duress the change is acknowledged but never applied
+      if (req.authSession.duress) {
+        return res.json({ message: 'Duress password saved' });
+      }
+
+      const valid = await bcrypt.compare(currentPassword, req.user.passwordHash);
+      if (!valid) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+
+      if (await bcrypt.compare(duressPassword, req.user.passwordHash)) {
+        return res.status(400).json({ error: 'Duress password must be different from your password' });
+      }
+
+      req.user.duressPasswordHash = await bcrypt.hash(duressPassword, 10);
+      await req.user.save();
+
+      safeLog.info('[Auth] Duress password set', { userId: req.user._id });
+      res.json({ message: 'Duress password saved' });
+    } catch (err) {
+      safeLog.error('Error setting duress password', err);
+      res.status(500).json({ error: 'Failed to save duress password' });
+    }
+  });
+
+  // Remove the duress password (requires the real password)
+  router.delete('/duress-password', authenticate, async (req, res) => {
+    try {
+      const { currentPassword } = req.body;
+      if (!currentPassword) {
+        return res.status(400).json({ error: 'Current password is required' });
+      }
+
+      // Under duress the removal is acknowledged but never applied
+      if (req.authSession.duress) {
+        return res.json({ message: 'Duress password removed' });
+      }
+
+      const valid = await bcrypt.compare(currentPassword, req.user.passwordHash);
+      if (!valid) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+
+      req.user.duressPasswordHash = null;
+      await req.user.save();
+
+      safeLog.info('[Auth] Duress password removed', { userId: req.user._id });
+      res.json({ message: 'Duress password removed' });
+    } catch (err) {
+      safeLog.error('Error removing duress password', err);
+      res.status(500).json({ error: 'Failed to remove duress password' });
+    }
+  });
+
+  // Request a password reset code. Always answers the same way so it cannot be
+  // used to discover which emails are registered.
+  router.post('/password-reset/request', authLimiter, async (req, res) => {
+    try {
+      const { email } = req.body;
+      if (!email || !validateEmail(email)) {
+        return res.status(400).json({ error: 'A valid email is required' });
+      }
+
+      const user = await User.findOne({ email: email.toLowerCase().trim() });
+      if (user) {
+        // A failure here must not change the answer, or an outage would reveal registered emails
+        try {
+          const { code } = await issueVerificationCode(user._id, 'password_reset');
+          await mailTransport.send({
+            to: user.email,
+            subject: 'Reset your password',
+            text: `Hi ${user.name},\n\nYour password reset code is ${code}. It expires in ${verificationCodeTtlMinutes} minutes.\n\nIf you did not request this, you can ignore this email.`,
+          });
+          safeLog.info('[Auth] Password reset code issued', { userId: user._id });
+        } catch (err) {
+          safeLog.error('Error sending password reset code', err);
+        }
+      }
+
+      res.json({ message: 'If that email is registered, a reset code has been sent' });
+    } catch (err) {
+      safeLog.error('Error requesting password reset', err);
+      res.status(500).json({ error: 'Failed to request password reset' });
+    }
+  });
+
+  // Confirm a password reset with the emailed code. Signs out every device.
+  router.post('/password-reset/confirm', authLimiter, async (req, res) => {
+    try {
+      const { email, code, newPassword } = req.body;
+      if (!email || !code || !newPassword) {
+        return res.status(400).json({ error: 'Email, code, and new password are required' });
+      }
+
+      const passwordValidation = validatePassword(newPassword);
+      if (!passwordValidation.valid) {
+        return res.status(400).json({ error: passwordValidation.error });
+      }
+
+      const user = await User.findOne({ email: email.toLowerCase().trim() });
+      if (!user) {
+        return res.status(400).json({ error: 'Code is invalid or has expired. Please request a new code.' });
+      }
+
+      const result = await consumeVerificationCode(user._id, 'password_reset', String(code));
+      if (!result.valid) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      user.passwordHash = await bcrypt.hash(newPassword, 10);
+      user.passwordChangedAt = new Date();
+      // Receiving the code proves ownership of the mailbox
+      if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+      }
+      await user.save();
+
+      await revokeUserSessions(io, user._id, 'password_reset');
+      safeLog.info('[Auth] Password reset completed', { userId: user._id });
+
+      res.json({ message: 'Password reset successfully. Please log in again.' });
+    } catch (err) {
+      safeLog.error('Error confirming password reset', err);
+      res.status(500).json({ error: 'Failed to reset password' });
+    }
+  });
+
+  // Send (or resend) the email verification code
+  router.post('/verify-email/request', authenticate, async (req, res) => {
+    try {
+      if (req.user.emailVerified) {
+        return res.status(400).json({ error: 'Email is already verified' });
+      }
+
+      // Answered the same way whether or not the mail goes out; the user can ask again
+      try {
+        await sendVerificationEmail(req.user);
+      } catch (err) {
+        safeLog.error('Error sending verification email', err);
+      }
+      res.json({ message: 'Verification code sent' });
+    } catch (err) {
+      safeLog.error('Error requesting email verification', err);
+      res.status(500).json({ error: 'Failed to send verification code' });
+    }
+  });
+
+  // Confirm the email address with the emailed code
+  router.post('/verify-email/confirm', authenticate, async (req, res) => {
+    try {
+      const { code } = req.body;
+      if (!code) {
+        return res.status(400).json({ error: 'Code is required' });
+      }
+
+      if (req.user.emailVerified) {
+        return res.json({ message: 'Email is already verified', emailVerified: true });
+      }
+
+      const result = await consumeVerificationCode(req.user._id, 'email_verification', String(code));
+      if (!result.valid) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      req.user.emailVerified = true;
+      req.user.emailVerifiedAt = new Date();
+      await req.user.save();
+
+      res.json({ message: 'Email verified successfully', emailVerified: true });
+    } catch (err) {
+      safeLog.error('Error confirming email verification', err);
+      res.status(500).json({ error: 'Failed to verify email' });
+    }
+  });
+
+  // Exchange a refresh token for a new access token (the refresh token is rotated)
+  router.post('/refresh', refreshLimiter, async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+      if (!refreshToken) {
+        return res.status(400).json({ error: 'Refresh token is required' });
+      }
+
+      const result = await rotateRefreshToken(refreshToken, jwtConfig.refreshTokenTtlDays, io);
+      if (result.error) {
+        return res.status(401).json({ error: result.error });
+      }
+
+      res.json(buildTokens(result.session.userId, result.session, result.refreshToken));
+    } catch (err) {
+      safeLog.error('Error refreshing token', err);
+      res.status(500).json({ error: 'Token refresh failed' });
+    }
+  });
+
+  // Log out the current session
+  router.post('/logout', authenticate, async (req, res) => {
+    try {
+      await revokeSessions(io, [req.authSession._id], 'logout');
+      res.json({ message: 'Logged out successfully' });
+    } catch (err) {
+      safeLog.error('Error in logout', err);
+      res.status(500).json({ error: 'Logout failed' });
+    }
+  });
+
+  // List active sessions (devices) of the current user
+  router.get('/sessions', authenticate, async (req, res) => {
+    try {
+      const sessions = await Session.find({
+        userId: req.user._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      }).sort({ lastUsedAt: -1 });
+
+      res.json({
+        sessions: sessions.map((s) => describeSession(s, req.authSession._id)),
+      });
+    } catch (err) {
+      safeLog.error('Error listing sessions', err);
+      res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+  });
+
+  // Revoke a single session (e.g. a lost or stolen phone)
+  router.delete('/sessions/:id', authenticate, async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!/^[a-f0-9]{24}$/.test(id)) {
+        return res.status(400).json({ error: 'Invalid session ID format' });
+      }
+
+      const session = await Session.findOne({ _id: id, userId: req.user._id, revokedAt: null });
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      // Under duress other devices are reported as revoked but stay signed in, so they keep
+      // receiving alerts; the duress session can still log itself out
+      if (req.authSession.duress && !session._id.equals(req.authSession._id)) {
+        return res.json({ message: 'Session revoked successfully' });
+      }
+
+      await revokeSessions(io, [session._id], 'revoked_by_user');
+      safeLog.info('[Sessions] Session revoked by user', { userId: req.user._id });
+      res.json({ message: 'Session revoked successfully' });
+    } catch (err) {
+      safeLog.error('Error revoking session', err);
+      res.status(500).json({ error: 'Failed to revoke session' });
+    }
+  });
+
+  // Log out everywhere - pass ?keepCurrent=true to stay signed in on this device
+  router.delete('/sessions', authenticate, async (req, res) => {
+    try {
+      const keepCurrent = req.query.keepCurrent === 'true';
+
+      // Under duress only the duress session itself is logged out; the count covers the
+      // sessions a real request would have revoked
+      if (req.authSession.duress) {
+        const revokedCount = await Session.countDocuments({
+          userId: req.user._id,
+          revokedAt: null,
+          ...(keepCurrent ? { _id: { $ne: req.authSession._id } } : {}),
+        });
+        if (!keepCurrent) {
+          await revokeSessions(io, [req.authSession._id], 'logout');
+        }
+        return res.json({ message: 'Sessions revoked successfully', revokedCount });
+      }
+
+      const revokedCount = await revokeUserSessions(
+        io,
+        req.user._id,
+        'logout_everywhere',
+        keepCurrent ? req.authSession._id : null
+      );
+
+      safeLog.info('[Sessions] Logged out everywhere', { userId: req.user._id, revokedCount });
+      res.json({ message: 'Sessions revoked successfully', revokedCount });
+    } catch (err) {
+      safeLog.error('Error revoking sessions', err);
+      res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+  });
+
   return router;
 };
 
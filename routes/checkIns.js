@@ -0,0 +1,297 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { config } from '../config/index.js';
+import { CheckIn } from '../models/CheckIn.js';
+import { emitToGuardians } from '../utils/guardians.js';
+import { validateCoordinates } from '../utils/helpers.js';
+import { safeLog } from '../utils/logger.js';
+import { sendError, sendSuccess, sendValidationError } from '../utils/response.js';
+
+const router = express.Router();
+
+// Validation middleware
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array());
+  }
+  next();
+};
+
+const hasDestination = (destination) => Boolean(destination &&
+  (destination.name || destination.address || typeof destination.latitude === 'number'));
+
+const formatCheckIn = (checkIn) => ({
+  id: checkIn._id.toString(),
+  deadline: checkIn.deadline,
+  destination: hasDestination(checkIn.destination) ? checkIn.destination : null,
+  note: checkIn.note || null,
+  status: checkIn.status,
+  extensionCount: checkIn.extensionCount,
+  completedAt: checkIn.completedAt || null,
+  cancelledAt: checkIn.cancelledAt || null,
+  escalatedAt: checkIn.escalatedAt || null,
+  createdAt: checkIn.createdAt,
+});
+
+// Resolve the requested deadline from either an absolute time or a duration.
+// Returns { deadline } or { error }.
+const resolveDeadline = ({ deadline, durationMinutes }, maxDurationHours) => {
+  const now = Date.now();
+  let time;
+  if (deadline !== undefined) {
+    time = new Date(deadline).getTime();
+  } else if (durationMinutes !== undefined) {
+    time = now + durationMinutes * 60 * 1000;
+  } else {
+    return { error: 'Either deadline or durationMinutes is required' };
+  }
+
+  if (time <= now + 60 * 1000) {
+    return { error: 'Deadline must be at least a minute in the future' };
+  }
+  if (time > now + maxDurationHours * 60 * 60 * 1000) {
+    return { error: `Deadline must be within ${maxDurationHours} hours` };
+  }
+  return { deadline: new Date(time) };
+};
+
+const destinationValidators = [
+  body('destination').optional().isObject().withMessage('Destination must be an object'),
+  body('destination.name').optional().trim().isLength({ max: 100 }).withMessage('Destination name is too long'),
+  body('destination.address').optional().trim().isLength({ max: 200 }).withMessage('Destination address is too long'),
+  body('destination.latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  body('destination.longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters'),
+];
+
+// Pick the destination fields that were sent. Returns { destination } or { error }.
+const parseDestination = (destination) => {
+  if (!destination) return { destination: undefined };
+  const { name, address, latitude, longitude } = destination;
+  const hasLatitude = latitude !== undefined;
+  if (hasLatitude !== (longitude !== undefined)) {
+    return { error: 'Destination needs both latitude and longitude' };
+  }
+  if (hasLatitude && !validateCoordinates(latitude, longitude)) {
+    return { error: 'Invalid destination coordinates' };
+  }
+  return { destination: { name, address, latitude, longitude } };
+};
+
+// Factory function to create check-in routes with dependencies.
+// Overdue check-ins are escalated by jobs/checkInMonitor.js.
+export const createCheckInRoutes = (authenticate, io, contactNotifier) => {
+  const { maxDurationHours } = config.checkIns;
+
+  // Current check-in plus recent history
+  router.get('/',
+    authenticate,
+    [query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')],
+    validate,
+    async (req, res) => {
+      try {
+        const limit = parseInt(req.query.limit) || 20;
+        const checkIns = await CheckIn.find({ userId: req.user._id })
+          .sort({ createdAt: -1 })
+          .limit(limit);
+
+        const active = checkIns.find((checkIn) => checkIn.status === 'active') || null;
+
+        return sendSuccess(res, {
+          active: active && formatCheckIn(active),
+          history: checkIns.map(formatCheckIn),
+        });
+      } catch (err) {
+        safeLog.error('Error fetching check-ins', err);
+        return sendError(res, 'Failed to fetch check-ins', 500);
+      }
+    }
+  );
+
+  // Start a check-in timer. Only one can be active at a time.
+  router.post('/',
+    authenticate,
+    [
+      body('deadline').optional().isISO8601().withMessage('Invalid deadline format'),
+      body('durationMinutes').optional().isInt({ min: 1 }).withMessage('Duration must be a positive number of minutes'),
+      ...destinationValidators,
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const { deadline, error } = resolveDeadline(req.body, maxDurationHours);
+        if (error) {
+          return sendError(res, error, 400);
+        }
+        const parsed = parseDestination(req.body.destination);
+        if (parsed.error) {
+          return sendError(res, parsed.error, 400);
+        }
+
+        let checkIn;
+        try {
+          checkIn = await CheckIn.create({
+            userId: req.user._id,
+            deadline,
+            destination: parsed.destination,
+            note: req.body.note,
+          });
+        } catch (createErr) {
+          // Unique partial index: one active check-in per user
+          if (createErr.code === 11000) {
+            return sendError(res, 'You already have an active check-in', 409);
+          }
+          throw createErr;
+        }
+
+        await emitToGuardians(io, req.user._id, 'journey', 'child-checkin-started', {
+          childId: req.user._id.toString(),
+          childName: req.user.name,
+          checkIn: formatCheckIn(checkIn),
+        });
+
+        safeLog.info('[CheckIn] Check-in started', { userId: req.user._id, deadline });
+
+        return sendSuccess(res, { checkIn: formatCheckIn(checkIn) }, 'Check-in started successfully', 201);
+      } catch (err) {
+        safeLog.error('Error starting check-in', err);
+        return sendError(res, 'Failed to start check-in', 500);
+      }
+    }
+  );
+
+  // Extend, edit or complete a check-in.
+  // Completing is also allowed after escalation, so a late check-in stands everyone down.
+  router.patch('/:checkInId',
+    authenticate,
+    [
+      param('checkInId').isMongoId().withMessage('Invalid check-in ID format'),
+      body('status').optional().isIn(['completed']).withMessage('Status can only be set to completed'),
+      body('deadline').optional().isISO8601().withMessage('Invalid deadline format'),
+      body('extendMinutes').optional().isInt({ min: 1 }).withMessage('Extension must be a positive number of minutes'),
+      ...destinationValidators,
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const checkIn = await CheckIn.findOne({ _id: req.params.checkInId, userId: req.user._id });
+        if (!checkIn) {
+          return sendError(res, 'Check-in not found', 404);
+        }
+
+        const { status, deadline, extendMinutes, destination, note } = req.body;
+
+        if (status === 'completed') {
+          if (!['active', 'escalated'].includes(checkIn.status)) {
+            return sendError(res, `Check-in is already ${checkIn.status}`, 409);
+          }
+          // An escalation in progress may already have reached guardians and contacts
+          const wasEscalated = checkIn.status === 'escalated' || Boolean(checkIn.escalationLeaseUntil);
+          checkIn.status = 'completed';
+          checkIn.completedAt = new Date();
+          await checkIn.save();
+
+          await emitToGuardians(io, req.user._id, wasEscalated ? 'sos' : 'journey', 'child-checkin-completed', {
+            childId: req.user._id.toString(),
+            childName: req.user.name,
+            checkInId: checkIn._id.toString(),
+            afterEscalation: wasEscalated,
+            timestamp: checkIn.completedAt,
+          });
+          if (wasEscalated && checkIn.contactsNotified > 0) {
+            await contactNotifier.notifyEmergencyContacts(
+              req.user,
+              `${req.user.name} has now checked in. No further action is needed.`
+            );
+          }
+
+          return sendSuccess(res, { checkIn: formatCheckIn(checkIn) }, 'Checked in successfully');
+        }
+
+        if (checkIn.status !== 'active') {
+          return sendError(res, `Check-in is already ${checkIn.status}`, 409);
+        }
+
+        if (deadline !== undefined || extendMinutes !== undefined) {
+          const requested = extendMinutes !== undefined
+            ? { deadline: new Date(checkIn.deadline.getTime() + extendMinutes * 60 * 1000) }
+            : { deadline };
+          const resolved = resolveDeadline(requested, maxDurationHours);
+          if (resolved.error) {
+            return sendError(res, resolved.error, 400);
+          }
+          checkIn.deadline = resolved.deadline;
+          checkIn.extensionCount += 1;
+        }
+
+        if (destination !== undefined) {
+          const parsed = parseDestination(destination);
+          if (parsed.error) {
+            return sendError(res, parsed.error, 400);
+          }
+          checkIn.destination = parsed.destination;
+        }
+        if (note !== undefined) checkIn.note = note;
+
+        // Only save if the monitor has not started escalating it in the meantime
+        const updated = await CheckIn.findOneAndUpdate(
+          { _id: checkIn._id, status: 'active', escalationLeaseUntil: null },
+          {
+            deadline: checkIn.deadline,
+            extensionCount: checkIn.extensionCount,
+            destination: checkIn.destination,
+            note: checkIn.note,
+          },
+          { new: true }
+        );
+        if (!updated) {
+          return sendError(res, 'Check-in deadline has already passed', 409);
+        }
+
+        await emitToGuardians(io, req.user._id, 'journey', 'child-checkin-updated', {
+          childId: req.user._id.toString(),
+          childName: req.user.name,
+          checkIn: formatCheckIn(updated),
+        });
+
+        return sendSuccess(res, { checkIn: formatCheckIn(updated) }, 'Check-in updated successfully');
+      } catch (err) {
+        safeLog.error('Error updating check-in', err);
+        return sendError(res, 'Failed to update check-in', 500);
+      }
+    }
+  );
+
+  // Cancel an active check-in
+  router.delete('/:checkInId',
+    authenticate,
+    [param('checkInId').isMongoId().withMessage('Invalid check-in ID format')],
+    validate,
+    async (req, res) => {
+      try {
+        const checkIn = await CheckIn.findOneAndUpdate(
+          { _id: req.params.checkInId, userId: req.user._id, status: 'active' },
+          { status: 'cancelled', cancelledAt: new Date() },
+          { new: true }
+        );
+        if (!checkIn) {
+          return sendError(res, 'Active check-in not found', 404);
+        }
+
+        await emitToGuardians(io, req.user._id, 'journey', 'child-checkin-cancelled', {
+          childId: req.user._id.toString(),
+          childName: req.user.name,
+          checkInId: checkIn._id.toString(),
+        });
+
+        return sendSuccess(res, null, 'Check-in cancelled successfully');
+      } catch (err) {
+        safeLog.error('Error cancelling check-in', err);
+        return sendError(res, 'Failed to cancel check-in', 500);
+      }
+    }
+  );
+
+  return router;
+};
@@ -1,12 +1,36 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
-import { v2 as cloudinary } from 'cloudinary';
+import { body, param, query, validationResult } from 'express-validator';
 import multer from 'multer';
 import { User } from '../models/User.js';
+import { CustodyRecord } from '../models/CustodyRecord.js';
 import { EmergencyImage } from '../models/EmergencyImage.js';
+import { EmergencyVideo } from '../models/EmergencyVideo.js';
+import { CLOSED_INCIDENT_STATUSES, Incident } from '../models/Incident.js';
+import { UPLOAD_KINDS, UploadSession } from '../models/UploadSession.js';
+import {
+  custodyDevice,
+  formatCustodyRecord,
+  recordEvidenceReceipt,
+  sha256,
+  verifyCustodyChain,
+  verifyEvidence,
+} from '../utils/custody.js';
+import { emitToGuardians, findGuardianship } from '../utils/guardians.js';
+import { formatLocation } from '../utils/geo.js';
 import { validateCoordinates } from '../utils/helpers.js';
+import { publishLatestSosRing, publishLatestTrigger, publishUserItem, timelineItems } from '../utils/incidentTimeline.js';
+import { openOrAttachIncident } from '../utils/incidents.js';
 import { safeLog, sanitizeAccountId } from '../utils/logger.js';
+import { findNearbyUsers } from '../utils/nearby.js';
+import {
+  appendUploadChunk,
+  createUploadSession,
+  discardUpload,
+  finalizeUpload,
+  formatUploadSession,
+} from '../utils/resumableUploads.js';
 import { sendSuccess, sendError, sendValidationError } from '../utils/response.js';
+import { formatBroadcast, pageSosRing } from '../utils/sosBroadcast.js';
 
 const router = express.Router();
 
@@ -16,18 +40,6 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
 });
 
-// Helper function to calculate distance between two points (Haversine formula)
-function calculateDistance(lat1, lng1, lat2, lng2) {
-  const R = 6371; // Earth's radius in km
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLng = (lng2 - lng1) * Math.PI / 180;
-  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-            Math.sin(dLng/2) * Math.sin(dLng/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c; // Distance in km
-}
-
 // Validation middleware
 const validate = (req, res, next) => {
   const errors = validationResult(req);
@@ -38,8 +50,285 @@ const validate = (req, res, next) => {
 };
 
 // Factory function to create emergency routes with dependencies
-export const createEmergencyRoutes = (authenticate, io) => {
-  // Upload emergency image to Cloudinary and save to MongoDB
+export const createEmergencyRoutes = (authenticate, io, nearbyConfig, mediaStorage, uploadConfig) => {
+  // Remove an object whose metadata could not be saved, so it is not left orphaned
+  const discardStored = (stored, kind) => {
+    mediaStorage.delete({ ...stored, kind })
+      .catch((error) => safeLog.error('Failed to remove orphaned upload', error));
+  };
+
+  // Store an emergency image, save it to MongoDB and attach it to an incident.
+  // Shared by the single-request and resumable uploads. Returns { data } or { error, status }.
+  const saveEmergencyImage = async (req, { buffer, mimeType, location, triggerType, timestamp, expectedSha256 }) => {
+    // Fingerprint the file exactly as received, before it goes anywhere else
+    const fileHash = sha256(buffer);
+
+    // Upload to the configured media storage
+    let stored;
+    try {
+      safeLog.info(`Uploading image to ${mediaStorage.name} storage`, { userId: req.user._id });
+      stored = await mediaStorage.upload({
+        buffer,
+        folder: 'emergency-images',
+        name: `emergency_${req.user._id}`,
+        kind: 'image',
+        mimeType,
+      });
+      safeLog.info(`Image uploaded successfully`);
+    } catch (error) {
+      return { error: 'Failed to store image', status: 500 };
+    }
+
+    // Save image URL link to MongoDB
+    safeLog.info(`Saving image link to MongoDB`, { userId: req.user._id });
+    let emergencyImage;
+    try {
+      emergencyImage = await EmergencyImage.create({
+        userId: req.user._id,
+        imageUrl: stored.url,
+        storageProvider: stored.provider,
+        storageKey: stored.key,
+        location: location || null,
+        triggerType: triggerType || 'shutdown_attempt',
+        timestamp: timestamp || new Date(),
+        sha256: fileHash,
+      });
+    } catch (error) {
+      discardStored(stored, 'image');
+      throw error;
+    }
+    safeLog.info(`Image link saved to MongoDB`);
+
+    await recordEvidenceReceipt({
+      actorId: req.user._id,
+      device: custodyDevice(req),
+      ownerId: req.user._id,
+      evidenceType: 'image',
+      evidenceId: emergencyImage._id,
+      fileHash,
+      clientSha256: expectedSha256,
+      sizeBytes: buffer.length,
+      mimeType,
+      storage: { provider: stored.provider, url: stored.url, key: stored.key },
+      location,
+    });
+
+    // Shutdown attempts and SOS photos belong to an incident; manual photos stand alone
+    let incident = null;
+    if (emergencyImage.triggerType !== 'manual') {
+      ({ incident } = await openOrAttachIncident({
+        user: req.user,
+        type: emergencyImage.triggerType,
+        location: location && validateCoordinates(location.latitude, location.longitude) ? location : null,
+        imageId: emergencyImage._id,
+        session: req.authSession,
+      }));
+      emergencyImage.incidentId = incident._id;
+      await emergencyImage.save();
+    }
+    publishUserItem(io, req.user._id, timelineItems.image(emergencyImage));
+    if (incident) {
+      publishLatestTrigger(io, incident);
+    }
+
+    await emitToGuardians(io, req.user._id, 'evidence', 'child-emergency-image', {
+      childId: req.user._id.toString(),
+      childName: req.user.name,
+      imageId: emergencyImage._id.toString(),
+      imageUrl: emergencyImage.imageUrl,
+      triggerType: emergencyImage.triggerType,
+      incidentId: incident ? incident._id.toString() : null,
+      location: emergencyImage.location,
+      timestamp: emergencyImage.timestamp,
+    });
+
+    return {
+      data: {
+        imageUrl: stored.url,
+        imageId: emergencyImage._id,
+        publicId: stored.key, // Kept for older app versions
+        storageProvider: stored.provider,
+        incidentId: incident ? incident._id : null,
+        sha256: fileHash,
+      },
+    };
+  };
+
+  // Store an emergency audio recording and save its metadata to the user.
+  // Shared by the single-request and resumable uploads. Returns { data } or { error, status }.
+  const saveEmergencyAudio = async (req, { buffer, mimeType, timestamp, duration, expectedSha256 }) => {
+    // Use authenticated user's accountId instead of from request body
+    const accountId = req.user.accountId;
+    // Fingerprint the file exactly as received, before it goes anywhere else
+    const fileHash = sha256(buffer);
+
+    safeLog.info(`Uploading audio (${(buffer.length / 1024).toFixed(2)} KB) to ${mediaStorage.name} storage...`);
+
+    // Upload audio to the configured media storage
+    let stored;
+    try {
+      stored = await mediaStorage.upload({
+        buffer,
+        folder: 'emergency-audio',
+        name: `audio_${accountId}`,
+        kind: 'audio',
+        mimeType,
+      });
+      safeLog.info(`Audio uploaded successfully`);
+    } catch (error) {
+      return { error: 'Failed to store audio', status: 500 };
+    }
+    const recordedDuration = stored.duration || duration || 0;
+
+    // Save audio metadata to user's emergency recordings array
+    if (!req.user.emergencyRecordings) {
+      req.user.emergencyRecordings = [];
+    }
+    
+    req.user.emergencyRecordings.push({
+      audioUrl: stored.url,
+      storageProvider: stored.provider,
+      storageKey: stored.key,
+      timestamp: timestamp || new Date().toISOString(),
+      duration: recordedDuration,
+      fileSize: buffer.length,
+      sha256: fileHash,
+    });
+    const recording = req.user.emergencyRecordings.at(-1);
+    
+    // Keep only last 50 recordings to prevent bloat
+    if (req.user.emergencyRecordings.length > 50) {
+      req.user.emergencyRecordings = req.user.emergencyRecordings.slice(-50);
+    }
+    
+    try {
+      await req.user.save();
+    } catch (error) {
+      discardStored(stored, 'audio');
+      throw error;
+    }
+    
+    safeLog.info(`Audio metadata saved`, { accountId: sanitizeAccountId(req.user.accountId), recordingsCount: req.user.emergencyRecordings.length });
+    publishUserItem(io, req.user._id, timelineItems.audio(recording));
+
+    await recordEvidenceReceipt({
+      actorId: req.user._id,
+      device: custodyDevice(req),
+      ownerId: req.user._id,
+      evidenceType: 'audio',
+      evidenceId: recording._id,
+      fileHash,
+      clientSha256: expectedSha256,
+      sizeBytes: buffer.length,
+      mimeType,
+      storage: { provider: stored.provider, url: stored.url, key: stored.key },
+      location: formatLocation(req.user.currentLocation),
+    });
+
+    await emitToGuardians(io, req.user._id, 'evidence', 'child-emergency-audio', {
+      childId: req.user._id.toString(),
+      childName: req.user.name,
+      audioUrl: stored.url,
+      duration: recordedDuration,
+      timestamp: timestamp || new Date().toISOString(),
+    });
+
+    return {
+      data: {
+        url: stored.url,
+        cloudinaryPublicId: stored.key, // Kept for older app versions
+        storageKey: stored.key,
+        storageProvider: stored.provider,
+        duration: recordedDuration,
+        recordingId: recording._id,
+        sha256: fileHash,
+      },
+    };
+  };
+
+  // Store an emergency video and attach it to the user's open incident, if any.
+  // Videos only arrive through resumable uploads. Returns { data } or { error, status }.
+  const saveEmergencyVideo = async (req, { buffer, mimeType, location, timestamp, duration, expectedSha256 }) => {
+    // Fingerprint the file exactly as received, before it goes anywhere else
+    const fileHash = sha256(buffer);
+
+    let stored;
+    try {
+      safeLog.info(`Uploading video (${(buffer.length / 1024 / 1024).toFixed(2)} MB) to ${mediaStorage.name} storage`, { userId: req.user._id });
+      stored = await mediaStorage.upload({
+        buffer,
+        folder: 'emergency-videos',
+        name: `video_${req.user._id}`,
+        kind: 'video',
+        mimeType,
+      });
+    } catch (error) {
+      return { error: 'Failed to store video', status: 500 };
+    }
+
+    const incident = await Incident.findOne({ userId: req.user._id, status: { $nin: CLOSED_INCIDENT_STATUSES } })
+      .sort({ createdAt: -1 })
+      .select('_id');
+
+    let emergencyVideo;
+    try {
+      emergencyVideo = await EmergencyVideo.create({
+        userId: req.user._id,
+        videoUrl: stored.url,
+        storageProvider: stored.provider,
+        storageKey: stored.key,
+        mimeType,
+        location: location || null,
+        timestamp: timestamp || new Date(),
+        duration: stored.duration || duration || 0,
+        fileSize: buffer.length,
+        incidentId: incident?._id,
+        sha256: fileHash,
+      });
+    } catch (error) {
+      discardStored(stored, 'video');
+      throw error;
+    }
+    publishUserItem(io, req.user._id, timelineItems.video(emergencyVideo));
+
+    await recordEvidenceReceipt({
+      actorId: req.user._id,
+      device: custodyDevice(req),
+      ownerId: req.user._id,
+      evidenceType: 'video',
+      evidenceId: emergencyVideo._id,
+      fileHash,
+      clientSha256: expectedSha256,
+      sizeBytes: buffer.length,
+      mimeType,
+      storage: { provider: stored.provider, url: stored.url, key: stored.key },
+      location: location || formatLocation(req.user.currentLocation),
+    });
+
+    await emitToGuardians(io, req.user._id, 'evidence', 'child-emergency-video', {
+      childId: req.user._id.toString(),
+      childName: req.user.name,
+      videoId: emergencyVideo._id.toString(),
+      videoUrl: emergencyVideo.videoUrl,
+      duration: emergencyVideo.duration,
+      incidentId: incident ? incident._id.toString() : null,
+      timestamp: emergencyVideo.timestamp,
+    });
+
+    return {
+      data: {
+        videoUrl: stored.url,
+        videoId: emergencyVideo._id,
+        storageKey: stored.key,
+        storageProvider: stored.provider,
+        duration: emergencyVideo.duration,
+        incidentId: incident ? incident._id : null,
+        sha256: fileHash,
+      },
+    };
+  };
+
+  // Upload emergency image to media storage and save to MongoDB
   router.post('/upload-image',
     authenticate,
     [
@@ -61,47 +350,13 @@ export const createEmergencyRoutes = (authenticate, io) => {
         } catch (error) {
           return sendError(res, 'Invalid image data format', 400);
         }
+        const mimeType = imageBase64.match(/^data:(image\/\w+);base64,/)?.[1];
 
-        // Upload to Cloudinary
-        let cloudinaryResult;
-        try {
-          safeLog.info(`Uploading image to Cloudinary`, { userId: req.user._id });
-          cloudinaryResult = await new Promise((resolve, reject) => {
-            cloudinary.uploader.upload_stream(
-              {
-                folder: 'emergency-images',
-                resource_type: 'image',
-                public_id: `emergency_${req.user._id}_${Date.now()}`,
-              },
-              (error, result) => {
-                if (error) reject(error);
-                else resolve(result);
-              }
-            ).end(imageBuffer);
-          });
-          safeLog.info(`Image uploaded to Cloudinary successfully`);
-        } catch (error) {
-          safeLog.error('Cloudinary upload error', error);
-          return sendError(res, 'Failed to upload image to Cloudinary', 500);
+        const saved = await saveEmergencyImage(req, { buffer: imageBuffer, mimeType, location, triggerType });
+        if (saved.error) {
+          return sendError(res, saved.error, saved.status);
         }
-
-        // Save image URL link to MongoDB
-        safeLog.info(`Saving image link to MongoDB`, { userId: req.user._id });
-        const emergencyImage = await EmergencyImage.create({
-          userId: req.user._id,
-          imageUrl: cloudinaryResult.secure_url,
-          cloudinaryPublicId: cloudinaryResult.public_id,
-          location: location || null,
-          triggerType: triggerType || 'shutdown_attempt',
-          timestamp: new Date(),
-        });
-        safeLog.info(`Image link saved to MongoDB`);
-
-        return sendSuccess(res, {
-          imageUrl: cloudinaryResult.secure_url,
-          imageId: emergencyImage._id,
-          publicId: cloudinaryResult.public_id,
-        });
+        return sendSuccess(res, saved.data);
       } catch (error) {
         safeLog.error('Error uploading emergency image', error);
         return sendError(res, 'Failed to upload emergency image', 500);
@@ -109,7 +364,7 @@ export const createEmergencyRoutes = (authenticate, io) => {
     }
   );
 
-  // Upload emergency audio recording to Cloudinary and save metadata to user
+  // Upload emergency audio recording to media storage and save metadata to user
   // FIXED: Added authenticate middleware
   router.post('/upload-audio',
     authenticate,
@@ -129,106 +384,451 @@ export const createEmergencyRoutes = (authenticate, io) => {
           return sendError(res, 'Audio file is required', 400);
         }
 
-        // Use authenticated user's accountId instead of from request body
-        const accountId = req.user.accountId;
+        const saved = await saveEmergencyAudio(req, {
+          buffer: audioFile.buffer,
+          mimeType: audioFile.mimetype,
+          timestamp,
+        });
+        if (saved.error) {
+          return sendError(res, saved.error, saved.status);
+        }
+        return sendSuccess(res, saved.data);
+      } catch (error) {
+        safeLog.error('Error uploading emergency audio', error);
+        return sendError(res, 'Failed to upload emergency audio', 500);
+      }
+    }
+  );
 
-        safeLog.info(`Uploading audio (${(audioFile.size / 1024).toFixed(2)} KB) to Cloudinary...`);
+  // Resumable uploads for evidence that is too large or the network too poor for one request:
+  // POST /uploads opens a session, PUT /uploads/:id/chunks/:offset appends the next chunk,
+  // GET /uploads/:id tells a reconnecting client where to resume, and
+  // POST /uploads/:id/finalize stores the assembled file like the routes above.
+  // Live audio streams are driven over the socket only (see utils/liveAudio.js)
+  const loadUploadSession = (req) =>
+    UploadSession.findOne({ _id: req.params.uploadId, userId: req.user._id, live: { $ne: true } });
 
-        // Upload audio to Cloudinary
-        let cloudinaryResult;
-        try {
-          cloudinaryResult = await new Promise((resolve, reject) => {
-            cloudinary.uploader.upload_stream(
-              {
-                folder: 'emergency-audio',
-                resource_type: 'video', // Audio files use 'video' resource type in Cloudinary
-                public_id: `audio_${accountId}_${Date.now()}`,
-                format: 'm4a', // Preserve audio format
-              },
-              (error, result) => {
-                if (error) {
-                  safeLog.error('Cloudinary audio upload error', error);
-                  reject(error);
-                } else {
-                  resolve(result);
-                }
-              }
-            ).end(audioFile.buffer);
+  router.post('/uploads',
+    authenticate,
+    [
+      body('kind').isIn(UPLOAD_KINDS).withMessage(`Kind must be one of: ${UPLOAD_KINDS.join(', ')}`),
+      body('totalBytes').isInt({ min: 1, max: uploadConfig.maxBytes }).withMessage(`File size must be between 1 and ${uploadConfig.maxBytes} bytes`),
+      body('mimeType').optional().matches(/^(image|audio|video)\/[\w.+-]+$/).withMessage('Invalid MIME type')
+        .custom((mimeType, { req }) => mimeType.startsWith(`${req.body.kind}/`)).withMessage('MIME type does not match the kind of upload'),
+      body('sha256').optional().isHash('sha256').withMessage('Invalid SHA-256 hash'),
+      body('timestamp').optional().isISO8601().withMessage('Invalid timestamp format'),
+      body('triggerType').optional().isIn(['shutdown_attempt', 'manual', 'sos']).withMessage('Invalid trigger type'),
+      body('location').optional().isObject(),
+      body('duration').optional().isFloat({ min: 0 }).withMessage('Duration must be a positive number'),
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const { kind, mimeType, totalBytes, sha256: fileHash, timestamp, triggerType, location, duration } = req.body;
+        const created = await createUploadSession(req.user._id, {
+          kind,
+          mimeType,
+          totalBytes,
+          sha256: fileHash?.toLowerCase(),
+          metadata: {
+            timestamp,
+            triggerType,
+            location: location && validateCoordinates(location.latitude, location.longitude)
+              ? { latitude: location.latitude, longitude: location.longitude }
+              : undefined,
+            duration,
+          },
+        }, uploadConfig);
+        if (created.error) {
+          return sendError(res, created.error, created.status);
+        }
+
+        return sendSuccess(res, { ...formatUploadSession(created.session), maxChunkBytes: uploadConfig.maxChunkBytes }, null, 201);
+      } catch (error) {
+        safeLog.error('Error starting resumable upload', error);
+        return sendError(res, 'Failed to start upload', 500);
+      }
+    }
+  );
+
+  // Where to resume after a reconnect
+  router.get('/uploads/:uploadId',
+    authenticate,
+    [param('uploadId').isMongoId().withMessage('Invalid upload ID format')],
+    validate,
+    async (req, res) => {
+      try {
+        const session = await loadUploadSession(req);
+        if (!session) {
+          return sendError(res, 'Upload not found', 404);
+        }
+        return sendSuccess(res, formatUploadSession(session));
+      } catch (error) {
+        safeLog.error('Error fetching upload', error);
+        return sendError(res, 'Failed to fetch upload', 500);
+      }
+    }
+  );
+
+  // Append the chunk starting at :offset. The body is the raw bytes.
+  router.put('/uploads/:uploadId/chunks/:offset',
+    authenticate,
+    [
+      param('uploadId').isMongoId().withMessage('Invalid upload ID format'),
+      param('offset').isInt({ min: 0 }).withMessage('Offset must be a non-negative integer'),
+    ],
+    validate,
+    express.raw({ type: () => true, limit: uploadConfig.maxChunkBytes }),
+    async (req, res) => {
+      try {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+          return sendError(res, 'Chunk data is required', 400);
+        }
+
+        const session = await loadUploadSession(req);
+        if (!session) {
+          return sendError(res, 'Upload not found', 404);
+        }
+
+        const appended = await appendUploadChunk(session, parseInt(req.params.offset), req.body, uploadConfig);
+        if (appended.error) {
+          return sendError(res, appended.error, appended.status);
+        }
+        return sendSuccess(res, formatUploadSession(appended.session));
+      } catch (error) {
+        safeLog.error('Error storing upload chunk', error);
+        return sendError(res, 'Failed to store chunk', 500);
+      }
+    }
+  );
+
+  // Assemble the upload and store it as evidence. Safe to retry.
+  router.post('/uploads/:uploadId/finalize',
+    authenticate,
+    [param('uploadId').isMongoId().withMessage('Invalid upload ID format')],
+    validate,
+    async (req, res) => {
+      try {
+        const session = await loadUploadSession(req);
+        if (!session) {
+          return sendError(res, 'Upload not found', 404);
+        }
+
+        const { metadata } = session;
+        const location = metadata.location?.latitude !== undefined
+          ? { latitude: metadata.location.latitude, longitude: metadata.location.longitude }
+          : null;
+        const store = (buffer) => {
+          if (session.kind === 'image') {
+            return saveEmergencyImage(req, {
+              buffer,
+              mimeType: session.mimeType,
+              expectedSha256: session.expectedSha256,
+              location,
+              triggerType: metadata.triggerType,
+              timestamp: metadata.timestamp,
+            });
+          }
+          if (session.kind === 'video') {
+            return saveEmergencyVideo(req, {
+              buffer,
+              mimeType: session.mimeType,
+              expectedSha256: session.expectedSha256,
+              location,
+              timestamp: metadata.timestamp,
+              duration: metadata.duration,
+            });
+          }
+          return saveEmergencyAudio(req, {
+            buffer,
+            mimeType: session.mimeType,
+            expectedSha256: session.expectedSha256,
+            timestamp: metadata.timestamp?.toISOString(),
+            duration: metadata.duration,
           });
-          
-          safeLog.info(`Audio uploaded to Cloudinary successfully`);
-        } catch (error) {
-          safeLog.error('Cloudinary audio upload failed', error);
-          return sendError(res, 'Failed to upload audio to Cloudinary', 500);
+        };
+
+        const finalized = await finalizeUpload(session, store, uploadConfig);
+
+        if (finalized.error) {
+          return sendError(res, finalized.error, finalized.status);
         }
+        return sendSuccess(res, finalized.data);
+      } catch (error) {
+        safeLog.error('Error finalizing upload', error);
+        return sendError(res, 'Failed to finalize upload', 500);
+      }
+    }
+  );
 
-        // Save audio metadata to user's emergency recordings array
-        if (!req.user.emergencyRecordings) {
-          req.user.emergencyRecordings = [];
+  // Abandon an upload and drop the chunks received so far
+  router.delete('/uploads/:uploadId',
+    authenticate,
+    [param('uploadId').isMongoId().withMessage('Invalid upload ID format')],
+    validate,
+    async (req, res) => {
+      try {
+        const session = await loadUploadSession(req);
+        if (!session) {
+          return sendError(res, 'Upload not found', 404);
         }
-        
-        req.user.emergencyRecordings.push({
-          audioUrl: cloudinaryResult.secure_url,
-          cloudinaryPublicId: cloudinaryResult.public_id,
-          timestamp: timestamp || new Date().toISOString(),
-          duration: cloudinaryResult.duration || 0,
-          fileSize: audioFile.size,
+        if (session.status === 'finalizing') {
+          return sendError(res, 'Upload is being finalized', 409);
+        }
+        await discardUpload(session._id);
+        return sendSuccess(res, null, 'Upload discarded');
+      } catch (error) {
+        safeLog.error('Error discarding upload', error);
+        return sendError(res, 'Failed to discard upload', 500);
+      }
+    }
+  );
+
+  // Resolve whose evidence is requested: own by default, or a child's (?childId=) when the
+  // guardianship grants the evidence scope. Returns the user ID or null if not allowed.
+  const resolveEvidenceOwner = async (req) => {
+    const { childId } = req.query;
+    if (!childId || childId === req.user._id.toString()) {
+      return req.user._id;
+    }
+    const guardianship = await findGuardianship(req.user._id, childId, 'evidence');
+    return guardianship ? guardianship.childId : null;
+  };
+
+  // Get emergency images for a user (or for a child with ?childId=)
+  router.get('/images',
+    authenticate,
+    [
+      query('childId').optional().isMongoId().withMessage('Invalid child ID format'),
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const ownerId = await resolveEvidenceOwner(req);
+        if (!ownerId) {
+          return sendError(res, 'You do not have access to this account\'s evidence', 403);
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 100); // Max 100 per page
+        const skip = (page - 1) * limit;
+
+        const images = await EmergencyImage.find({ userId: ownerId })
+          .sort({ timestamp: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean();
+      
+        const total = await EmergencyImage.countDocuments({ userId: ownerId });
+
+        return sendSuccess(res, {
+          images,
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            hasNextPage: page * limit < total,
+            hasPrevPage: page > 1,
+          },
         });
-        
-        // Keep only last 50 recordings to prevent bloat
-        if (req.user.emergencyRecordings.length > 50) {
-          req.user.emergencyRecordings = req.user.emergencyRecordings.slice(-50);
+      } catch (error) {
+        safeLog.error('Error fetching emergency images', error);
+        return sendError(res, 'Failed to fetch emergency images', 500);
+      }
+    }
+  );
+
+  // Get emergency videos for a user (or for a child with ?childId=)
+  router.get('/videos',
+    authenticate,
+    [
+      query('childId').optional().isMongoId().withMessage('Invalid child ID format'),
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const ownerId = await resolveEvidenceOwner(req);
+        if (!ownerId) {
+          return sendError(res, 'You do not have access to this account\'s evidence', 403);
         }
-        
-        await req.user.save();
-        
-        safeLog.info(`Audio metadata saved`, { accountId: sanitizeAccountId(req.user.accountId), recordingsCount: req.user.emergencyRecordings.length });
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 100); // Max 100 per page
+        const skip = (page - 1) * limit;
+
+        const videos = await EmergencyVideo.find({ userId: ownerId })
+          .sort({ timestamp: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean();
+
+        const total = await EmergencyVideo.countDocuments({ userId: ownerId });
 
         return sendSuccess(res, {
-          url: cloudinaryResult.secure_url,
-          cloudinaryPublicId: cloudinaryResult.public_id,
-          duration: cloudinaryResult.duration,
+          videos,
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            hasNextPage: page * limit < total,
+            hasPrevPage: page > 1,
+          },
         });
       } catch (error) {
-        safeLog.error('Error uploading emergency audio', error);
-        return sendError(res, 'Failed to upload emergency audio', 500);
+        safeLog.error('Error fetching emergency videos', error);
+        return sendError(res, 'Failed to fetch emergency videos', 500);
       }
     }
   );
 
-  // Get emergency images for a user
-  router.get('/images', authenticate, async (req, res) => {
-    try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = Math.min(parseInt(req.query.limit) || 50, 100); // Max 100 per page
-      const skip = (page - 1) * limit;
-
-      const images = await EmergencyImage.find({ userId: req.user._id })
-        .sort({ timestamp: -1 })
-        .skip(skip)
-        .limit(limit)
-        .lean();
-      
-      const total = await EmergencyImage.countDocuments({ userId: req.user._id });
-
-      return sendSuccess(res, {
-        images,
-        pagination: {
-          page,
-          limit,
-          total,
-          totalPages: Math.ceil(total / limit),
-          hasNextPage: page * limit < total,
-          hasPrevPage: page > 1,
-        },
-      });
-    } catch (error) {
-      safeLog.error('Error fetching emergency images', error);
-      return sendError(res, 'Failed to fetch emergency images', 500);
+  // Get emergency audio recordings for a user (or for a child with ?childId=)
+  router.get('/recordings',
+    authenticate,
+    [
+      query('childId').optional().isMongoId().withMessage('Invalid child ID format'),
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const ownerId = await resolveEvidenceOwner(req);
+        if (!ownerId) {
+          return sendError(res, 'You do not have access to this account\'s evidence', 403);
+        }
+
+        const owner = await User.findById(ownerId).select('emergencyRecordings').lean();
+        const recordings = (owner?.emergencyRecordings || []).slice().reverse(); // Newest first
+
+        return sendSuccess(res, { recordings });
+      } catch (error) {
+        safeLog.error('Error fetching emergency recordings', error);
+        return sendError(res, 'Failed to fetch emergency recordings', 500);
+      }
     }
-  });
+  );
 
-  // Find nearby users within radius (in km)
+  // Chain of custody log for a user's evidence (or a child's with ?childId=), newest first
+  router.get('/custody',
+    authenticate,
+    [
+      query('childId').optional().isMongoId().withMessage('Invalid child ID format'),
+      query('evidenceId').optional().isMongoId().withMessage('Invalid evidence ID format'),
+      query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+      query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const ownerId = await resolveEvidenceOwner(req);
+        if (!ownerId) {
+          return sendError(res, 'You do not have access to this account\'s evidence', 403);
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+        const filter = { userId: ownerId };
+        if (req.query.evidenceId) {
+          filter.evidenceId = req.query.evidenceId;
+        }
+
+        const records = await CustodyRecord.find(filter)
+          .sort({ sequence: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean();
+        const total = await CustodyRecord.countDocuments(filter);
+
+        return sendSuccess(res, {
+          records: records.map(formatCustodyRecord),
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            hasNextPage: page * limit < total,
+            hasPrevPage: page > 1,
+          },
+        });
+      } catch (error) {
+        safeLog.error('Error fetching custody log', error);
+        return sendError(res, 'Failed to fetch custody log', 500);
+      }
+    }
+  );
+
+  // Recompute the whole custody chain and report the first entry that does not verify
+  router.get('/custody/verify',
+    authenticate,
+    [
+      query('childId').optional().isMongoId().withMessage('Invalid child ID format'),
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const ownerId = await resolveEvidenceOwner(req);
+        if (!ownerId) {
+          return sendError(res, 'You do not have access to this account\'s evidence', 403);
+        }
+
+        const chain = await verifyCustodyChain(ownerId);
+        if (!chain.valid) {
+          safeLog.warn('[Custody] Custody chain failed verification', { userId: ownerId, brokenAt: chain.brokenAt });
+        }
+
+        return sendSuccess(res, { chain });
+      } catch (error) {
+        safeLog.error('Error verifying custody chain', error);
+        return sendError(res, 'Failed to verify custody chain', 500);
+      }
+    }
+  );
+
+  // Re-download a stored image or recording and check it against its custody record.
+  // The verification is itself appended to the custody log.
+  router.post('/evidence/:evidenceId/verify',
+    authenticate,
+    [
+      param('evidenceId').isMongoId().withMessage('Invalid evidence ID format'),
+      query('childId').optional().isMongoId().withMessage('Invalid child ID format'),
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const ownerId = await resolveEvidenceOwner(req);
+        if (!ownerId) {
+          return sendError(res, 'You do not have access to this account\'s evidence', 403);
+        }
+
+        const verification = await verifyEvidence(req, ownerId, req.params.evidenceId, mediaStorage);
+        if (verification.error) {
+          return sendError(res, verification.error, verification.status);
+        }
+
+        const { receipt, result } = verification;
+        if (!result.contentMatches || !result.chainValid) {
+          safeLog.warn('[Custody] Evidence failed verification', {
+            userId: ownerId,
+            evidenceId: req.params.evidenceId,
+            contentMatches: result.contentMatches,
+            chainValid: result.chainValid,
+          });
+        }
+
+        return sendSuccess(res, {
+          evidenceId: req.params.evidenceId,
+          evidenceType: receipt.evidenceType,
+          receipt: formatCustodyRecord(receipt),
+          verification: result,
+        });
+      } catch (error) {
+        safeLog.error('Error verifying evidence', error);
+        return sendError(res, 'Failed to verify evidence', 500);
+      }
+    }
+  );
+
+  // Find nearby responders within radius (in km) - only users who opted in and are available
   router.post('/nearby/users',
     authenticate,
     [
@@ -246,47 +846,19 @@ export const createEmergencyRoutes = (authenticate, io) => {
           return sendError(res, 'Invalid coordinates', 400);
         }
 
-        if (!req.user.currentLocation || !req.user.currentLocation.latitude) {
+        if (!formatLocation(req.user.currentLocation)) {
           return sendError(res, 'Your location is not available. Please enable location updates.', 400);
         }
 
-        // Find all users with active locations and app enabled
-        const allUsers = await User.find({
-          _id: { $ne: req.user._id }, // Exclude self
-          isAppEnabled: true,
-          'currentLocation.latitude': { $exists: true },
-          'currentLocation.longitude': { $exists: true },
-        }).select('name accountId currentLocation');
-
-        // Calculate distance for each user
-        const nearbyUsers = [];
-        for (const user of allUsers) {
-          if (user.currentLocation && user.currentLocation.latitude) {
-            const distance = calculateDistance(
-              latitude,
-              longitude,
-              user.currentLocation.latitude,
-              user.currentLocation.longitude
-            );
-
-            if (distance <= radiusKm) {
-              nearbyUsers.push({
-                userId: user._id.toString(),
-                name: user.name,
-                accountId: user.accountId,
-                distance: distance,
-                location: {
-                  latitude: user.currentLocation.latitude,
-                  longitude: user.currentLocation.longitude,
-                  address: user.currentLocation.address || null,
-                },
-              });
-            }
-          }
-        }
-
-        // Sort by distance (closest first)
-        nearbyUsers.sort((a, b) => a.distance - b.distance);
+        // Indexed radius query, closest first
+        const nearbyUsers = await findNearbyUsers({
+          latitude,
+          longitude,
+          radiusKm,
+          excludeUserId: req.user._id,
+          staleAfterMinutes: nearbyConfig.staleLocationMinutes,
+          respondersOnly: true,
+        });
 
         safeLog.info(`Found nearby users`, { count: nearbyUsers.length, radiusKm, userId: req.user._id });
 
@@ -320,63 +892,54 @@ export const createEmergencyRoutes = (authenticate, io) => {
           return sendError(res, 'Invalid coordinates', 400);
         }
 
-        const radiusKm = 5; // 5km radius for nearby users
-        const alertId = `sos_${req.user._id}_${Date.now()}`;
-
-        // Find nearby users
-        const allUsers = await User.find({
-          _id: { $ne: req.user._id },
-          isAppEnabled: true,
-          'currentLocation.latitude': { $exists: true },
-          'currentLocation.longitude': { $exists: true },
-        }).select('name accountId currentLocation _id');
-
-        const nearbyUserIds = [];
-        const alertData = {
-          alertId,
-          userId: req.user._id.toString(),
-          userName: req.user.name,
-          accountId: req.user.accountId,
-          location: {
-            latitude,
-            longitude,
-            address: address || req.user.currentLocation?.address || null,
-          },
-          timestamp: new Date().toISOString(),
+        const incidentLocation = {
+          latitude,
+          longitude,
+          address: address || req.user.currentLocation?.address || undefined,
         };
 
-        // Calculate distance and send alert to nearby users
-        for (const user of allUsers) {
-          if (user.currentLocation && user.currentLocation.latitude) {
-            const distance = calculateDistance(
-              latitude,
-              longitude,
-              user.currentLocation.latitude,
-              user.currentLocation.longitude
-            );
-
-            if (distance <= radiusKm) {
-              nearbyUserIds.push(user._id.toString());
-              
-              // Send WebSocket alert to nearby user
-              const alertWithDistance = {
-                ...alertData,
-                distance: parseFloat(distance.toFixed(2)),
-              };
-              
-              // Emit to user's room
-              io.to(`user:${user._id}`).emit('nearby-sos-alert', alertWithDistance);
-              safeLog.info(`SOS alert sent to nearby user`, { distance: distance.toFixed(2), recipientName: user.name });
-            }
-          }
+        // Every SOS is recorded; repeated presses attach to the same open incident
+        const { incident } = await openOrAttachIncident({
+          user: req.user,
+          type: 'sos',
+          location: incidentLocation,
+          session: req.authSession,
+        });
+        publishLatestTrigger(io, incident);
+
+        // Start with the smallest ring (jobs/sosRingMonitor.js expands it). A repeated
+        // press re-pages the current ring from the new location without delaying expansion.
+        const isRepeat = incident.broadcast?.ring > 0;
+        const { incident: updated, alertData, recipients } = await pageSosRing(
+          io,
+          incident,
+          req.user,
+          isRepeat ? incident.broadcast.ring : 1,
+          { center: incidentLocation, advance: !isRepeat }
+        );
+        publishLatestSosRing(io, updated);
+        const nearbyUserIds = recipients.map((recipient) => recipient.userId);
+
+        safeLog.info(`SOS broadcast complete`, { notifiedCount: nearbyUserIds.length, ring: alertData.ring });
+
+        // Tell the user's guardians as well
+        const guardianIds = await emitToGuardians(io, req.user._id, 'sos', 'child-sos-alert', {
+          ...alertData,
+          childId: req.user._id.toString(),
+          nearbyUsersNotified: updated.nearbyUsersNotified,
+          broadcast: formatBroadcast(updated),
+        });
+        if (guardianIds.length > 0 && !updated.guardianNotified) {
+          await Incident.updateOne({ _id: updated._id }, { guardianNotified: true });
         }
 
-        safeLog.info(`SOS broadcast complete`, { notifiedCount: nearbyUserIds.length });
-
         return sendSuccess(res, {
-          alertId,
+          alertId: alertData.alertId,
+          incidentId: alertData.incidentId,
+          incidentStatus: updated.status,
           nearbyUsersNotified: nearbyUserIds.length,
           nearbyUserIds,
+          broadcast: formatBroadcast(updated),
         });
       } catch (error) {
         safeLog.error('Error broadcasting SOS', error);
@@ -0,0 +1,414 @@
+import bcrypt from 'bcryptjs';
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { EmergencyImage } from '../models/EmergencyImage.js';
+import { EmergencyVideo } from '../models/EmergencyVideo.js';
+import { INCIDENT_STATUSES, Incident, RESPONDER_STATUSES } from '../models/Incident.js';
+import { User } from '../models/User.js';
+import { emitToGuardians, findGuardianship } from '../utils/guardians.js';
+import {
+  buildIncidentTimeline,
+  decodeTimelineCursor,
+  publishIncidentItem,
+  stopWatchingIncident,
+  timelineItems,
+  visibleTimelineTypes,
+} from '../utils/incidentTimeline.js';
+import {
+  findViewableIncident,
+  formatIncident,
+  notifyIncidentUpdate,
+  transitionIncident,
+  visibleToSessionFilter,
+} from '../utils/incidents.js';
+import { safeLog } from '../utils/logger.js';
+import { buildResponderRoster, respondToIncident } from '../utils/responders.js';
+import { sendError, sendSuccess, sendValidationError } from '../utils/response.js';
+
+const router = express.Router();
+
+// Validation middleware
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array());
+  }
+  next();
+};
+
+// Statuses the incident owner may set themselves (with their PIN)
+const OWNER_STATUSES = ['resolved', 'false_alarm'];
+
+// A PIN is only a few digits, so wrong guesses lock cancelling for a while
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_MINUTES = 30;
+
+// Factory function to create incident routes with dependencies.
+// Incidents are opened by SOS broadcasts, shutdown-attempt images and duress logins (see utils/incidents.js).
+export const createIncidentRoutes = (authenticate, io) => {
+  // Check a PIN against the user's safety PIN, or their password if no PIN is set. The attempt
+  // counter is incremented before comparing so parallel guesses cannot exceed the limit; the
+  // guess that reaches it locks the PIN and alerts guardians. Returns { valid } or { error, status }.
+  const verifySafetyPin = async (req, pin) => {
+    const now = new Date();
+    const user = await User.findOneAndUpdate(
+      { _id: req.user._id, $or: [{ safetyPinLockedUntil: null }, { safetyPinLockedUntil: { $lte: now } }] },
+      { $inc: { safetyPinAttempts: 1 }, $set: { safetyPinLockedUntil: null } },
+      { new: true }
+    );
+    if (!user) {
+      return { error: 'Too many incorrect PIN attempts, please try again later', status: 429 };
+    }
+
+    if (await bcrypt.compare(String(pin), user.safetyPinHash || user.passwordHash)) {
+      await User.updateOne({ _id: user._id }, { safetyPinAttempts: 0 });
+      return { valid: true };
+    }
+    if (user.safetyPinAttempts < MAX_PIN_ATTEMPTS) {
+      return { error: 'Invalid PIN', status: 401 };
+    }
+
+    const lockedUntil = new Date(now.getTime() + PIN_LOCKOUT_MINUTES * 60 * 1000);
+    const locked = await User.updateOne(
+      { _id: user._id, safetyPinLockedUntil: null },
+      { safetyPinAttempts: 0, safetyPinLockedUntil: lockedUntil }
+    );
+    if (locked.modifiedCount > 0) {
+      safeLog.warn('[Incident] Safety PIN locked after repeated wrong attempts', { userId: user._id });
+      await emitToGuardians(io, user._id, 'sos', 'child-pin-locked', {
+        childId: user._id.toString(),
+        childName: user.name,
+        incidentId: req.incident._id.toString(),
+        lockedUntil,
+        timestamp: now,
+      });
+    }
+    return { error: 'Too many incorrect PIN attempts, please try again later', status: 429 };
+  };
+
+  const listValidators = [
+    query('status').optional().isIn(INCIDENT_STATUSES).withMessage('Invalid status'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ];
+
+  // Paginated incident list, newest first
+  const sendIncidentList = async (res, filter, reqQuery) => {
+    const page = parseInt(reqQuery.page) || 1;
+    const limit = Math.min(parseInt(reqQuery.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+    if (reqQuery.status) {
+      filter.status = reqQuery.status;
+    }
+
+    const incidents = await Incident.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+    const total = await Incident.countDocuments(filter);
+
+    return sendSuccess(res, {
+      incidents: incidents.map(formatIncident),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1,
+      },
+    });
+  };
+
+  // Load an incident the requester may see. Sets req.incident, req.isIncidentOwner and
+  // req.incidentScopes (the guardian's scopes, null for the owner).
+  const loadIncident = async (req, res, next) => {
+    try {
+      const viewable = await findViewableIncident(req.params.incidentId, req.user._id, req.authSession._id);
+      if (!viewable) {
+        return sendError(res, 'Incident not found', 404);
+      }
+      req.incident = viewable.incident;
+      req.isIncidentOwner = viewable.isOwner;
+      req.incidentScopes = viewable.scopes;
+      next();
+    } catch (err) {
+      safeLog.error('Error loading incident', err);
+      return sendError(res, 'Failed to load incident', 500);
+    }
+  };
+
+  // Apply a status change and tell everyone who follows the incident
+  const applyTransition = async (req, res, status, note) => {
+    const result = await transitionIncident(req.incident, status, { by: req.user._id, note });
+    if (result.error) {
+      return sendError(res, result.error, result.status);
+    }
+
+    const owner = req.isIncidentOwner ? req.user : await User.findById(result.incident.userId).select('name');
+    await notifyIncidentUpdate(io, result.incident, owner);
+    publishIncidentItem(io, result.incident._id, timelineItems.status(result.incident.statusHistory.at(-1)));
+    if (result.incident.isClosed()) {
+      stopWatchingIncident(result.incident);
+    }
+
+    safeLog.info('[Incident] Status changed', { incidentId: result.incident._id, status, by: req.user._id });
+    return sendSuccess(res, { incident: formatIncident(result.incident) }, 'Incident updated successfully');
+  };
+
+  // Under duress an owner's change is acknowledged but never applied
+  const sendFakeTransition = (req, res, status) => sendSuccess(res, {
+    incident: { ...formatIncident(req.incident), status },
+  }, 'Incident updated successfully');
+
+  const incidentIdParam = param('incidentId').isMongoId().withMessage('Invalid incident ID format');
+  const pinValidator = body('pin').isString().notEmpty().withMessage('PIN is required');
+
+  // Own incident history
+  router.get('/',
+    authenticate,
+    listValidators,
+    validate,
+    async (req, res) => {
+      try {
+        return await sendIncidentList(res, { userId: req.user._id, ...visibleToSessionFilter(req.authSession) }, req.query);
+      } catch (err) {
+        safeLog.error('Error fetching incidents', err);
+        return sendError(res, 'Failed to fetch incidents', 500);
+      }
+    }
+  );
+
+  // A child's incident history (requires the sos scope)
+  router.get('/children/:childId',
+    authenticate,
+    [
+      param('childId').isMongoId().withMessage('Invalid child ID format'),
+      ...listValidators,
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const guardianship = await findGuardianship(req.user._id, req.params.childId, 'sos');
+        if (!guardianship) {
+          return sendError(res, 'Child account not found or SOS access not granted', 404);
+        }
+
+        return await sendIncidentList(res, { userId: guardianship.childId }, req.query);
+      } catch (err) {
+        safeLog.error('Error fetching child incidents', err);
+        return sendError(res, 'Failed to fetch incidents', 500);
+      }
+    }
+  );
+
+  // Set (or change) the safety PIN used to cancel incidents
+  router.put('/pin',
+    authenticate,
+    [
+      body('pin').isString().matches(/^\d{4,8}$/).withMessage('PIN must be 4 to 8 digits'),
+      body('currentPassword').notEmpty().withMessage('Current password is required'),
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        // Under duress the change is acknowledged but never applied
+        if (req.authSession.duress) {
+          return sendSuccess(res, null, 'Safety PIN saved');
+        }
+
+        const valid = await bcrypt.compare(req.body.currentPassword, req.user.passwordHash);
+        if (!valid) {
+          return sendError(res, 'Invalid credentials', 401);
+        }
+
+        req.user.safetyPinHash = await bcrypt.hash(req.body.pin, 10);
+        await req.user.save();
+
+        safeLog.info('[Incident] Safety PIN set', { userId: req.user._id });
+        return sendSuccess(res, null, 'Safety PIN saved');
+      } catch (err) {
+        safeLog.error('Error setting safety PIN', err);
+        return sendError(res, 'Failed to save safety PIN', 500);
+      }
+    }
+  );
+
+  // Incident detail with its evidence images and videos (for guardians with the evidence scope)
+  router.get('/:incidentId',
+    authenticate,
+    [incidentIdParam],
+    validate,
+    loadIncident,
+    async (req, res) => {
+      try {
+        if (req.incidentScopes && !req.incidentScopes.evidence) {
+          return sendSuccess(res, { incident: { ...formatIncident(req.incident), images: [], videos: [] } });
+        }
+
+        const images = await EmergencyImage.find({ incidentId: req.incident._id })
+          .sort({ timestamp: -1 })
+          .select('imageUrl triggerType location timestamp')
+          .lean();
+        const videos = await EmergencyVideo.find({ incidentId: req.incident._id })
+          .sort({ timestamp: -1 })
+          .select('videoUrl duration location timestamp')
+          .lean();
+
+        return sendSuccess(res, { incident: { ...formatIncident(req.incident), images, videos } });
+      } catch (err) {
+        safeLog.error('Error fetching incident', err);
+        return sendError(res, 'Failed to fetch incident', 500);
+      }
+    }
+  );
+
+  // Move an incident through its lifecycle. Guardians may set any later status;
+  // the owner may only resolve it or mark it a false alarm, and needs their PIN.
+  router.patch('/:incidentId/status',
+    authenticate,
+    [
+      incidentIdParam,
+      body('status').isIn(INCIDENT_STATUSES.filter((status) => status !== 'open')).withMessage('Invalid status'),
+      body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters'),
+      body('pin').optional().isString(),
+    ],
+    validate,
+    loadIncident,
+    async (req, res) => {
+      try {
+        const { status, note, pin } = req.body;
+
+        if (req.isIncidentOwner) {
+          if (!OWNER_STATUSES.includes(status)) {
+            return sendError(res, 'You can only resolve your own incident or mark it a false alarm', 403);
+          }
+          if (!pin) {
+            return sendError(res, 'PIN is required', 400);
+          }
+          if (req.authSession.duress) {
+            return sendFakeTransition(req, res, status);
+          }
+          const checked = await verifySafetyPin(req, pin);
+          if (checked.error) {
+            return sendError(res, checked.error, checked.status);
+          }
+        }
+
+        return await applyTransition(req, res, status, note);
+      } catch (err) {
+        safeLog.error('Error updating incident status', err);
+        return sendError(res, 'Failed to update incident', 500);
+      }
+    }
+  );
+
+  // Cancel your own incident as a false alarm
+  router.post('/:incidentId/cancel',
+    authenticate,
+    [
+      incidentIdParam,
+      pinValidator,
+      body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters'),
+    ],
+    validate,
+    loadIncident,
+    async (req, res) => {
+      try {
+        if (!req.isIncidentOwner) {
+          return sendError(res, 'Only the person who raised the incident can cancel it', 403);
+        }
+        if (req.authSession.duress) {
+          return sendFakeTransition(req, res, 'false_alarm');
+        }
+        const checked = await verifySafetyPin(req, req.body.pin);
+        if (checked.error) {
+          return sendError(res, checked.error, checked.status);
+        }
+
+        return await applyTransition(req, res, 'false_alarm', req.body.note || 'Cancelled by user');
+      } catch (err) {
+        safeLog.error('Error cancelling incident', err);
+        return sendError(res, 'Failed to cancel incident', 500);
+      }
+    }
+  );
+
+  // Everything that happened around an incident in one ordered feed, oldest first.
+  // Pass the returned cursor to continue; subscribe with the `incident-timeline-subscribe`
+  // socket event to receive new items as they happen.
+  router.get('/:incidentId/timeline',
+    authenticate,
+    [
+      incidentIdParam,
+      query('cursor').optional().isString().isLength({ max: 200 }).withMessage('Invalid cursor'),
+      query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+    ],
+    validate,
+    loadIncident,
+    async (req, res) => {
+      try {
+        const cursor = req.query.cursor ? decodeTimelineCursor(req.query.cursor) : null;
+        if (req.query.cursor && !cursor) {
+          return sendError(res, 'Invalid cursor', 400);
+        }
+
+        const timeline = await buildIncidentTimeline(req.incident, {
+          cursor,
+          limit: parseInt(req.query.limit) || 50,
+          types: visibleTimelineTypes(req.incidentScopes),
+        });
+
+        return sendSuccess(res, { incidentId: req.incident._id.toString(), ...timeline });
+      } catch (err) {
+        safeLog.error('Error building incident timeline', err);
+        return sendError(res, 'Failed to build incident timeline', 500);
+      }
+    }
+  );
+
+  // Current responder roster for an incident
+  router.get('/:incidentId/responders',
+    authenticate,
+    [incidentIdParam],
+    validate,
+    loadIncident,
+    async (req, res) => sendSuccess(res, { roster: buildResponderRoster(req.incident) })
+  );
+
+  // Answer a nearby SOS: acknowledge, on my way (send again to update ETA/location) or decline.
+  // The same responses are available over the socket (see utils/responders.js).
+  router.post('/:incidentId/respond',
+    authenticate,
+    [
+      incidentIdParam,
+      body('status').isIn(RESPONDER_STATUSES).withMessage('Status must be acknowledged, on_my_way or declined'),
+      body('etaMinutes').optional().isFloat({ min: 0, max: 600 }).withMessage('ETA must be between 0 and 600 minutes').toFloat(),
+      body('location').optional().isObject().withMessage('Location must be an object'),
+      body('location.latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude').toFloat(),
+      body('location.longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude').toFloat(),
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const result = await respondToIncident(io, {
+          incidentId: req.params.incidentId,
+          responder: req.user,
+          status: req.body.status,
+          etaMinutes: req.body.etaMinutes,
+          location: req.body.location,
+        });
+        if (result.error) {
+          return sendError(res, result.error, result.status);
+        }
+
+        return sendSuccess(res, { roster: result.roster }, 'Response recorded');
+      } catch (err) {
+        safeLog.error('Error recording SOS response', err);
+        return sendError(res, 'Failed to record response', 500);
+      }
+    }
+  );
+
+  return router;
+};
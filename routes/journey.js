@@ -1,22 +1,117 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
+import multer from 'multer';
+import { config } from '../config/index.js';
+import { Journey } from '../models/Journey.js';
+import { User } from '../models/User.js';
+import { capPoints, decodePolyline, distanceToPath, encodePolyline, simplifyTrack } from '../utils/geo.js';
+import { emitToGuardians, findGuardianship } from '../utils/guardians.js';
+import { touchUserSeen } from '../utils/heartbeat.js';
+import { checkJourneyAnomalies, promptMessage, raiseJourneyPrompt, TRAVEL_MODES } from '../utils/journeyAnomalies.js';
 import { validateCoordinates } from '../utils/helpers.js';
+import {
+  buildJourneyReplay,
+  closeJourneyRecord,
+  formatJourneyDetail,
+  formatJourneySummary,
+  openJourneyRecord,
+  recordJourneyEvent,
+} from '../utils/journeyHistory.js';
+import { locationFixCursor, recordLocationFix } from '../utils/locationHistory.js';
 import { safeLog } from '../utils/logger.js';
+import { EXPORT_FORMATS, IMPORT_FORMATS, parseRouteFile, streamTrackExport } from '../utils/trackFormats.js';
 import { sendSuccess, sendError, sendValidationError } from '../utils/response.js';
+import { publishUserEvent } from '../utils/userEvents.js';
 
 const router = express.Router();
 
-// Helper function to calculate distance between two points (Haversine formula)
-function calculateDistance(lat1, lng1, lat2, lng2) {
-  const R = 6371; // Earth's radius in km
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLng = (lng2 - lng1) * Math.PI / 180;
-  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-            Math.sin(dLng/2) * Math.sin(dLng/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c; // Distance in km
-}
+const MAX_ROUTE_POINTS = 5000;
+// Tolerance used to thin imported routes that have more points than we store
+const IMPORT_SIMPLIFY_TOLERANCE_KM = 0.005;
+
+// Route files (GPX/GeoJSON) can be uploaded as multipart or sent inline as JSON
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+});
+
+// Normalise a route given as [[lat, lng], ...] or a Google encoded polyline.
+// Returns { path } or { error }.
+const parseRoutePath = (route) => {
+  if (route === undefined || route === null) {
+    return { path: [] };
+  }
+
+  let path = route;
+  if (typeof route === 'string') {
+    try {
+      path = decodePolyline(route);
+    } catch (err) {
+      return { error: 'selectedRoutePath is not a valid encoded polyline' };
+    }
+  }
+
+  if (!Array.isArray(path)) {
+    return { error: 'selectedRoutePath must be an array of [lat, lng] pairs or an encoded polyline' };
+  }
+  if (path.length > MAX_ROUTE_POINTS) {
+    return { error: `Route path can have at most ${MAX_ROUTE_POINTS} points` };
+  }
+  const valid = path.every((point) => Array.isArray(point) && point.length === 2 &&
+    validateCoordinates(point[0], point[1]));
+  if (!valid) {
+    return { error: 'Route path points must be valid [lat, lng] pairs' };
+  }
+  return { path };
+};
+
+// Read a GPX/GeoJSON route file ({ content, format? }). Dense recorded tracks are
+// simplified to fit MAX_ROUTE_POINTS. Returns { path } or { error }.
+const importRouteFile = ({ content, format }) => {
+  let points;
+  try {
+    points = parseRouteFile(content, format);
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  if (points.length > MAX_ROUTE_POINTS) {
+    points = capPoints(simplifyTrack(points, IMPORT_SIMPLIFY_TOLERANCE_KM), MAX_ROUTE_POINTS);
+  }
+  return parseRoutePath(points);
+};
+
+const routeFileValidators = [
+  body('routeFile').optional().isObject().withMessage('routeFile must be an object'),
+  body('routeFile.content').optional()
+    .custom((value) => typeof value === 'string' || (value && typeof value === 'object'))
+    .withMessage('routeFile.content must be the file contents'),
+  body('routeFile.format').optional().isIn(IMPORT_FORMATS).withMessage(`Route file format must be one of: ${IMPORT_FORMATS.join(', ')}`),
+];
+
+// Expected arrival from an absolute time or a duration. Returns { expectedArrivalAt } or { error }.
+const resolveExpectedArrival = ({ expectedArrivalAt, expectedDurationMinutes }) => {
+  if (expectedArrivalAt === undefined && expectedDurationMinutes === undefined) {
+    return { expectedArrivalAt: null };
+  }
+  const now = Date.now();
+  const time = expectedArrivalAt !== undefined
+    ? new Date(expectedArrivalAt).getTime()
+    : now + expectedDurationMinutes * 60 * 1000;
+
+  if (time <= now) {
+    return { error: 'Expected arrival must be in the future' };
+  }
+  if (time > now + config.journey.maxDurationHours * 60 * 60 * 1000) {
+    return { error: `Expected arrival must be within ${config.journey.maxDurationHours} hours` };
+  }
+  return { expectedArrivalAt: new Date(time) };
+};
+
+const expectedArrivalValidators = [
+  body('expectedArrivalAt').optional().isISO8601().withMessage('Invalid expected arrival time'),
+  body('expectedDurationMinutes').optional().isInt({ min: 1 }).withMessage('Expected duration must be a positive number of minutes'),
+];
 
 // Validation middleware
 const validate = (req, res, next) => {
@@ -41,12 +136,24 @@ export const createJourneyRoutes = (authenticate, connectedUsers, io) => {
       body('to.coordinates').isObject().withMessage('To coordinates are required'),
       body('to.coordinates.lat').isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
       body('to.coordinates.lng').isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
-      body('selectedRoutePath').optional().isArray(),
+      body('selectedRoutePath').optional()
+        .custom((value) => Array.isArray(value) || typeof value === 'string')
+        .withMessage('selectedRoutePath must be an array of [lat, lng] pairs or an encoded polyline'),
+      body('deviationThresholdMeters').optional().isInt({ min: 25, max: 5000 })
+        .withMessage('Deviation threshold must be between 25 and 5000 meters'),
+      body('deviationGraceMinutes').optional().isInt({ min: 1, max: 60 })
+        .withMessage('Deviation grace period must be between 1 and 60 minutes'),
+      body('travelMode').optional().isIn(TRAVEL_MODES).withMessage(`Travel mode must be one of: ${TRAVEL_MODES.join(', ')}`),
+      ...routeFileValidators,
+      ...expectedArrivalValidators,
     ],
     validate,
     async (req, res) => {
       try {
-        const { from, to, selectedRoutePath } = req.body;
+        const {
+          from, to, selectedRoutePath, routeFile, travelMode, deviationThresholdMeters, deviationGraceMinutes,
+        } = req.body;
+        touchUserSeen(io, req.user._id);
 
         // Additional validation
         if (!validateCoordinates(from.coordinates.lat, from.coordinates.lng) ||
@@ -54,29 +161,60 @@ export const createJourneyRoutes = (authenticate, connectedUsers, io) => {
           return sendError(res, 'Invalid coordinates', 400);
         }
 
-        req.user.activeJourney = {
+        // A route file (GPX/GeoJSON planned elsewhere) takes the place of selectedRoutePath
+        if (routeFile && selectedRoutePath !== undefined) {
+          return sendError(res, 'Send either selectedRoutePath or routeFile, not both', 400);
+        }
+        const route = routeFile?.content !== undefined
+          ? importRouteFile(routeFile)
+          : parseRoutePath(selectedRoutePath);
+        if (route.error) {
+          return sendError(res, route.error, 400);
+        }
+        const arrival = resolveExpectedArrival(req.body);
+        if (arrival.error) {
+          return sendError(res, arrival.error, 400);
+        }
+
+        // Starting over an unfinished journey ends its history record
+        const previousJourneyId = req.user.activeJourney?.isActive ? req.user.activeJourney.journeyId : null;
+        if (previousJourneyId) {
+          await closeJourneyRecord(previousJourneyId);
+        }
+
+        const activeJourney = {
           isActive: true,
           from,
           to,
-          selectedRoutePath: selectedRoutePath || [],
+          selectedRoutePath: route.path,
+          travelMode: travelMode || 'walking',
+          deviationThresholdMeters: deviationThresholdMeters || config.journey.deviationThresholdMeters,
+          deviationGraceMinutes: deviationGraceMinutes || config.journey.deviationGraceMinutes,
           deviationDetected: false,
           deviationAlertSent: false,
           deviationAlertTime: null,
+          deviationEscalatedAt: null,
+          deviationEscalationLeaseUntil: null,
+          deviationReason: null,
+          tracking: {},
           startedAt: new Date(),
+          expectedArrivalAt: arrival.expectedArrivalAt,
+          overdueAlertedAt: null,
+          overdueAlertLeaseUntil: null,
         };
+        const record = await openJourneyRecord(req.user._id, activeJourney);
+        req.user.activeJourney = { ...activeJourney, journeyId: record._id };
         await req.user.save();
+        publishUserEvent('journey', req.user);
 
-        // Notify parent via WebSocket
-        if (req.user.parentId) {
-          const parentSocketId = connectedUsers.get(req.user.parentId.toString());
-          if (parentSocketId) {
-            io.to(parentSocketId).emit('child-journey-started', {
-              childId: req.user._id.toString(),
-              childName: req.user.displayName || req.user.name,
-              journey: req.user.activeJourney,
-            });
-            safeLog.info(`[Journey] Notified parent that child started journey`, { childId: req.user._id, parentId: req.user.parentId });
-          }
+        // Notify guardians via WebSocket
+        const guardianIds = await emitToGuardians(io, req.user._id, 'journey', 'child-journey-started', {
+          childId: req.user._id.toString(),
+          childName: req.user.name,
+          journey: req.user.activeJourney,
+        });
+        if (guardianIds.length > 0) {
+          safeLog.info(`[Journey] Notified guardians that child started journey`, { childId: req.user._id, guardianCount: guardianIds.length });
         }
 
         return sendSuccess(res, {
@@ -89,40 +227,151 @@ export const createJourneyRoutes = (authenticate, connectedUsers, io) => {
     }
   );
 
+  // Convert a GPX/GeoJSON route file to a route path, e.g. to preview it before starting.
+  // Accepts a multipart `file` or a JSON `routeFile`.
+  router.post('/import-route',
+    authenticate,
+    upload.single('file'),
+    [
+      ...routeFileValidators,
+      body('format').optional().isIn(IMPORT_FORMATS).withMessage(`Format must be one of: ${IMPORT_FORMATS.join(', ')}`),
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const routeFile = req.file
+          ? { content: req.file.buffer.toString('utf8'), format: req.body.format }
+          : req.body.routeFile;
+        if (!routeFile || routeFile.content === undefined) {
+          return sendError(res, 'Route file is required', 400);
+        }
+
+        const route = importRouteFile(routeFile);
+        if (route.error) {
+          return sendError(res, route.error, 400);
+        }
+        if (route.path.length < 2) {
+          return sendError(res, 'Route must have at least 2 points', 400);
+        }
+
+        return sendSuccess(res, {
+          selectedRoutePath: route.path,
+          polyline: encodePolyline(route.path),
+          pointCount: route.path.length,
+        });
+      } catch (err) {
+        safeLog.error('Error importing route', err);
+        return sendError(res, 'Failed to import route', 500);
+      }
+    }
+  );
+
   // Stop journey (child ends journey)
   router.post('/stop', authenticate, async (req, res) => {
     try {
+      const journeyId = req.user.activeJourney?.isActive ? req.user.activeJourney.journeyId : null;
+
       req.user.activeJourney = {
         isActive: false,
         from: null,
         to: null,
         selectedRoutePath: [],
+        deviationThresholdMeters: null,
+        deviationGraceMinutes: null,
         deviationDetected: false,
         deviationAlertSent: false,
         deviationAlertTime: null,
+        deviationEscalatedAt: null,
+        deviationEscalationLeaseUntil: null,
+        deviationReason: null,
+        deviationLocation: null,
+        deviationDistanceKm: null,
+        travelMode: null,
+        tracking: {},
         startedAt: null,
+        expectedArrivalAt: null,
+        overdueAlertedAt: null,
+        overdueAlertLeaseUntil: null,
+        journeyId: null,
       };
       await req.user.save();
+      publishUserEvent('journey', req.user);
 
-      // Notify parent via WebSocket
-      if (req.user.parentId) {
-        const parentSocketId = connectedUsers.get(req.user.parentId.toString());
-        if (parentSocketId) {
-          io.to(parentSocketId).emit('child-journey-stopped', {
-            childId: req.user._id.toString(),
-            childName: req.user.displayName || req.user.name,
-          });
-          safeLog.info(`[Journey] Notified parent that child stopped journey`, { childId: req.user._id, parentId: req.user.parentId });
-        }
+      // Keep the finished journey in the history
+      let record = null;
+      try {
+        record = await closeJourneyRecord(journeyId);
+      } catch (recordErr) {
+        safeLog.error('Error saving journey history', recordErr);
       }
 
-      return sendSuccess(res, null, 'Journey stopped successfully');
+      // Notify guardians via WebSocket
+      const guardianIds = await emitToGuardians(io, req.user._id, 'journey', 'child-journey-stopped', {
+        childId: req.user._id.toString(),
+        childName: req.user.name,
+        journeyId: record ? record._id.toString() : null,
+      });
+      if (guardianIds.length > 0) {
+        safeLog.info(`[Journey] Notified guardians that child stopped journey`, { childId: req.user._id, guardianCount: guardianIds.length });
+      }
+
+      return sendSuccess(res, {
+        journey: record ? formatJourneySummary(record) : null,
+      }, 'Journey stopped successfully');
     } catch (err) {
       safeLog.error('Error stopping journey', err);
       return sendError(res, 'Failed to stop journey', 500);
     }
   });
 
+  // Change the expected arrival of the active journey (e.g. after an overdue prompt)
+  router.put('/expected-arrival',
+    authenticate,
+    expectedArrivalValidators,
+    validate,
+    async (req, res) => {
+      try {
+        const arrival = resolveExpectedArrival(req.body);
+        if (arrival.error) {
+          return sendError(res, arrival.error, 400);
+        }
+
+        const user = await User.findOneAndUpdate(
+          { _id: req.user._id, 'activeJourney.isActive': true },
+          {
+            $set: {
+              'activeJourney.expectedArrivalAt': arrival.expectedArrivalAt,
+              'activeJourney.overdueAlertedAt': null,
+              'activeJourney.overdueAlertLeaseUntil': null,
+            },
+          },
+          { new: true }
+        );
+        if (!user) {
+          return sendError(res, 'No active journey', 404);
+        }
+
+        await recordJourneyEvent(user.activeJourney.journeyId, {
+          type: 'expected_arrival_updated',
+          details: user.activeJourney.expectedArrivalAt ? user.activeJourney.expectedArrivalAt.toISOString() : 'cleared',
+        }, { expectedArrivalAt: user.activeJourney.expectedArrivalAt });
+
+        await emitToGuardians(io, req.user._id, 'journey', 'child-journey-updated', {
+          childId: req.user._id.toString(),
+          childName: req.user.name,
+          expectedArrivalAt: user.activeJourney.expectedArrivalAt,
+        });
+
+        return sendSuccess(res, {
+          expectedArrivalAt: user.activeJourney.expectedArrivalAt,
+        }, 'Expected arrival updated successfully');
+      } catch (err) {
+        safeLog.error('Error updating expected arrival', err);
+        return sendError(res, 'Failed to update expected arrival', 500);
+      }
+    }
+  );
+
   // Respond to deviation alert (child confirms they're okay)
   router.post('/deviation-response',
     authenticate,
@@ -135,11 +384,40 @@ export const createJourneyRoutes = (authenticate, connectedUsers, io) => {
         const { isOkay } = req.body;
         
         if (isOkay) {
-          // Child confirmed they're okay - reset deviation flags
-          req.user.activeJourney.deviationDetected = false;
-          req.user.activeJourney.deviationAlertSent = false;
-          req.user.activeJourney.deviationAlertTime = null;
-          await req.user.save();
+          // Child confirmed they're okay - reset deviation flags. Atomic so the journey
+          // monitor cannot escalate in between; the previous document tells us if it already did.
+          const previous = await User.findOneAndUpdate(
+            { _id: req.user._id },
+            {
+              $set: {
+                'activeJourney.deviationDetected': false,
+                'activeJourney.deviationAlertSent': false,
+                'activeJourney.deviationAlertTime': null,
+                'activeJourney.deviationEscalatedAt': null,
+                'activeJourney.deviationEscalationLeaseUntil': null,
+                'activeJourney.deviationReason': null,
+                // Give a confirmed stop or fast ride a fresh start before prompting again
+                'activeJourney.tracking.stationarySince': new Date(),
+                'activeJourney.tracking.speedViolations': 0,
+              },
+            }
+          );
+
+          // An escalation in progress may already have reached guardians
+          const wasEscalated = Boolean(previous?.activeJourney?.deviationEscalatedAt ||
+            previous?.activeJourney?.deviationEscalationLeaseUntil);
+          await recordJourneyEvent(previous?.activeJourney?.journeyId, {
+            type: 'deviation_response',
+            details: wasEscalated ? 'okay (after guardians were alerted)' : 'okay',
+          });
+
+          if (wasEscalated) {
+            await emitToGuardians(io, req.user._id, 'journey', 'child-deviation-cleared', {
+              childId: req.user._id.toString(),
+              childName: req.user.name,
+              timestamp: new Date(),
+            });
+          }
           
           safeLog.info(`[Journey] Child responded to deviation alert - they're okay`, { userId: req.user._id });
           
@@ -154,7 +432,8 @@ export const createJourneyRoutes = (authenticate, connectedUsers, io) => {
     }
   );
 
-  // Check route deviation and alert parent if needed
+  // Check a journey fix for route deviation, prolonged stops and implausible speed.
+  // Any of these prompts the child; the journey monitor alerts guardians if they do not answer.
   router.post('/check-deviation',
     authenticate,
     [
@@ -165,89 +444,97 @@ export const createJourneyRoutes = (authenticate, connectedUsers, io) => {
     async (req, res) => {
       try {
         const { currentLat, currentLng } = req.body;
+        touchUserSeen(io, req.user._id);
         
         // Additional validation
         if (!validateCoordinates(currentLat, currentLng)) {
           return sendError(res, 'Invalid coordinates', 400);
         }
-        
+
+        const fixTime = new Date();
+        await recordLocationFix(req.user._id, {
+          timestamp: fixTime,
+          latitude: currentLat,
+          longitude: currentLng,
+          source: 'journey',
+        });
+
         const journey = req.user.activeJourney;
-        
-        if (!journey || !journey.isActive || !journey.selectedRoutePath || journey.selectedRoutePath.length === 0) {
+        if (!journey || !journey.isActive) {
           return sendSuccess(res, { onRoute: true, message: 'No active journey or route path' });
         }
-        
-        // Calculate minimum distance to route path
-        let minDistance = Infinity;
-        journey.selectedRoutePath.forEach(point => {
-          const distance = calculateDistance(currentLat, currentLng, point[0], point[1]);
-          if (distance < minDistance) {
-            minDistance = distance;
-          }
-        });
-        
-        // Threshold: 200 meters off route
-        const DEVIATION_THRESHOLD = 0.2; // km
-        const isOffRoute = minDistance > DEVIATION_THRESHOLD;
-        
-        safeLog.info(`[Journey] Deviation check - Distance from route: ${(minDistance * 1000).toFixed(0)}m, Off route: ${isOffRoute}`);
-        
+
+        const hasRoute = journey.selectedRoutePath && journey.selectedRoutePath.length > 0;
+        let minDistance = null;
+        let isOffRoute = false;
+        if (hasRoute) {
+          // Cross-track distance to the route's segments
+          minDistance = distanceToPath([currentLat, currentLng], journey.selectedRoutePath);
+
+          // Journeys started before per-journey settings existed fall back to the defaults
+          const thresholdKm = (journey.deviationThresholdMeters || config.journey.deviationThresholdMeters) / 1000;
+          isOffRoute = minDistance > thresholdKm;
+
+          safeLog.info(`[Journey] Deviation check - Distance from route: ${(minDistance * 1000).toFixed(0)}m, Off route: ${isOffRoute}`);
+        }
+
+        let promptedAt = null;
         if (isOffRoute && !journey.deviationAlertSent) {
-          // First time deviation detected - set flag and alert time
-          journey.deviationDetected = true;
-          journey.deviationAlertSent = true;
-          journey.deviationAlertTime = new Date();
-          await req.user.save();
-          
-          safeLog.warn(`[Journey] Child went off route! Alert sent.`, { userId: req.user._id });
-          
-          return sendSuccess(res, {
-            onRoute: false,
-            distanceFromRoute: minDistance,
-            alertSent: true,
-            message: 'You seem to have gone off your planned route. Are you okay?'
+          promptedAt = await raiseJourneyPrompt(io, req.user, {
+            reason: 'off_route',
+            latitude: currentLat,
+            longitude: currentLng,
+            distanceKm: minDistance,
           });
-        } else if (isOffRoute && journey.deviationAlertSent) {
-          // Check if alert timeout exceeded (5 minutes)
-          const alertTime = new Date(journey.deviationAlertTime);
-          const now = new Date();
-          const minutesSinceAlert = (now - alertTime) / 1000 / 60;
-          
-          if (minutesSinceAlert > 5 && req.user.parentId) {
-            // Alert parent - no response for 5 minutes
-            const parentSocketId = connectedUsers.get(req.user.parentId.toString());
-            if (parentSocketId) {
-              io.to(parentSocketId).emit('child-deviation-alert', {
-                childId: req.user._id.toString(),
-                childName: req.user.displayName || req.user.name,
-                currentLocation: { lat: currentLat, lng: currentLng },
-                distanceFromRoute: minDistance,
-                timestamp: new Date(),
-              });
-              safeLog.warn(`[Journey] PARENT ALERT! Child off route with no response for 5 minutes`, { userId: req.user._id });
+        } else if (isOffRoute && (journey.deviationReason || 'off_route') === 'off_route') {
+          // Keep the latest off-route position for the monitor's alert
+          await User.updateOne(
+            { _id: req.user._id, 'activeJourney.deviationAlertSent': true },
+            {
+              $set: {
+                'activeJourney.deviationLocation': { lat: currentLat, lng: currentLng },
+                'activeJourney.deviationDistanceKm': minDistance,
+              },
             }
-            
-            return sendSuccess(res, {
-              onRoute: false,
-              distanceFromRoute: minDistance,
-              parentAlerted: true,
-              message: 'Parent has been notified'
-            });
-          } else {
-            return sendSuccess(res, {
-              onRoute: false,
-              distanceFromRoute: minDistance,
-              alertPending: true,
-              message: 'Waiting for response'
-            });
-          }
-        } else {
+          );
+        }
+
+        // Stops and speed are checked on every fix so their tracking state stays current
+        const anomalies = await checkJourneyAnomalies(io, req.user, {
+          latitude: currentLat,
+          longitude: currentLng,
+          timestamp: fixTime,
+        });
+        promptedAt = promptedAt || anomalies?.promptedAt || null;
+
+        const current = req.user.activeJourney;
+        const reason = current.deviationReason || 'off_route';
+        const base = {
+          onRoute: !isOffRoute,
+          distanceFromRoute: minDistance,
+          speedKmh: anomalies?.speedKmh ?? null,
+          stationaryMinutes: anomalies ? Math.floor(anomalies.stationaryMinutes) : null,
+        };
+
+        if (promptedAt) {
+          const graceMinutes = current.deviationGraceMinutes || config.journey.deviationGraceMinutes;
           return sendSuccess(res, {
-            onRoute: true,
-            distanceFromRoute: minDistance,
-            message: 'On route'
+            ...base,
+            alertSent: true,
+            reason,
+            responseDeadline: new Date(promptedAt.getTime() + graceMinutes * 60 * 1000),
+            message: promptMessage(reason),
           });
         }
+        if (current.deviationAlertSent) {
+          return sendSuccess(res, current.deviationEscalatedAt
+            ? { ...base, reason, parentAlerted: true, message: 'Parent has been notified' }
+            : { ...base, reason, alertPending: true, message: 'Waiting for response' });
+        }
+        return sendSuccess(res, {
+          ...base,
+          message: hasRoute ? 'On route' : 'No route path',
+        });
       } catch (err) {
         safeLog.error('Error checking deviation', err);
         return sendError(res, 'Failed to check deviation', 500);
@@ -255,6 +542,165 @@ export const createJourneyRoutes = (authenticate, connectedUsers, io) => {
     }
   );
 
+  const historyValidators = [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ];
+
+  // Paginated journey list for a user, newest first
+  const sendJourneyList = async (res, userId, reqQuery) => {
+    const page = parseInt(reqQuery.page) || 1;
+    const limit = Math.min(parseInt(reqQuery.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const journeys = await Journey.find({ userId })
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-track -events -plannedRoute');
+    const total = await Journey.countDocuments({ userId });
+
+    return sendSuccess(res, {
+      journeys: journeys.map(formatJourneySummary),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1,
+      },
+    });
+  };
+
+  // Load a journey the requester may see: their own, or a child's with the journey scope
+  const findViewableJourney = async (req) => {
+    const journey = await Journey.findById(req.params.journeyId);
+    if (!journey) return null;
+    if (journey.userId.toString() === req.user._id.toString()) return journey;
+    const guardianship = await findGuardianship(req.user._id, journey.userId, 'journey');
+    return guardianship ? journey : null;
+  };
+
+  const journeyIdParam = param('journeyId').isMongoId().withMessage('Invalid journey ID format');
+
+  // Own journey history
+  router.get('/history',
+    authenticate,
+    historyValidators,
+    validate,
+    async (req, res) => {
+      try {
+        return await sendJourneyList(res, req.user._id, req.query);
+      } catch (err) {
+        safeLog.error('Error fetching journey history', err);
+        return sendError(res, 'Failed to fetch journey history', 500);
+      }
+    }
+  );
+
+  // A child's journey history (requires the journey scope)
+  router.get('/children/:childId/history',
+    authenticate,
+    [
+      param('childId').isMongoId().withMessage('Invalid child ID format'),
+      ...historyValidators,
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const guardianship = await findGuardianship(req.user._id, req.params.childId, 'journey');
+        if (!guardianship) {
+          return sendError(res, 'Child account not found or journey access not granted', 404);
+        }
+
+        return await sendJourneyList(res, guardianship.childId, req.query);
+      } catch (err) {
+        safeLog.error('Error fetching child journey history', err);
+        return sendError(res, 'Failed to fetch journey history', 500);
+      }
+    }
+  );
+
+  // Journey detail: planned route, actual track and events
+  router.get('/history/:journeyId',
+    authenticate,
+    [journeyIdParam],
+    validate,
+    async (req, res) => {
+      try {
+        const journey = await findViewableJourney(req);
+        if (!journey) {
+          return sendError(res, 'Journey not found', 404);
+        }
+
+        return sendSuccess(res, { journey: await formatJourneyDetail(journey) });
+      } catch (err) {
+        safeLog.error('Error fetching journey', err);
+        return sendError(res, 'Failed to fetch journey', 500);
+      }
+    }
+  );
+
+  // Replay payload for animating the journey on a map
+  router.get('/history/:journeyId/replay',
+    authenticate,
+    [journeyIdParam],
+    validate,
+    async (req, res) => {
+      try {
+        const journey = await findViewableJourney(req);
+        if (!journey) {
+          return sendError(res, 'Journey not found', 404);
+        }
+
+        return sendSuccess(res, { replay: await buildJourneyReplay(journey) });
+      } catch (err) {
+        safeLog.error('Error building journey replay', err);
+        return sendError(res, 'Failed to build journey replay', 500);
+      }
+    }
+  );
+
+  // Download a journey's actual track (and planned route) as GPX, KML or GeoJSON
+  router.get('/history/:journeyId/export',
+    authenticate,
+    [
+      journeyIdParam,
+      query('format').isIn(EXPORT_FORMATS).withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const journey = await findViewableJourney(req);
+        if (!journey) {
+          return sendError(res, 'Journey not found', 404);
+        }
+
+        // Finished journeys have a stored track; an active one is read from the location history
+        // The range end is fixed up front so every pass over an active journey reads the same fixes
+        const until = new Date();
+        const points = journey.status === 'completed'
+          ? () => journey.track.map((point) => ({ latitude: point.lat, longitude: point.lng, timestamp: point.timestamp }))
+          : () => locationFixCursor(journey.userId, journey.startedAt, until);
+
+        const destination = journey.to?.name || journey.to?.address;
+        await streamTrackExport(res, req.query.format, {
+          name: `Journey ${journey.startedAt.toISOString()}${destination ? ` to ${destination}` : ''}`,
+          filename: `journey-${journey._id}`,
+          plannedRoute: journey.plannedRoute,
+          points,
+        });
+      } catch (err) {
+        safeLog.error('Error exporting journey', err);
+        if (res.headersSent) {
+          return res.destroy(err);
+        }
+        return sendError(res, 'Failed to export journey', 500);
+      }
+    }
+  );
+
   return router;
 };
 
@@ -0,0 +1,390 @@
+import crypto from 'crypto';
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { PairingCode } from '../models/PairingCode.js';
+import { PairingRequest } from '../models/PairingRequest.js';
+import { User } from '../models/User.js';
+import { findGuardianship, linkGuardian, sanitizeScopes, unlinkGuardian } from '../utils/guardians.js';
+import { revokeTimelineAccess } from '../utils/incidentTimeline.js';
+import { safeLog } from '../utils/logger.js';
+import { sendError, sendSuccess, sendValidationError } from '../utils/response.js';
+
+const router = express.Router();
+
+const REQUEST_TTL_DAYS = 7;
+const CODE_TTL_MINUTES = 10;
+// No 0/O or 1/I so codes can be read out or typed without confusion
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+// Validation middleware
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array());
+  }
+  next();
+};
+
+const generatePairingCode = () => {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET.charAt(crypto.randomInt(CODE_ALPHABET.length));
+  }
+  return code;
+};
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+const formatRequest = (request) => ({
+  id: request._id.toString(),
+  status: request.status,
+  displayName: request.displayName || null,
+  requestedScopes: request.requestedScopes || {},
+  expiresAt: request.expiresAt,
+  createdAt: request.createdAt,
+  guardian: request.guardianId?.name
+    ? { id: request.guardianId._id.toString(), name: request.guardianId.name, accountId: request.guardianId.accountId }
+    : undefined,
+  child: request.childId?.name
+    ? { id: request.childId._id.toString(), name: request.childId.name, accountId: request.childId.accountId }
+    : undefined,
+});
+
+// Factory function to create pairing routes with dependencies
+export const createPairingRoutes = (authenticate, io) => {
+  // Guardian asks to link with a child by account ID - the child must accept
+  router.post('/requests',
+    authenticate,
+    [
+      body('accountId').trim().notEmpty().withMessage('Account ID is required'),
+      body('displayName').optional().trim(),
+      body('scopes').optional().isObject().withMessage('Scopes must be an object'),
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const { accountId, displayName, scopes } = req.body;
+
+        const childUser = await User.findOne({ accountId: accountId.toUpperCase() });
+        if (!childUser) {
+          return sendError(res, 'Account with this ID not found', 404);
+        }
+
+        if (childUser._id.toString() === req.user._id.toString()) {
+          return sendError(res, 'Cannot add yourself as a child', 400);
+        }
+
+        if (await findGuardianship(req.user._id, childUser._id)) {
+          return sendError(res, 'This account is already linked to you', 409);
+        }
+
+        const existing = await PairingRequest.findOne({
+          guardianId: req.user._id,
+          childId: childUser._id,
+          status: 'pending',
+          expiresAt: { $gt: new Date() },
+        });
+        if (existing) {
+          return sendError(res, 'A pairing request is already pending for this account', 409);
+        }
+
+        const request = await PairingRequest.create({
+          guardianId: req.user._id,
+          childId: childUser._id,
+          displayName: displayName || undefined,
+          requestedScopes: sanitizeScopes(scopes),
+          expiresAt: new Date(Date.now() + REQUEST_TTL_DAYS * 24 * 60 * 60 * 1000),
+        });
+
+        io.to(`user:${childUser._id}`).emit('pairing-request', {
+          requestId: request._id.toString(),
+          guardian: {
+            id: req.user._id.toString(),
+            name: req.user.name,
+            accountId: req.user.accountId,
+          },
+          requestedScopes: request.requestedScopes,
+          expiresAt: request.expiresAt,
+        });
+
+        safeLog.info('[Pairing] Pairing request sent', { userId: req.user._id });
+
+        return sendSuccess(res, {
+          request: formatRequest(request),
+        }, 'Pairing request sent. Waiting for the account owner to accept.', 201);
+      } catch (err) {
+        safeLog.error('Error creating pairing request', err);
+        return sendError(res, 'Failed to send pairing request', 500);
+      }
+    }
+  );
+
+  // Pending requests: incoming (to accept/decline) and outgoing (sent as guardian)
+  router.get('/requests', authenticate, async (req, res) => {
+    try {
+      const active = { status: 'pending', expiresAt: { $gt: new Date() } };
+
+      const [incoming, outgoing] = await Promise.all([
+        PairingRequest.find({ ...active, childId: req.user._id })
+          .populate('guardianId', 'name accountId')
+          .sort({ createdAt: -1 }),
+        PairingRequest.find({ ...active, guardianId: req.user._id })
+          .populate('childId', 'name accountId')
+          .sort({ createdAt: -1 }),
+      ]);
+
+      return sendSuccess(res, {
+        incoming: incoming.map(formatRequest),
+        outgoing: outgoing.map(formatRequest),
+      });
+    } catch (err) {
+      safeLog.error('Error fetching pairing requests', err);
+      return sendError(res, 'Failed to fetch pairing requests', 500);
+    }
+  });
+
+  // Child accepts or declines a request addressed to them.
+  // When accepting, the child may grant fewer scopes than requested via `scopes`.
+  router.post('/requests/:requestId/:action(accept|decline)',
+    authenticate,
+    [
+      param('requestId').isMongoId().withMessage('Invalid request ID format'),
+      body('scopes').optional().isObject().withMessage('Scopes must be an object'),
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const { requestId, action } = req.params;
+
+        const request = await PairingRequest.findOneAndUpdate(
+          {
+            _id: requestId,
+            childId: req.user._id,
+            status: 'pending',
+            expiresAt: { $gt: new Date() },
+          },
+          { status: action === 'accept' ? 'accepted' : 'declined', respondedAt: new Date() },
+          { new: true }
+        );
+        if (!request) {
+          return sendError(res, 'Pairing request not found or no longer pending', 404);
+        }
+
+        if (action === 'decline') {
+          io.to(`user:${request.guardianId}`).emit('pairing-request-declined', {
+            requestId: request._id.toString(),
+            childId: req.user._id.toString(),
+          });
+          return sendSuccess(res, null, 'Pairing request declined');
+        }
+
+        const result = await linkGuardian(
+          io,
+          request.guardianId,
+          req.user._id,
+          request.displayName,
+          { ...request.requestedScopes, ...sanitizeScopes(req.body.scopes) }
+        );
+        if (result.error) {
+          // Roll the request back so it does not look accepted
+          request.status = 'pending';
+          request.respondedAt = undefined;
+          await request.save();
+          return sendError(res, result.error, result.status);
+        }
+
+        io.to(`user:${request.guardianId}`).emit('pairing-request-accepted', {
+          requestId: request._id.toString(),
+          child: {
+            id: req.user._id.toString(),
+            name: req.user.name,
+            accountId: req.user.accountId,
+            displayName: result.guardianship.displayName || req.user.name,
+          },
+          scopes: result.guardianship.scopes,
+        });
+
+        safeLog.info('[Pairing] Pairing request accepted', { userId: req.user._id });
+
+        return sendSuccess(res, {
+          guardian: {
+            id: request.guardianId.toString(),
+            scopes: result.guardianship.scopes,
+          },
+        }, 'Pairing request accepted');
+      } catch (err) {
+        safeLog.error('Error responding to pairing request', err);
+        return sendError(res, 'Failed to respond to pairing request', 500);
+      }
+    }
+  );
+
+  // Guardian withdraws a request they sent
+  router.delete('/requests/:requestId',
+    authenticate,
+    [
+      param('requestId').isMongoId().withMessage('Invalid request ID format'),
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const request = await PairingRequest.findOneAndUpdate(
+          { _id: req.params.requestId, guardianId: req.user._id, status: 'pending' },
+          { status: 'cancelled', respondedAt: new Date() },
+          { new: true }
+        );
+        if (!request) {
+          return sendError(res, 'Pairing request not found or no longer pending', 404);
+        }
+
+        io.to(`user:${request.childId}`).emit('pairing-request-cancelled', {
+          requestId: request._id.toString(),
+        });
+
+        return sendSuccess(res, null, 'Pairing request cancelled');
+      } catch (err) {
+        safeLog.error('Error cancelling pairing request', err);
+        return sendError(res, 'Failed to cancel pairing request', 500);
+      }
+    }
+  );
+
+  // Child creates a short-lived pairing code (shown as text or QR code)
+  router.post('/codes', authenticate, async (req, res) => {
+    try {
+      // Only one live code per child
+      await PairingCode.deleteMany({ childId: req.user._id, usedAt: null });
+
+      const code = generatePairingCode();
+      const pairingCode = await PairingCode.create({
+        childId: req.user._id,
+        codeHash: hashCode(code),
+        expiresAt: new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000),
+      });
+
+      return sendSuccess(res, {
+        code,
+        expiresAt: pairingCode.expiresAt,
+        qrPayload: `womensafety://pair?code=${code}`,
+      }, null, 201);
+    } catch (err) {
+      safeLog.error('Error creating pairing code', err);
+      return sendError(res, 'Failed to create pairing code', 500);
+    }
+  });
+
+  // Guardian redeems a child's pairing code - the child consented by sharing it
+  router.post('/codes/redeem',
+    authenticate,
+    [
+      body('code').trim().notEmpty().withMessage('Pairing code is required'),
+      body('displayName').optional().trim(),
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const { code, displayName } = req.body;
+
+        const pairingCode = await PairingCode.findOneAndUpdate(
+          {
+            codeHash: hashCode(code.toUpperCase().replace(/[\s-]/g, '')),
+            usedAt: null,
+            expiresAt: { $gt: new Date() },
+          },
+          { usedAt: new Date(), usedBy: req.user._id },
+          { new: true }
+        );
+        if (!pairingCode) {
+          return sendError(res, 'Pairing code is invalid or has expired', 404);
+        }
+
+        // The code is claimed first so it cannot be redeemed twice; if linking fails
+        // it is handed back so the child's code is not burned
+        const releaseCode = () => PairingCode.updateOne(
+          { _id: pairingCode._id, usedBy: req.user._id },
+          { usedAt: null, usedBy: null }
+        );
+
+        let result;
+        try {
+          result = await linkGuardian(io, req.user._id, pairingCode.childId, displayName);
+        } catch (err) {
+          await releaseCode();
+          throw err;
+        }
+        if (result.error) {
+          await releaseCode();
+          return sendError(res, result.error, result.status);
+        }
+
+        const childUser = await User.findById(pairingCode.childId).select('name accountId');
+
+        io.to(`user:${pairingCode.childId}`).emit('guardian-linked', {
+          guardian: {
+            id: req.user._id.toString(),
+            name: req.user.name,
+            accountId: req.user.accountId,
+          },
+          scopes: result.guardianship.scopes,
+        });
+
+        safeLog.info('[Pairing] Pairing code redeemed', { userId: req.user._id });
+
+        return sendSuccess(res, {
+          child: {
+            id: pairingCode.childId,
+            name: childUser?.name,
+            accountId: childUser?.accountId,
+            displayName: result.guardianship.displayName || childUser?.name,
+            scopes: result.guardianship.scopes,
+          },
+        }, 'Child account added successfully');
+      } catch (err) {
+        safeLog.error('Error redeeming pairing code', err);
+        return sendError(res, 'Failed to redeem pairing code', 500);
+      }
+    }
+  );
+
+  // Child removes one of their guardians - the guardian cannot block this
+  router.delete('/guardians/:guardianId',
+    authenticate,
+    [
+      param('guardianId').isMongoId().withMessage('Invalid guardian ID format'),
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const { guardianId } = req.params;
+
+        // Under duress the removal is acknowledged but never applied, so guardians keep getting alerts
+        if (req.authSession.duress) {
+          if (!await findGuardianship(guardianId, req.user._id)) {
+            return sendError(res, 'Guardian not found', 404);
+          }
+          return sendSuccess(res, null, 'Guardian removed successfully');
+        }
+
+        const removed = await unlinkGuardian(io, guardianId, req.user._id);
+        if (!removed) {
+          return sendError(res, 'Guardian not found', 404);
+        }
+        await revokeTimelineAccess(io, guardianId, req.user._id);
+
+        io.to(`user:${guardianId}`).emit('child-unlinked', {
+          childId: req.user._id.toString(),
+        });
+
+        safeLog.info('[Pairing] Child unlinked from guardian', { userId: req.user._id });
+
+        return sendSuccess(res, null, 'Guardian removed successfully');
+      } catch (err) {
+        safeLog.error('Error unlinking guardian', err);
+        return sendError(res, 'Failed to remove guardian', 500);
+      }
+    }
+  );
+
+  return router;
+};
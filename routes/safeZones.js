@@ -0,0 +1,273 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { SafeZone } from '../models/SafeZone.js';
+import { ZoneEvent } from '../models/ZoneEvent.js';
+import { findGuardianship } from '../utils/guardians.js';
+import { validateCoordinates } from '../utils/helpers.js';
+import { safeLog } from '../utils/logger.js';
+import { sendError, sendSuccess, sendValidationError } from '../utils/response.js';
+
+// Mounted under /api/accounts/children/:childId/zones
+const router = express.Router({ mergeParams: true });
+
+const MAX_POLYGON_POINTS = 100;
+
+// Validation middleware
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array());
+  }
+  next();
+};
+
+// Only guardians with the liveLocation scope may manage or see a child's zones
+const requireZoneAccess = async (req, res, next) => {
+  try {
+    const guardianship = await findGuardianship(req.user._id, req.params.childId, 'liveLocation');
+    if (!guardianship) {
+      return sendError(res, 'Child account not found or location access not granted', 404);
+    }
+    req.childId = guardianship.childId;
+    next();
+  } catch (err) {
+    safeLog.error('Error checking zone access', err);
+    return sendError(res, 'Failed to verify access', 500);
+  }
+};
+
+// Check shape-specific geometry. Returns an error message or null.
+const validateGeometry = ({ shape, center, radiusMeters, polygon }) => {
+  if (shape === 'circle') {
+    if (!center || !validateCoordinates(center.latitude, center.longitude)) {
+      return 'Circle zones need a valid center';
+    }
+    if (typeof radiusMeters !== 'number' || radiusMeters < 20 || radiusMeters > 50000) {
+      return 'Radius must be between 20 and 50000 meters';
+    }
+    return null;
+  }
+
+  if (!Array.isArray(polygon) || polygon.length < 3 || polygon.length > MAX_POLYGON_POINTS) {
+    return `Polygon zones need between 3 and ${MAX_POLYGON_POINTS} points`;
+  }
+  const validPoints = polygon.every((point) => Array.isArray(point) && point.length === 2 &&
+    validateCoordinates(point[0], point[1]));
+  return validPoints ? null : 'Polygon points must be [latitude, longitude] pairs';
+};
+
+const formatZone = (zone) => ({
+  id: zone._id.toString(),
+  name: zone.name,
+  shape: zone.shape,
+  center: zone.shape === 'circle' ? zone.center : null,
+  radiusMeters: zone.shape === 'circle' ? zone.radiusMeters : null,
+  polygon: zone.shape === 'polygon' ? zone.polygon : null,
+  hysteresisMeters: zone.hysteresisMeters,
+  isActive: zone.isActive,
+  inside: zone.state?.inside ?? null,
+  stateChangedAt: zone.state?.changedAt || null,
+  createdAt: zone.createdAt,
+  updatedAt: zone.updatedAt,
+});
+
+const zoneValidators = (optional) => {
+  const field = (chain) => (optional ? chain.optional() : chain);
+  return [
+    field(body('name')).trim().notEmpty().withMessage('Zone name is required'),
+    field(body('shape')).isIn(['circle', 'polygon']).withMessage('Shape must be circle or polygon'),
+    body('center').optional().isObject().withMessage('Center must be an object'),
+    body('radiusMeters').optional().isFloat().withMessage('Radius must be a number'),
+    body('polygon').optional().isArray().withMessage('Polygon must be an array'),
+    body('hysteresisMeters').optional().isFloat({ min: 0, max: 500 }).withMessage('Hysteresis must be between 0 and 500 meters'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  ];
+};
+
+// Factory function to create safe zone routes with dependencies
+export const createSafeZoneRoutes = (authenticate) => {
+  const childParam = param('childId').isMongoId().withMessage('Invalid child ID format');
+
+  // List a child's zones
+  router.get('/',
+    authenticate,
+    [childParam],
+    validate,
+    requireZoneAccess,
+    async (req, res) => {
+      try {
+        const zones = await SafeZone.find({ childId: req.childId }).sort({ createdAt: 1 });
+        return sendSuccess(res, { zones: zones.map(formatZone) });
+      } catch (err) {
+        safeLog.error('Error fetching safe zones', err);
+        return sendError(res, 'Failed to fetch safe zones', 500);
+      }
+    }
+  );
+
+  // Enter/exit event log, newest first
+  router.get('/events',
+    authenticate,
+    [
+      childParam,
+      query('zoneId').optional().isMongoId().withMessage('Invalid zone ID format'),
+      query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+      query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    ],
+    validate,
+    requireZoneAccess,
+    async (req, res) => {
+      try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+        const skip = (page - 1) * limit;
+
+        const filter = { childId: req.childId };
+        if (req.query.zoneId) {
+          filter.zoneId = req.query.zoneId;
+        }
+
+        const events = await ZoneEvent.find(filter)
+          .sort({ timestamp: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean();
+
+        const total = await ZoneEvent.countDocuments(filter);
+
+        return sendSuccess(res, {
+          events,
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            hasNextPage: page * limit < total,
+            hasPrevPage: page > 1,
+          },
+        });
+      } catch (err) {
+        safeLog.error('Error fetching zone events', err);
+        return sendError(res, 'Failed to fetch zone events', 500);
+      }
+    }
+  );
+
+  // Create a zone
+  router.post('/',
+    authenticate,
+    [childParam, ...zoneValidators(false)],
+    validate,
+    requireZoneAccess,
+    async (req, res) => {
+      try {
+        const { name, shape, center, radiusMeters, polygon, hysteresisMeters } = req.body;
+
+        const geometryError = validateGeometry({ shape, center, radiusMeters, polygon });
+        if (geometryError) {
+          return sendError(res, geometryError, 400);
+        }
+
+        const zone = await SafeZone.create({
+          childId: req.childId,
+          createdBy: req.user._id,
+          name,
+          shape,
+          center: shape === 'circle' ? { latitude: center.latitude, longitude: center.longitude } : undefined,
+          radiusMeters: shape === 'circle' ? radiusMeters : undefined,
+          polygon: shape === 'polygon' ? polygon : undefined,
+          hysteresisMeters,
+        });
+
+        safeLog.info('[SafeZones] Zone created', { userId: req.user._id, zone: zone.name });
+
+        return sendSuccess(res, { zone: formatZone(zone) }, 'Safe zone created successfully', 201);
+      } catch (err) {
+        safeLog.error('Error creating safe zone', err);
+        return sendError(res, 'Failed to create safe zone', 500);
+      }
+    }
+  );
+
+  // Update a zone. Changing the geometry resets the inside/outside state.
+  router.put('/:zoneId',
+    authenticate,
+    [
+      childParam,
+      param('zoneId').isMongoId().withMessage('Invalid zone ID format'),
+      ...zoneValidators(true),
+    ],
+    validate,
+    requireZoneAccess,
+    async (req, res) => {
+      try {
+        const zone = await SafeZone.findOne({ _id: req.params.zoneId, childId: req.childId });
+        if (!zone) {
+          return sendError(res, 'Safe zone not found', 404);
+        }
+
+        const { name, shape, center, radiusMeters, polygon, hysteresisMeters, isActive } = req.body;
+
+        const geometryChanged = shape !== undefined || center !== undefined ||
+          radiusMeters !== undefined || polygon !== undefined;
+        if (geometryChanged) {
+          const geometry = {
+            shape: shape || zone.shape,
+            center: center || zone.center,
+            radiusMeters: radiusMeters !== undefined ? radiusMeters : zone.radiusMeters,
+            polygon: polygon || zone.polygon,
+          };
+          const geometryError = validateGeometry(geometry);
+          if (geometryError) {
+            return sendError(res, geometryError, 400);
+          }
+
+          zone.shape = geometry.shape;
+          zone.center = geometry.shape === 'circle'
+            ? { latitude: geometry.center.latitude, longitude: geometry.center.longitude }
+            : undefined;
+          zone.radiusMeters = geometry.shape === 'circle' ? geometry.radiusMeters : undefined;
+          zone.polygon = geometry.shape === 'polygon' ? geometry.polygon : undefined;
+          zone.state = { inside: null, pendingInside: null, pendingCount: 0 };
+        }
+
+        if (name !== undefined) zone.name = name;
+        if (hysteresisMeters !== undefined) zone.hysteresisMeters = hysteresisMeters;
+        if (isActive !== undefined) zone.isActive = isActive;
+
+        await zone.save();
+
+        return sendSuccess(res, { zone: formatZone(zone) }, 'Safe zone updated successfully');
+      } catch (err) {
+        safeLog.error('Error updating safe zone', err);
+        return sendError(res, 'Failed to update safe zone', 500);
+      }
+    }
+  );
+
+  // Delete a zone (its event log is kept)
+  router.delete('/:zoneId',
+    authenticate,
+    [
+      childParam,
+      param('zoneId').isMongoId().withMessage('Invalid zone ID format'),
+    ],
+    validate,
+    requireZoneAccess,
+    async (req, res) => {
+      try {
+        const result = await SafeZone.deleteOne({ _id: req.params.zoneId, childId: req.childId });
+        if (result.deletedCount === 0) {
+          return sendError(res, 'Safe zone not found', 404);
+        }
+
+        return sendSuccess(res, null, 'Safe zone deleted successfully');
+      } catch (err) {
+        safeLog.error('Error deleting safe zone', err);
+        return sendError(res, 'Failed to delete safe zone', 500);
+      }
+    }
+  );
+
+  return router;
+};
@@ -0,0 +1,192 @@
+import cors from 'cors';
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { config } from '../config/index.js';
+import { ShareLink } from '../models/ShareLink.js';
+import { User } from '../models/User.js';
+import { buildShareSnapshot, findActiveShareLink, generateShareToken } from '../utils/liveShare.js';
+import { safeLog } from '../utils/logger.js';
+import { sendError, sendSuccess, sendValidationError } from '../utils/response.js';
+
+const router = express.Router();
+// Public viewer routes (createPublicShareRoutes)
+const publicRouter = express.Router();
+
+// Validation middleware
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendValidationError(res, errors.array());
+  }
+  next();
+};
+
+const formatShareLink = (link) => ({
+  id: link._id.toString(),
+  label: link.label || null,
+  include: {
+    location: link.include?.location ?? true,
+    journey: link.include?.journey ?? true,
+    battery: link.include?.battery ?? true,
+  },
+  expiresAt: link.expiresAt,
+  lastViewedAt: link.lastViewedAt || null,
+  viewCount: link.viewCount,
+  createdAt: link.createdAt,
+});
+
+// Factory function to create share link management routes (owner side)
+export const createShareLinkRoutes = (authenticate, shareHub) => {
+  const maxDurationMinutes = config.share.maxDurationHours * 60;
+
+  // Create a share link. The token is only returned here - it is stored hashed.
+  router.post('/',
+    authenticate,
+    [
+      body('durationMinutes').isInt({ min: 5, max: maxDurationMinutes })
+        .withMessage(`Duration must be between 5 and ${maxDurationMinutes} minutes`),
+      body('label').optional().trim().isLength({ max: 50 }).withMessage('Label must be at most 50 characters'),
+      body('include').optional().isObject().withMessage('include must be an object'),
+      body('include.location').optional().isBoolean().withMessage('include.location must be a boolean'),
+      body('include.journey').optional().isBoolean().withMessage('include.journey must be a boolean'),
+      body('include.battery').optional().isBoolean().withMessage('include.battery must be a boolean'),
+    ],
+    validate,
+    async (req, res) => {
+      try {
+        const { durationMinutes, label, include = {} } = req.body;
+        const { token, hash } = generateShareToken();
+
+        const link = await ShareLink.create({
+          userId: req.user._id,
+          tokenHash: hash,
+          label,
+          include,
+          expiresAt: new Date(Date.now() + durationMinutes * 60 * 1000),
+        });
+
+        safeLog.info('[Share] Share link created', { userId: req.user._id, durationMinutes });
+
+        return sendSuccess(res, {
+          shareLink: formatShareLink(link),
+          token,
+          url: `${config.share.viewerBaseUrl}/${token}`,
+        }, 'Share link created successfully', 201);
+      } catch (err) {
+        safeLog.error('Error creating share link', err);
+        return sendError(res, 'Failed to create share link', 500);
+      }
+    }
+  );
+
+  // List the user's links that are still active
+  router.get('/',
+    authenticate,
+    async (req, res) => {
+      try {
+        const links = await ShareLink.find({
+          userId: req.user._id,
+          revokedAt: null,
+          expiresAt: { $gt: new Date() },
+        }).sort({ createdAt: -1 });
+
+        return sendSuccess(res, { shareLinks: links.map(formatShareLink) });
+      } catch (err) {
+        safeLog.error('Error fetching share links', err);
+        return sendError(res, 'Failed to fetch share links', 500);
+      }
+    }
+  );
+
+  // Revoke a link and disconnect anyone watching it
+  router.delete('/:shareLinkId',
+    authenticate,
+    [param('shareLinkId').isMongoId().withMessage('Invalid share link ID format')],
+    validate,
+    async (req, res) => {
+      try {
+        const link = await ShareLink.findOneAndUpdate(
+          { _id: req.params.shareLinkId, userId: req.user._id, revokedAt: null },
+          { revokedAt: new Date() },
+          { new: true }
+        );
+        if (!link) {
+          return sendError(res, 'Share link not found', 404);
+        }
+
+        shareHub.closeLink(link._id);
+
+        return sendSuccess(res, null, 'Share link revoked successfully');
+      } catch (err) {
+        safeLog.error('Error revoking share link', err);
+        return sendError(res, 'Failed to revoke share link', 500);
+      }
+    }
+  );
+
+  return router;
+};
+
+// Factory function to create the public, unauthenticated viewer routes.
+// These are opened from any browser, so they use their own permissive CORS policy.
+export const createPublicShareRoutes = (shareHub) => {
+  publicRouter.use(cors({ origin: '*', methods: ['GET'] }));
+
+  const tokenParam = param('token').isString().isLength({ min: 20, max: 100 }).withMessage('Invalid share link');
+
+  // Resolve the link and its owner, or respond with 404
+  const loadShare = async (req, res, next) => {
+    try {
+      const link = await findActiveShareLink(req.params.token);
+      const user = link && await User.findById(link.userId);
+      if (!user) {
+        return sendError(res, 'Share link is invalid or has expired', 404);
+      }
+      req.shareLink = link;
+      req.shareUser = user;
+      next();
+    } catch (err) {
+      safeLog.error('Error resolving share link', err);
+      return sendError(res, 'Failed to load shared location', 500);
+    }
+  };
+
+  const recordView = (link) => ShareLink.updateOne(
+    { _id: link._id },
+    { $inc: { viewCount: 1 }, lastViewedAt: new Date() }
+  ).catch((err) => safeLog.error('[Share] Failed to record view', err));
+
+  // Current snapshot
+  publicRouter.get('/:token',
+    [tokenParam],
+    validate,
+    loadShare,
+    async (req, res) => {
+      recordView(req.shareLink);
+      res.set('Cache-Control', 'no-store');
+      return sendSuccess(res, { share: buildShareSnapshot(req.shareLink, req.shareUser) });
+    }
+  );
+
+  // Server-sent events stream of snapshots until the link expires or is revoked
+  publicRouter.get('/:token/stream',
+    [tokenParam],
+    validate,
+    loadShare,
+    (req, res) => {
+      recordView(req.shareLink);
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-store',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+      });
+      res.flushHeaders();
+
+      const send = shareHub.addSseViewer(req.shareLink, res);
+      send('share-update', buildShareSnapshot(req.shareLink, req.shareUser));
+    }
+  );
+
+  return publicRouter;
+};
@@ -0,0 +1,79 @@
+/**
+ * Emergency Contact Notifier
+ * Emergency contacts are plain name/phone entries, so they are reached through an
+ * SMS-style transport: any object with `name` and `async send({ to, name, text })`.
+ * Console and file transports ship by default for development; register a real SMS gateway
+ * with registerContactTransport and select it with CONTACT_NOTIFY_TRANSPORT. Transports marked
+ * `delivers: false` only log, so their messages are not counted as reaching anyone.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { safeLog } from './logger.js';
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  delivers: false,
+  send: async (message) => {
+    console.log(`📱 [Contacts] To: ${message.name} (${message.to})\n${message.text}`);
+  },
+});
+
+const createFileTransport = ({ outboxDir }) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.mkdir(outboxDir, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    await fs.writeFile(
+      path.join(outboxDir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  },
+});
+
+const transportFactories = new Map([
+  ['console', createConsoleTransport],
+  ['file', createFileTransport],
+]);
+
+// Register an additional transport factory: (notifierConfig) => transport
+export const registerContactTransport = (name, factory) => {
+  transportFactories.set(name, factory);
+};
+
+// Google Maps link for a location, or null when unknown
+export const mapsLink = (location) => {
+  if (!location || typeof location.latitude !== 'number' || typeof location.longitude !== 'number') {
+    return null;
+  }
+  return `https://maps.google.com/?q=${location.latitude},${location.longitude}`;
+};
+
+export const createContactNotifier = (notifierConfig) => {
+  const factory = transportFactories.get(notifierConfig.transport);
+  if (!factory) {
+    throw new Error(`Unknown contact transport: ${notifierConfig.transport}`);
+  }
+  const transport = factory(notifierConfig);
+
+  return {
+    name: transport.name,
+    // Send a message to every emergency contact of a user. Returns the number reached.
+    notifyEmergencyContacts: async (user, text) => {
+      const contacts = user.emergencyContacts || [];
+      let delivered = 0;
+
+      for (const contact of contacts) {
+        try {
+          await transport.send({ to: contact.phone, name: contact.name, text });
+          if (transport.delivers !== false) delivered++;
+        } catch (error) {
+          safeLog.error(`[Contacts] Failed to notify contact via ${transport.name}`, error);
+        }
+      }
+
+      safeLog.info('[Contacts] Emergency contacts notified', { userId: user._id, delivered, total: contacts.length });
+      return delivered;
+    },
+  };
+};
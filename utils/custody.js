@@ -0,0 +1,225 @@
+// Evidence chain of custody: hash uploaded files at receipt and keep a per-user,
+// append-only, hash-chained log that can later prove a stored file was not altered
+
+import crypto from 'crypto';
+import { CustodyRecord } from '../models/CustodyRecord.js';
+import { safeLog } from './logger.js';
+
+export const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+
+export const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const idOrNull = (id) => (id ? id.toString() : null);
+
+// Every field that goes into a record's hash, in a fixed order
+const hashedFields = (record) => [
+  idOrNull(record.userId),
+  record.sequence,
+  record.action,
+  record.evidenceType,
+  idOrNull(record.evidenceId),
+  record.sha256,
+  record.sizeBytes ?? null,
+  record.mimeType ?? null,
+  record.storage?.provider ?? null,
+  record.storage?.url ?? null,
+  record.storage?.key ?? null,
+  new Date(record.recordedAt).toISOString(),
+  idOrNull(record.actorId),
+  idOrNull(record.device?.sessionId),
+  record.device?.deviceId ?? null,
+  record.device?.deviceName ?? null,
+  record.device?.platform ?? null,
+  record.device?.userAgent ?? null,
+  record.device?.ipAddress ?? null,
+  record.location?.latitude ?? null,
+  record.location?.longitude ?? null,
+  record.verification?.actualSha256 ?? null,
+  record.verification?.contentMatches ?? null,
+  record.verification?.chainValid ?? null,
+  record.verification?.error ?? null,
+  record.previousHash,
+  // Added later: left out when unset so existing records keep their hashes
+  ...(record.clientSha256 ? [record.clientSha256] : []),
+];
+
+export const computeRecordHash = (record) => sha256(JSON.stringify(hashedFields(record)));
+
+// Device details for a custody entry, from the request's login session
+export const custodyDevice = (req) => ({
+  sessionId: req.authSession?._id,
+  deviceId: req.authSession?.deviceId,
+  deviceName: req.authSession?.deviceName,
+  platform: req.authSession?.platform,
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip,
+});
+
+// Device details for a custody entry, from a socket and its login session
+export const socketCustodyDevice = (socket, session) => ({
+  sessionId: session?._id,
+  deviceId: session?.deviceId,
+  deviceName: session?.deviceName,
+  platform: session?.platform,
+  userAgent: socket.handshake.headers['user-agent'],
+  ipAddress: socket.handshake.address,
+});
+
+// Append an entry to the user's chain. Concurrent appends race for the next sequence
+// number; the unique index makes the loser retry on top of the winner.
+export const appendCustodyRecord = async (entry) => {
+  for (let attempt = 1; ; attempt++) {
+    const previous = await CustodyRecord.findOne({ userId: entry.userId })
+      .sort({ sequence: -1 })
+      .select('sequence recordHash')
+      .lean();
+
+    const record = {
+      ...entry,
+      sequence: previous ? previous.sequence + 1 : 1,
+      recordedAt: entry.recordedAt || new Date(),
+      previousHash: previous ? previous.recordHash : GENESIS_HASH,
+    };
+    record.recordHash = computeRecordHash(record);
+
+    try {
+      return await CustodyRecord.create(record);
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) {
+        throw err;
+      }
+    }
+  }
+};
+
+// Recompute the user's chain from the start up to (and including) `uptoSequence`.
+// Returns { valid, checked, brokenAt } - brokenAt is the first sequence that does not verify.
+export const verifyCustodyChain = async (userId, uptoSequence = Infinity) => {
+  const cursor = CustodyRecord.find({ userId, sequence: { $lte: uptoSequence } })
+    .sort({ sequence: 1 })
+    .lean()
+    .cursor();
+
+  let previousHash = GENESIS_HASH;
+  let expectedSequence = 1;
+  let checked = 0;
+  for await (const record of cursor) {
+    if (record.sequence !== expectedSequence ||
+      record.previousHash !== previousHash ||
+      computeRecordHash(record) !== record.recordHash) {
+      await cursor.close();
+      return { valid: false, checked, brokenAt: expectedSequence };
+    }
+    previousHash = record.recordHash;
+    expectedSequence += 1;
+    checked += 1;
+  }
+
+  // A missing tail entry also breaks the chain
+  if (uptoSequence !== Infinity && checked < uptoSequence) {
+    return { valid: false, checked, brokenAt: expectedSequence };
+  }
+  return { valid: true, checked, brokenAt: null };
+};
+
+// Record a file at receipt. `fileHash` is the sha256 of the bytes as received, taken before
+// they were handed to storage; `device` comes from custodyDevice or socketCustodyDevice.
+// Custody must never block evidence from being stored, so failures are logged and null is returned.
+export const recordEvidenceReceipt = async ({
+  actorId, device, ownerId, evidenceType, evidenceId, fileHash, clientSha256, sizeBytes, mimeType, storage, location,
+}) => {
+  try {
+    return await appendCustodyRecord({
+      userId: ownerId,
+      action: 'received',
+      evidenceType,
+      evidenceId,
+      sha256: fileHash,
+      clientSha256,
+      sizeBytes,
+      mimeType,
+      storage,
+      actorId,
+      device,
+      location: location && typeof location.latitude === 'number' && typeof location.longitude === 'number'
+        ? { latitude: location.latitude, longitude: location.longitude }
+        : undefined,
+    });
+  } catch (err) {
+    safeLog.error('[Custody] Failed to record evidence receipt', err);
+    return null;
+  }
+};
+
+// Re-download an item of evidence through the media storage it was recorded in, compare it with
+// the hash recorded at receipt and check the chain up to that receipt. The check itself is
+// appended to the chain. Returns { receipt, result } or { error, status }.
+export const verifyEvidence = async (req, ownerId, evidenceId, mediaStorage) => {
+  const receipt = await CustodyRecord.findOne({ userId: ownerId, evidenceId, action: 'received' }).lean();
+  if (!receipt) {
+    return { error: 'No custody record for this evidence', status: 404 };
+  }
+
+  const chain = await verifyCustodyChain(ownerId, receipt.sequence);
+
+  let actualSha256 = null;
+  let downloadError = null;
+  try {
+    actualSha256 = sha256(await mediaStorage.fetch(receipt.storage));
+  } catch (err) {
+    safeLog.error('[Custody] Failed to download evidence for verification', err);
+    downloadError = 'Stored file could not be downloaded';
+  }
+
+  const result = {
+    expectedSha256: receipt.sha256,
+    actualSha256,
+    contentMatches: actualSha256 === receipt.sha256,
+    chainValid: chain.valid,
+    chainBrokenAt: chain.brokenAt,
+    error: downloadError,
+    verifiedAt: new Date(),
+  };
+
+  const record = await appendCustodyRecord({
+    userId: ownerId,
+    action: 'verified',
+    evidenceType: receipt.evidenceType,
+    evidenceId,
+    sha256: receipt.sha256,
+    storage: receipt.storage,
+    recordedAt: result.verifiedAt,
+    actorId: req.user._id,
+    device: custodyDevice(req),
+    verification: {
+      actualSha256: actualSha256 || undefined,
+      contentMatches: result.contentMatches,
+      chainValid: result.chainValid,
+      error: downloadError || undefined,
+    },
+  });
+
+  return { receipt, result: { ...result, verificationRecordId: record._id.toString() } };
+};
+
+// API representation of a custody entry
+export const formatCustodyRecord = (record) => ({
+  id: record._id.toString(),
+  sequence: record.sequence,
+  action: record.action,
+  evidenceType: record.evidenceType,
+  evidenceId: record.evidenceId.toString(),
+  sha256: record.sha256,
+  clientSha256: record.clientSha256 || null,
+  sizeBytes: record.sizeBytes ?? null,
+  mimeType: record.mimeType || null,
+  storage: record.storage || null,
+  recordedAt: record.recordedAt,
+  actorId: record.actorId ? record.actorId.toString() : null,
+  device: record.device || null,
+  location: record.location?.latitude !== undefined ? record.location : null,
+  verification: record.verification?.contentMatches !== undefined ? record.verification : null,
+  previousHash: record.previousHash,
+  recordHash: record.recordHash,
+});
@@ -0,0 +1,66 @@
+// Duress login handling: silently raise an incident while the session looks normal
+
+import { formatLocation } from './geo.js';
+import { validateCoordinates } from './helpers.js';
+import { mapsLink } from './contactNotifier.js';
+import { emitToGuardians } from './guardians.js';
+import { publishLatestTrigger } from './incidentTimeline.js';
+import { openOrAttachIncident } from './incidents.js';
+import { safeLog } from './logger.js';
+
+// Prefer the location sent with the login, fall back to the last known location
+const resolveLocation = (user, location) => {
+  if (location && validateCoordinates(location.latitude, location.longitude)) {
+    return {
+      latitude: location.latitude,
+      longitude: location.longitude,
+      address: location.address || null,
+    };
+  }
+  const lastKnown = formatLocation(user.currentLocation);
+  if (lastKnown) {
+    return {
+      latitude: lastKnown.latitude,
+      longitude: lastKnown.longitude,
+      address: lastKnown.address,
+    };
+  }
+  return null;
+};
+
+// Open (or attach to) a duress incident and alert the guardian and emergency contacts.
+// Nothing is ever sent to the user's own rooms - the person holding the phone must not notice.
+export const triggerDuressIncident = async ({ user, session, location, io, contactNotifier }) => {
+  const incidentLocation = resolveLocation(user, location);
+
+  const { incident } = await openOrAttachIncident({
+    user,
+    type: 'duress',
+    location: incidentLocation,
+    session,
+    concealFromSession: session,
+  });
+  publishLatestTrigger(io, incident);
+
+  safeLog.warn('[Duress] Duress login detected, incident opened', { userId: user._id });
+
+  const guardianIds = await emitToGuardians(io, user._id, 'sos', 'child-duress-alert', {
+    childId: user._id.toString(),
+    childName: user.name,
+    incidentId: incident._id.toString(),
+    location: incidentLocation,
+    batteryLevel: user.batteryLevel,
+    timestamp: incident.createdAt,
+  });
+  incident.guardianNotified = incident.guardianNotified || guardianIds.length > 0;
+
+  const link = mapsLink(incidentLocation);
+  incident.contactsNotified += await contactNotifier.notifyEmergencyContacts(
+    user,
+    `URGENT: ${user.name} may be in danger and unable to speak freely. Do not call their phone.` +
+      (link ? ` Last known location: ${link}` : '')
+  );
+
+  await incident.save();
+  return incident;
+};
@@ -0,0 +1,177 @@
+// Geographic helpers - all distances are in km unless stated otherwise
+
+const EARTH_RADIUS_KM = 6371;
+const toRad = (deg) => deg * Math.PI / 180;
+
+// GeoJSON point for a latitude/longitude pair (GeoJSON order is [lng, lat])
+export const toGeoPoint = (latitude, longitude) => ({
+  type: 'Point',
+  coordinates: [longitude, latitude],
+});
+
+// API representation of a stored location ({ point, address, timestamp })
+export const formatLocation = (location) => {
+  if (!location || !location.point || !Array.isArray(location.point.coordinates)) {
+    return null;
+  }
+  const [longitude, latitude] = location.point.coordinates;
+  return {
+    latitude,
+    longitude,
+    address: location.address || null,
+    timestamp: location.timestamp || null,
+  };
+};
+
+// Distance between two points (Haversine formula)
+export const calculateDistance = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+            Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_KM * c;
+};
+
+// Shortest distance from point P to segment AB (each [lat, lng]).
+// Uses a local equirectangular projection around P, accurate for segments up to tens of km.
+export const pointToSegmentDistance = (p, a, b) => {
+  const cosLat = Math.cos(toRad(p[0]));
+  const project = (q) => [
+    toRad(q[1] - p[1]) * cosLat * EARTH_RADIUS_KM,
+    toRad(q[0] - p[0]) * EARTH_RADIUS_KM,
+  ];
+  const [ax, ay] = project(a);
+  const [bx, by] = project(b);
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+
+  // Degenerate segment - distance to the single point
+  let t = lengthSq === 0 ? 0 : -(ax * dx + ay * dy) / lengthSq;
+  t = Math.max(0, Math.min(1, t));
+
+  const cx = ax + t * dx;
+  const cy = ay + t * dy;
+  return Math.sqrt(cx * cx + cy * cy);
+};
+
+// Ramer-Douglas-Peucker simplification of a track.
+// `getCoord` maps an item to [lat, lng] so timestamps etc. survive simplification.
+export const simplifyTrack = (items, toleranceKm, getCoord = (item) => item) => {
+  if (items.length <= 2) return items.slice();
+
+  const keep = new Array(items.length).fill(false);
+  keep[0] = true;
+  keep[items.length - 1] = true;
+
+  // Iterative to avoid deep recursion on long trails
+  const stack = [[0, items.length - 1]];
+  while (stack.length > 0) {
+    const [start, end] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+    for (let i = start + 1; i < end; i++) {
+      const distance = pointToSegmentDistance(getCoord(items[i]), getCoord(items[start]), getCoord(items[end]));
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+    if (index !== -1 && maxDistance > toleranceKm) {
+      keep[index] = true;
+      stack.push([start, index], [index, end]);
+    }
+  }
+
+  return items.filter((_, i) => keep[i]);
+};
+
+// Keep at most maxPoints items, always including the first and last
+export const capPoints = (items, maxPoints) => {
+  if (items.length <= maxPoints) return items;
+  const step = (items.length - 1) / (maxPoints - 1);
+  const result = [];
+  for (let i = 0; i < maxPoints; i++) {
+    result.push(items[Math.round(i * step)]);
+  }
+  return result;
+};
+
+// Encode [[lat, lng], ...] with Google's encoded polyline algorithm (precision 5)
+export const encodePolyline = (coords) => {
+  let result = '';
+  let prevLat = 0;
+  let prevLng = 0;
+
+  const encodeValue = (value) => {
+    let v = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = '';
+    while (v >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    return chunk + String.fromCharCode(v + 63);
+  };
+
+  coords.forEach(([lat, lng]) => {
+    const latE5 = Math.round(lat * 1e5);
+    const lngE5 = Math.round(lng * 1e5);
+    result += encodeValue(latE5 - prevLat) + encodeValue(lngE5 - prevLng);
+    prevLat = latE5;
+    prevLng = lngE5;
+  });
+
+  return result;
+};
+
+// Decode a Google encoded polyline (precision 5) to [[lat, lng], ...].
+// Throws on malformed input.
+export const decodePolyline = (encoded) => {
+  const coords = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const decodeValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (index >= encoded.length) {
+        throw new Error('Malformed polyline');
+      }
+      byte = encoded.charCodeAt(index++) - 63;
+      if (byte < 0 || byte > 63) {
+        throw new Error('Malformed polyline');
+      }
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += decodeValue();
+    lng += decodeValue();
+    coords.push([lat / 1e5, lng / 1e5]);
+  }
+
+  return coords;
+};
+
+// Shortest distance from a point to a route path ([[lat, lng], ...]), measured to the
+// segments between vertices rather than the vertices themselves
+export const distanceToPath = (point, path) => {
+  if (path.length === 0) return Infinity;
+  if (path.length === 1) {
+    return calculateDistance(point[0], point[1], path[0][0], path[0][1]);
+  }
+
+  let minDistance = Infinity;
+  for (let i = 0; i < path.length - 1; i++) {
+    minDistance = Math.min(minDistance, pointToSegmentDistance(point, path[i], path[i + 1]));
+  }
+  return minDistance;
+};
@@ -0,0 +1,78 @@
+// Guardianship helpers: linking, scope checks and scoped Socket.IO fan-out
+
+import { GUARDIAN_SCOPES, Guardianship } from '../models/Guardianship.js';
+
+// Keep only known scope keys with boolean values
+export const sanitizeScopes = (scopes) => {
+  const result = {};
+  if (!scopes || typeof scopes !== 'object') return result;
+  GUARDIAN_SCOPES.forEach((scope) => {
+    if (typeof scopes[scope] === 'boolean') {
+      result[scope] = scopes[scope];
+    }
+  });
+  return result;
+};
+
+// IDs of a child's guardians, optionally only those whose scopes allow `scope`
+export const getGuardianIds = async (childId, scope = null) => {
+  const filter = { childId };
+  if (scope) {
+    filter[`scopes.${scope}`] = true;
+  }
+  const ids = await Guardianship.find(filter).distinct('guardianId');
+  return ids.map((id) => id.toString());
+};
+
+// Emit an event to every guardian of a child whose scopes allow it. Returns the guardian IDs reached.
+export const emitToGuardians = async (io, childId, scope, event, payload) => {
+  const guardianIds = await getGuardianIds(childId, scope);
+  if (guardianIds.length > 0) {
+    io.to(guardianIds.map((id) => `parent:${id}`)).emit(event, payload);
+  }
+  return guardianIds;
+};
+
+// Find the link between a guardian and a child, optionally requiring a scope
+export const findGuardianship = (guardianId, childId, scope = null) => {
+  const filter = { guardianId, childId };
+  if (scope) {
+    filter[`scopes.${scope}`] = true;
+  }
+  return Guardianship.findOne(filter);
+};
+
+// Link a child to a guardian. Returns { guardianship } or { error, status }.
+export const linkGuardian = async (io, guardianId, childId, displayName, scopes = {}) => {
+  if (guardianId.toString() === childId.toString()) {
+    return { error: 'Cannot add yourself as a child', status: 400 };
+  }
+
+  try {
+    const guardianship = await Guardianship.create({
+      guardianId,
+      childId,
+      displayName: displayName || undefined,
+      scopes: sanitizeScopes(scopes),
+    });
+
+    // Let the guardian's live sockets receive updates about the new child straight away
+    io.in(`user:${guardianId}`).socketsJoin(`child:${childId}`);
+
+    return { guardianship };
+  } catch (err) {
+    if (err.code === 11000) {
+      return { error: 'This account is already linked to you', status: 409 };
+    }
+    throw err;
+  }
+};
+
+// Remove the link between a child and a guardian. Returns true if a link existed.
+export const unlinkGuardian = async (io, guardianId, childId) => {
+  const result = await Guardianship.deleteOne({ guardianId, childId });
+
+  io.in(`user:${guardianId}`).socketsLeave(`child:${childId}`);
+
+  return result.deletedCount > 0;
+};
@@ -0,0 +1,45 @@
+// Last-seen tracking for the silent-device monitor (see jobs/heartbeatMonitor.js)
+
+import { User } from '../models/User.js';
+import { emitToGuardians } from './guardians.js';
+import { safeLog } from './logger.js';
+
+// Skip the write when lastSeenAt was refreshed this recently
+const LAST_SEEN_WRITE_INTERVAL_MS = 30 * 1000;
+
+// Record that a user's device is alive. If the monitor had already reported the
+// device as silent, guardians are told it is back online.
+export const markUserSeen = async (io, userId) => {
+  const now = new Date();
+
+  const recovered = await User.findOneAndUpdate(
+    { _id: userId, 'silenceMonitor.alertedAt': { $ne: null } },
+    { lastSeenAt: now, 'silenceMonitor.alertedAt': null },
+    { new: true }
+  );
+  if (recovered) {
+    await emitToGuardians(io, userId, 'sos', 'child-device-online', {
+      childId: userId.toString(),
+      childName: recovered.name,
+      lastSeenAt: now,
+    });
+    safeLog.info('[Heartbeat] Silent device is back online', { userId });
+    return;
+  }
+
+  await User.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { lastSeenAt: null },
+        { lastSeenAt: { $lt: new Date(now.getTime() - LAST_SEEN_WRITE_INTERVAL_MS) } },
+      ],
+    },
+    { lastSeenAt: now }
+  );
+};
+
+// Fire-and-forget variant for hot paths - liveness tracking must never fail a request
+export const touchUserSeen = (io, userId) => {
+  markUserSeen(io, userId).catch((err) => safeLog.error('[Heartbeat] Failed to record last seen', err));
+};
@@ -0,0 +1,318 @@
+// Incident timeline: one ordered feed of everything that happened around an incident
+// (location fixes, images, audio, video, battery, triggers, SOS rings, responders, status changes),
+// with cursor pagination and live updates over the socket.
+
+import { config } from '../config/index.js';
+import { EmergencyImage } from '../models/EmergencyImage.js';
+import { EmergencyVideo } from '../models/EmergencyVideo.js';
+import { CLOSED_INCIDENT_STATUSES, Incident, MAX_BATTERY_LOG } from '../models/Incident.js';
+import { LocationFix } from '../models/LocationFix.js';
+import { User } from '../models/User.js';
+import { findViewableIncident } from './incidents.js';
+import { safeLog } from './logger.js';
+import { userEvents } from './userEvents.js';
+
+export const TIMELINE_ITEM_TYPES = ['location', 'image', 'audio', 'video', 'battery', 'trigger', 'sos_ring', 'responder', 'status'];
+
+// Guardian scope needed for each type of item. Anyone who may see the incident at all (its
+// owner, or a guardian with the sos scope) sees the other types.
+const TIMELINE_ITEM_SCOPES = {
+  location: 'liveLocation',
+  battery: 'battery',
+  image: 'evidence',
+  audio: 'evidence',
+  video: 'evidence',
+};
+const SCOPED_ROOM_SCOPES = [...new Set(Object.values(TIMELINE_ITEM_SCOPES))];
+
+// Item types a viewer may see. `scopes` is the guardianship's scopes, or null for the owner.
+export const visibleTimelineTypes = (scopes) => TIMELINE_ITEM_TYPES.filter((type) => {
+  const scope = TIMELINE_ITEM_SCOPES[type];
+  return !scope || !scopes || scopes[scope] === true;
+});
+
+// Every subscriber joins the incident's room; scoped items go to a room per scope
+const timelineRoom = (incidentId, scope = null) => (
+  scope ? `incident:${incidentId}:${scope}` : `incident:${incidentId}`
+);
+
+const item = (type, key, at, data) => ({ id: `${type}:${key}`, type, at: new Date(at), data });
+
+// Builders shared by the paginated feed and the live socket updates, so both produce the same ids
+export const timelineItems = {
+  location: (fix) => item('location', new Date(fix.timestamp).getTime(), fix.timestamp, {
+    latitude: fix.latitude,
+    longitude: fix.longitude,
+    accuracy: fix.accuracy ?? null,
+    speed: fix.speed ?? null,
+    batteryLevel: fix.batteryLevel ?? null,
+  }),
+  image: (image) => item('image', image._id, image.timestamp, {
+    imageId: image._id.toString(),
+    imageUrl: image.imageUrl,
+    triggerType: image.triggerType,
+    location: image.location || null,
+  }),
+  audio: (recording) => item('audio', recording._id, recording.timestamp, {
+    audioUrl: recording.audioUrl,
+    duration: recording.duration || 0,
+  }),
+  video: (video) => item('video', video._id, video.timestamp, {
+    videoId: video._id.toString(),
+    videoUrl: video.videoUrl,
+    duration: video.duration || 0,
+    location: video.location?.latitude !== undefined ? video.location : null,
+  }),
+  battery: (entry) => item('battery', entry.at.getTime(), entry.at, {
+    level: entry.level,
+    isCharging: entry.isCharging ?? null,
+  }),
+  trigger: (trigger) => item('trigger', trigger.at.getTime(), trigger.at, {
+    triggerType: trigger.type,
+    location: trigger.location?.latitude !== undefined ? trigger.location : null,
+    imageId: trigger.imageId ? trigger.imageId.toString() : null,
+  }),
+  sosRing: (page) => item('sos_ring', page.at.getTime(), page.at, {
+    ring: page.ring,
+    radiusKm: page.radiusKm,
+    recipientCount: page.recipientCount,
+  }),
+  responder: (action) => item('responder', `${action.at.getTime()}:${action.userId}`, action.at, {
+    userId: action.userId.toString(),
+    name: action.name,
+    status: action.status,
+    etaMinutes: action.etaMinutes ?? null,
+  }),
+  status: (entry) => item('status', entry.at.getTime(), entry.at, {
+    status: entry.status,
+    by: entry.by ? entry.by.toString() : null,
+    note: entry.note || null,
+  }),
+};
+
+// Items are ordered by time, then id. The cursor is the last item a client has seen.
+const compareItems = (a, b) => (a.at - b.at) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+export const encodeTimelineCursor = (last) => Buffer.from(`${last.at.getTime()}|${last.id}`).toString('base64url');
+
+// Returns { at, id }, or null if the cursor is malformed
+export const decodeTimelineCursor = (cursor) => {
+  const [time, ...rest] = Buffer.from(cursor, 'base64url').toString().split('|');
+  const at = new Date(Number(time));
+  if (!time || Number.isNaN(at.getTime()) || rest.length === 0) return null;
+  return { at, id: rest.join('|') };
+};
+
+// Time range covered by an incident's timeline
+const timelineWindow = (incident) => ({
+  from: new Date(incident.createdAt.getTime() - config.incidents.timelineLeadMinutes * 60 * 1000),
+  to: incident.resolvedAt || null,
+});
+
+const inRange = (time, { from, to }) => time >= from && (!to || time <= to);
+
+// Load one page of the timeline. Every source is read from the cursor onwards and the results
+// are merged. A database source that filled its batch may have more, so the page stops at the
+// earliest of those batches' last items to keep the merge gap-free. Only sources of the item
+// `types` the viewer may see are read (see visibleTimelineTypes).
+// Returns { items, nextCursor, hasMore }.
+export const buildIncidentTimeline = async (incident, { cursor, limit = 50, types = TIMELINE_ITEM_TYPES }) => {
+  const window = timelineWindow(incident);
+  const from = cursor && cursor.at > window.from ? cursor.at : window.from;
+  const timeRange = { $gte: from, ...(window.to ? { $lte: window.to } : {}) };
+  const isAfterCursor = (entry) => !cursor || compareItems(entry, cursor) > 0;
+  const batchSize = limit + 1;
+
+  const fromDb = async (query, build) => {
+    const docs = await query.sort({ timestamp: 1 }).limit(batchSize).lean();
+    const entries = docs.map(build);
+    return { entries: entries.filter(isAfterCursor), last: docs.length >= batchSize ? entries[entries.length - 1] : null };
+  };
+  // Embedded arrays are already in memory, so they are never cut short
+  const fromArray = (entries, build) => ({
+    entries: entries.map(build).filter((entry) => inRange(entry.at, { from, to: window.to }) && isAfterCursor(entry)),
+    last: null,
+  });
+
+  const loadRecordings = async () => {
+    const owner = await User.findById(incident.userId).select('emergencyRecordings').lean();
+    return fromArray((owner?.emergencyRecordings || []).filter((recording) => recording.timestamp), timelineItems.audio);
+  };
+
+  const readers = {
+    location: () => fromDb(
+      LocationFix.find({ userId: incident.userId, timestamp: timeRange })
+        .select('-_id timestamp latitude longitude accuracy speed batteryLevel'),
+      timelineItems.location
+    ),
+    image: () => fromDb(
+      EmergencyImage.find({ userId: incident.userId, timestamp: timeRange })
+        .select('imageUrl triggerType location timestamp'),
+      timelineItems.image
+    ),
+    video: () => fromDb(
+      EmergencyVideo.find({ userId: incident.userId, timestamp: timeRange })
+        .select('videoUrl duration location timestamp'),
+      timelineItems.video
+    ),
+    audio: loadRecordings,
+    battery: () => fromArray(incident.batteryLog, timelineItems.battery),
+    trigger: () => fromArray(incident.triggers, timelineItems.trigger),
+    sos_ring: () => fromArray(incident.broadcast?.pages || [], timelineItems.sosRing),
+    responder: () => fromArray(incident.responderActions, timelineItems.responder),
+    status: () => fromArray(incident.statusHistory, timelineItems.status),
+  };
+  const sources = await Promise.all(types.map((type) => readers[type]()));
+
+  const boundary = sources
+    .map((source) => source.last)
+    .filter(Boolean)
+    .sort(compareItems)[0];
+
+  const merged = sources.flatMap((source) => source.entries)
+    .filter((entry) => !boundary || compareItems(entry, boundary) <= 0)
+    .sort(compareItems);
+  const items = merged.slice(0, limit);
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    // An open incident keeps growing, so a cursor is returned even at the end of the feed
+    nextCursor: last ? encodeTimelineCursor(last) : (cursor ? encodeTimelineCursor(cursor) : null),
+    hasMore: merged.length > limit || Boolean(boundary),
+  };
+};
+
+// Open incidents being watched live, per owner: ownerId -> Set of incidentIds.
+// Rooms are per process, so this only tracks subscribers on this instance.
+const watchedIncidents = new Map();
+
+// Send an item to everyone watching one incident who may see its type
+export const publishIncidentItem = (io, incidentId, timelineItem) => {
+  io.to(timelineRoom(incidentId, TIMELINE_ITEM_SCOPES[timelineItem.type])).emit('incident-timeline-item', {
+    incidentId: incidentId.toString(),
+    item: timelineItem,
+  });
+};
+
+// Send an item about a user to everyone watching one of their open incidents
+export const publishUserItem = (io, ownerId, timelineItem) => {
+  const incidentIds = watchedIncidents.get(ownerId.toString());
+  if (!incidentIds) return;
+
+  incidentIds.forEach((incidentId) => {
+    if (!io.sockets.adapter.rooms.get(timelineRoom(incidentId))?.size) {
+      incidentIds.delete(incidentId);
+      return;
+    }
+    publishIncidentItem(io, incidentId, timelineItem);
+  });
+  if (incidentIds.size === 0) {
+    watchedIncidents.delete(ownerId.toString());
+  }
+};
+
+// Send the trigger that just opened or attached to an incident
+export const publishLatestTrigger = (io, incident) => {
+  publishIncidentItem(io, incident._id, timelineItems.trigger(incident.triggers.at(-1)));
+};
+
+// Send the SOS ring that was just paged
+export const publishLatestSosRing = (io, incident) => {
+  publishIncidentItem(io, incident._id, timelineItems.sosRing(incident.broadcast.pages.at(-1)));
+};
+
+// Closed incidents get no more live items
+export const stopWatchingIncident = (incident) => {
+  const incidentIds = watchedIncidents.get(incident.userId.toString());
+  incidentIds?.delete(incident._id.toString());
+};
+
+// Socket events for following an incident's timeline. Replies through the optional
+// acknowledgement callback with { success, error? }.
+export const registerTimelineHandlers = (socket) => {
+  socket.on('incident-timeline-subscribe', async (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      const viewable = await findViewableIncident(data.incidentId, socket.userId, socket.sessionId);
+      if (!viewable) {
+        return reply({ success: false, error: 'Incident not found' });
+      }
+
+      const { incident, scopes } = viewable;
+      const incidentId = incident._id.toString();
+      socket.join([
+        timelineRoom(incidentId),
+        ...SCOPED_ROOM_SCOPES.filter((scope) => !scopes || scopes[scope] === true)
+          .map((scope) => timelineRoom(incidentId, scope)),
+      ]);
+      if (!CLOSED_INCIDENT_STATUSES.includes(incident.status)) {
+        const ownerId = incident.userId.toString();
+        if (!watchedIncidents.has(ownerId)) watchedIncidents.set(ownerId, new Set());
+        watchedIncidents.get(ownerId).add(incidentId);
+      }
+      return reply({ success: true });
+    } catch (err) {
+      safeLog.error('[Timeline] Failed to subscribe', err);
+      return reply({ success: false, error: 'Failed to subscribe' });
+    }
+  });
+
+  socket.on('incident-timeline-unsubscribe', (data = {}) => {
+    if (typeof data.incidentId === 'string') {
+      [null, ...SCOPED_ROOM_SCOPES].forEach((scope) => socket.leave(timelineRoom(data.incidentId, scope)));
+    }
+  });
+};
+
+// Take a guardian's sockets out of a child's incident timelines once the guardianship is
+// removed (`scopes` null) or some of its scopes are withdrawn
+export const revokeTimelineAccess = async (io, guardianId, childId, scopes = null) => {
+  const sockets = await io.in(`user:${guardianId}`).fetchSockets();
+  const incidentIds = new Set();
+  sockets.forEach((socket) => socket.rooms.forEach((room) => {
+    const match = /^incident:([0-9a-f]{24})$/.exec(room);
+    if (match) incidentIds.add(match[1]);
+  }));
+  if (incidentIds.size === 0) return;
+
+  const childIncidentIds = await Incident.find({ _id: { $in: [...incidentIds] }, userId: childId }).distinct('_id');
+  const rooms = childIncidentIds.flatMap((incidentId) => (
+    scopes?.sos
+      ? SCOPED_ROOM_SCOPES.filter((scope) => scopes[scope] !== true).map((scope) => timelineRoom(incidentId, scope))
+      : [null, ...SCOPED_ROOM_SCOPES].map((scope) => timelineRoom(incidentId, scope))
+  ));
+  if (rooms.length > 0) {
+    io.in(`user:${guardianId}`).socketsLeave(rooms);
+  }
+};
+
+// Feed location and battery changes into open incidents. Battery reports are stored on the
+// incident (there is no battery history elsewhere); location fixes already are.
+export const startIncidentTimelineFeed = (io) => {
+  userEvents.on('change', async ({ type, userId, user }) => {
+    try {
+      if (type === 'location' && user.currentLocation?.point) {
+        const [longitude, latitude] = user.currentLocation.point.coordinates;
+        publishUserItem(io, userId, timelineItems.location({
+          timestamp: user.currentLocation.timestamp,
+          latitude,
+          longitude,
+        }));
+      }
+
+      if (type === 'battery') {
+        const entry = { level: user.batteryLevel, isCharging: user.isCharging, at: user.batteryUpdatedAt || new Date() };
+        const result = await Incident.updateMany(
+          { userId, status: { $nin: CLOSED_INCIDENT_STATUSES } },
+          { $push: { batteryLog: { $each: [entry], $slice: -MAX_BATTERY_LOG } } }
+        );
+        if (result.modifiedCount > 0) {
+          publishUserItem(io, userId, timelineItems.battery(entry));
+        }
+      }
+    } catch (err) {
+      safeLog.error('[Timeline] Failed to record user change', err);
+    }
+  });
+};
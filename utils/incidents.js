@@ -0,0 +1,153 @@
+// Incident lifecycle: opening/attaching triggers, status transitions and notifications
+
+import mongoose from 'mongoose';
+import { config } from '../config/index.js';
+import { CLOSED_INCIDENT_STATUSES, Incident } from '../models/Incident.js';
+import { emitToGuardians, findGuardianship } from './guardians.js';
+import { safeLog } from './logger.js';
+import { formatBroadcast } from './sosBroadcast.js';
+
+// Allowed status changes. Closed incidents cannot be reopened.
+const TRANSITIONS = {
+  open: ['acknowledged', 'responding', 'resolved', 'false_alarm'],
+  acknowledged: ['responding', 'resolved', 'false_alarm'],
+  responding: ['resolved', 'false_alarm'],
+  resolved: [],
+  false_alarm: [],
+};
+
+export const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+// Incidents this session may see (a duress session must never see its own incident)
+export const visibleToSessionFilter = (session) => (
+  session ? { concealedFromSessionIds: { $ne: session._id } } : {}
+);
+
+// Load an incident the user may see: their own (unless concealed from this session),
+// or a child's with the sos scope. `scopes` is the guardianship's scopes, null for the owner.
+// Returns { incident, isOwner, scopes } or null.
+export const findViewableIncident = async (incidentId, userId, sessionId) => {
+  if (!mongoose.isValidObjectId(incidentId)) return null;
+  const incident = await Incident.findById(incidentId);
+  if (!incident) return null;
+
+  if (incident.userId.toString() === userId.toString()) {
+    const concealed = incident.concealedFromSessionIds.some((id) => id.toString() === sessionId.toString());
+    return concealed ? null : { incident, isOwner: true, scopes: null };
+  }
+  const guardianship = await findGuardianship(userId, incident.userId, 'sos');
+  return guardianship ? { incident, isOwner: false, scopes: guardianship.scopes.toObject() } : null;
+};
+
+// Attach a trigger to the user's open incident from the last few minutes, or open a new one.
+// `concealFromSession` hides the incident from that session (duress logins).
+// Returns { incident, created }.
+export const openOrAttachIncident = async ({ user, type, location = null, imageId, session, concealFromSession }) => {
+  const now = new Date();
+  const attachSince = new Date(now.getTime() - config.incidents.attachWindowMinutes * 60 * 1000);
+  const trigger = { type, at: now, location: location || undefined, imageId };
+
+  const update = {
+    $push: { triggers: trigger },
+    $set: { lastTriggeredAt: now },
+  };
+  if (concealFromSession) {
+    update.$addToSet = { concealedFromSessionIds: concealFromSession._id };
+  }
+  if (location) {
+    update.$set.location = location;
+  }
+
+  const attached = await Incident.findOneAndUpdate(
+    {
+      userId: user._id,
+      status: { $nin: CLOSED_INCIDENT_STATUSES },
+      lastTriggeredAt: { $gte: attachSince },
+      ...visibleToSessionFilter(session),
+    },
+    update,
+    { new: true, sort: { lastTriggeredAt: -1 } }
+  );
+  if (attached) {
+    return { incident: attached, created: false };
+  }
+
+  const incident = await Incident.create({
+    userId: user._id,
+    type,
+    location: location || undefined,
+    triggers: [trigger],
+    statusHistory: [{ status: 'open', at: now, by: user._id }],
+    concealedFromSessionIds: concealFromSession ? [concealFromSession._id] : [],
+    lastTriggeredAt: now,
+  });
+  safeLog.warn('[Incident] Incident opened', { userId: user._id, type });
+  return { incident, created: true };
+};
+
+// API representation of an incident
+export const formatIncident = (incident) => ({
+  id: incident._id.toString(),
+  userId: incident.userId.toString(),
+  type: incident.type,
+  status: incident.status,
+  location: incident.location?.latitude !== undefined ? incident.location : null,
+  triggers: incident.triggers,
+  statusHistory: incident.statusHistory,
+  guardianNotified: incident.guardianNotified,
+  contactsNotified: incident.contactsNotified,
+  nearbyUsersNotified: incident.nearbyUsersNotified,
+  broadcast: formatBroadcast(incident),
+  createdAt: incident.createdAt,
+  lastTriggeredAt: incident.lastTriggeredAt,
+  resolvedAt: incident.resolvedAt || null,
+});
+
+// Tell guardians (and the user's own devices, unless the incident is concealed) about a change
+export const notifyIncidentUpdate = async (io, incident, owner) => {
+  const payload = {
+    incidentId: incident._id.toString(),
+    childId: incident.userId.toString(),
+    childName: owner?.name,
+    status: incident.status,
+    type: incident.type,
+    timestamp: new Date(),
+  };
+  await emitToGuardians(io, incident.userId, 'sos', 'child-incident-updated', payload);
+  if (incident.concealedFromSessionIds.length === 0) {
+    io.to(`user:${incident.userId}`).emit('incident-updated', payload);
+  }
+  // Nearby users who were asked for help can stop responding
+  if (incident.isClosed() && incident.alertedUsers.length > 0) {
+    io.to(incident.alertedUsers.map(({ userId }) => `user:${userId}`)).emit('nearby-sos-closed', {
+      incidentId: payload.incidentId,
+      status: incident.status,
+      timestamp: payload.timestamp,
+    });
+  }
+};
+
+// Move an incident to a new status. Returns { incident } or { error, status }.
+// The update is conditional on the current status so concurrent changes cannot skip states.
+export const transitionIncident = async (incident, nextStatus, { by, note } = {}) => {
+  if (!canTransition(incident.status, nextStatus)) {
+    return { error: `Cannot change an incident from ${incident.status} to ${nextStatus}`, status: 409 };
+  }
+
+  const now = new Date();
+  const set = { status: nextStatus };
+  if (CLOSED_INCIDENT_STATUSES.includes(nextStatus)) {
+    set.resolvedAt = now;
+    set.resolvedBy = by;
+  }
+
+  const updated = await Incident.findOneAndUpdate(
+    { _id: incident._id, status: incident.status },
+    { $set: set, $push: { statusHistory: { status: nextStatus, at: now, by, note } } },
+    { new: true }
+  );
+  if (!updated) {
+    return { error: 'Incident was updated by someone else, please retry', status: 409 };
+  }
+  return { incident: updated };
+};
@@ -0,0 +1,171 @@
+// Journey anomaly detection: prolonged stops away from the destination and speeds
+// that do not fit the declared travel mode. Anomalies use the same prompt-then-escalate
+// flow as route deviations (activeJourney.deviation*, escalated by the journey monitor).
+
+import { config } from '../config/index.js';
+import { User } from '../models/User.js';
+import { calculateDistance } from './geo.js';
+import { recordJourneyEvent } from './journeyHistory.js';
+import { safeLog } from './logger.js';
+
+export const TRAVEL_MODES = ['walking', 'cycling', 'driving', 'transit'];
+
+// Highest plausible sustained speed per travel mode
+const MAX_SPEED_KMH = {
+  walking: 15,
+  cycling: 45,
+  driving: 200,
+  transit: 200,
+};
+
+// Movement within this radius counts as standing still
+const STATIONARY_RADIUS_KM = 0.05;
+// Stops this close to the destination are expected
+const DESTINATION_RADIUS_KM = 0.15;
+// Ignore speed over very short intervals / distances (GPS jitter)
+const MIN_SPEED_INTERVAL_SECONDS = 10;
+const MIN_SPEED_DISTANCE_KM = 0.1;
+// Consecutive too-fast fixes needed before prompting
+const SPEED_CONFIRMING_FIXES = 2;
+
+const PROMPT_MESSAGES = {
+  off_route: 'You seem to have gone off your planned route. Are you okay?',
+  stationary: 'You have not moved for a while. Are you okay?',
+  speed: 'You seem to be moving much faster than expected. Are you okay?',
+};
+
+const EVENT_TYPES = {
+  off_route: 'deviation_detected',
+  stationary: 'stationary_detected',
+  speed: 'speed_anomaly_detected',
+};
+
+export const promptMessage = (reason) => PROMPT_MESSAGES[reason] || PROMPT_MESSAGES.off_route;
+
+// Pure analysis of a fix against the journey's tracking state.
+// Returns { anomaly, speedKmh, stationaryMinutes, state } where `state` is the new tracking state.
+export const analyseJourneyFix = (journey, fix) => {
+  const { latitude, longitude } = fix;
+  const timestamp = new Date(fix.timestamp || Date.now());
+  const tracking = journey.tracking || {};
+  const mode = journey.travelMode || 'walking';
+
+  // Speed between the previous fix and this one
+  let speedKmh = null;
+  let speedViolations = 0;
+  const last = tracking.lastFix;
+  if (last?.timestamp && typeof last.lat === 'number') {
+    const seconds = (timestamp - new Date(last.timestamp)) / 1000;
+    const distanceKm = calculateDistance(last.lat, last.lng, latitude, longitude);
+    if (seconds >= MIN_SPEED_INTERVAL_SECONDS && distanceKm >= MIN_SPEED_DISTANCE_KM) {
+      speedKmh = distanceKm / (seconds / 3600);
+      speedViolations = speedKmh > MAX_SPEED_KMH[mode] ? (tracking.speedViolations || 0) + 1 : 0;
+    } else {
+      speedViolations = tracking.speedViolations || 0;
+    }
+  }
+
+  // Has the user stayed within STATIONARY_RADIUS_KM of the same spot?
+  const anchor = tracking.stationaryAnchor;
+  let stationarySince = tracking.stationarySince ? new Date(tracking.stationarySince) : timestamp;
+  let stationaryAnchor = anchor;
+  if (!anchor || typeof anchor.lat !== 'number' ||
+      calculateDistance(anchor.lat, anchor.lng, latitude, longitude) > STATIONARY_RADIUS_KM) {
+    stationaryAnchor = { lat: latitude, lng: longitude };
+    stationarySince = timestamp;
+  }
+  const stationaryMinutes = (timestamp - stationarySince) / 60000;
+
+  const destination = journey.to?.coordinates;
+  const nearDestination = typeof destination?.lat === 'number' &&
+    calculateDistance(destination.lat, destination.lng, latitude, longitude) <= DESTINATION_RADIUS_KM;
+
+  let anomaly = null;
+  if (speedViolations >= SPEED_CONFIRMING_FIXES) {
+    anomaly = 'speed';
+  } else if (stationaryMinutes >= config.journey.stationaryMinutes && !nearDestination) {
+    anomaly = 'stationary';
+  }
+
+  return {
+    anomaly,
+    speedKmh,
+    stationaryMinutes,
+    state: {
+      lastFix: { lat: latitude, lng: longitude, timestamp },
+      stationaryAnchor,
+      stationarySince,
+      speedViolations,
+    },
+  };
+};
+
+// Ask the user whether they are okay. Only one prompt can be pending at a time; returns
+// the prompt time, or null when a prompt is already waiting for an answer.
+export const raiseJourneyPrompt = async (io, user, { reason, latitude, longitude, distanceKm = null, details }) => {
+  const now = new Date();
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, 'activeJourney.isActive': true, 'activeJourney.deviationAlertSent': { $ne: true } },
+    {
+      $set: {
+        'activeJourney.deviationDetected': true,
+        'activeJourney.deviationAlertSent': true,
+        'activeJourney.deviationAlertTime': now,
+        'activeJourney.deviationEscalatedAt': null,
+        'activeJourney.deviationEscalationLeaseUntil': null,
+        'activeJourney.deviationReason': reason,
+        'activeJourney.deviationLocation': { lat: latitude, lng: longitude },
+        'activeJourney.deviationDistanceKm': distanceKm,
+      },
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  // Keep the caller's copy in step with the database
+  user.activeJourney = updated.activeJourney;
+
+  const graceMinutes = updated.activeJourney.deviationGraceMinutes || config.journey.deviationGraceMinutes;
+  io.to(`user:${user._id}`).emit('journey-check-prompt', {
+    reason,
+    message: promptMessage(reason),
+    responseDeadline: new Date(now.getTime() + graceMinutes * 60 * 1000),
+  });
+
+  await recordJourneyEvent(updated.activeJourney.journeyId, {
+    type: EVENT_TYPES[reason],
+    location: { lat: latitude, lng: longitude },
+    distanceFromRouteKm: distanceKm ?? undefined,
+    details,
+  });
+
+  safeLog.warn(`[Journey] Prompted user (${reason})`, { userId: user._id });
+  return now;
+};
+
+// Check a journey fix for stops and speed anomalies, persist the tracking state and
+// prompt the user if needed. Returns the analysis result.
+export const checkJourneyAnomalies = async (io, user, fix) => {
+  const journey = user.activeJourney;
+  if (!journey?.isActive) return null;
+
+  const result = analyseJourneyFix(journey, fix);
+  await User.updateOne(
+    { _id: user._id, 'activeJourney.isActive': true },
+    { $set: { 'activeJourney.tracking': result.state } }
+  );
+
+  if (result.anomaly && !journey.deviationAlertSent) {
+    const details = result.anomaly === 'speed'
+      ? `${Math.round(result.speedKmh)} km/h while ${journey.travelMode || 'walking'}`
+      : `stationary for ${Math.round(result.stationaryMinutes)} minutes`;
+    result.promptedAt = await raiseJourneyPrompt(io, user, {
+      reason: result.anomaly,
+      latitude: fix.latitude,
+      longitude: fix.longitude,
+      details,
+    });
+  }
+
+  return result;
+};
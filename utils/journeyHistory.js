@@ -0,0 +1,170 @@
+// Journey history: the permanent record of each journey and its replay payload
+
+import { Journey } from '../models/Journey.js';
+import { calculateDistance, capPoints, encodePolyline, simplifyTrack } from './geo.js';
+import { findLocationFixes } from './locationHistory.js';
+import { safeLog } from './logger.js';
+
+const TRACK_TOLERANCE_METERS = 5;
+const MAX_TRACK_POINTS = 2000;
+
+// Event types that count as deviations (the user was prompted)
+const DEVIATION_EVENTS = ['deviation_detected', 'stationary_detected', 'speed_anomaly_detected'];
+// Event types that count as alerts to guardians/contacts
+const ALERT_EVENTS = ['deviation_escalated', 'overdue_alert'];
+
+// Create the history record for a journey that was just started (from User.activeJourney)
+export const openJourneyRecord = (userId, activeJourney) => Journey.create({
+  userId,
+  from: activeJourney.from,
+  to: activeJourney.to,
+  plannedRoute: activeJourney.selectedRoutePath,
+  travelMode: activeJourney.travelMode,
+  deviationThresholdMeters: activeJourney.deviationThresholdMeters,
+  deviationGraceMinutes: activeJourney.deviationGraceMinutes,
+  expectedArrivalAt: activeJourney.expectedArrivalAt,
+  startedAt: activeJourney.startedAt,
+});
+
+// Append an event to a journey's record. History must never break the live journey
+// flow, so failures are only logged. Journeys started before history existed have no record.
+export const recordJourneyEvent = async (journeyId, event, set = {}) => {
+  if (!journeyId) return;
+  try {
+    const inc = {};
+    if (DEVIATION_EVENTS.includes(event.type)) inc.deviationCount = 1;
+    if (ALERT_EVENTS.includes(event.type)) inc.alertCount = 1;
+
+    const update = { $push: { events: { timestamp: new Date(), ...event } } };
+    if (Object.keys(inc).length > 0) update.$inc = inc;
+    if (Object.keys(set).length > 0) update.$set = set;
+    await Journey.updateOne({ _id: journeyId }, update);
+  } catch (err) {
+    safeLog.error('[Journey] Failed to record journey event', err);
+  }
+};
+
+// Simplified actual track of a user between two times
+const loadTrack = async (userId, from, to) => {
+  const fixes = await findLocationFixes(userId, from, to);
+  const simplified = capPoints(
+    simplifyTrack(fixes, TRACK_TOLERANCE_METERS / 1000, (fix) => [fix.latitude, fix.longitude]),
+    MAX_TRACK_POINTS
+  );
+
+  let distanceKm = 0;
+  for (let i = 1; i < simplified.length; i++) {
+    distanceKm += calculateDistance(
+      simplified[i - 1].latitude, simplified[i - 1].longitude,
+      simplified[i].latitude, simplified[i].longitude
+    );
+  }
+
+  return {
+    rawCount: fixes.length,
+    distanceKm,
+    points: simplified.map((fix) => ({
+      lat: fix.latitude,
+      lng: fix.longitude,
+      timestamp: fix.timestamp,
+      speed: fix.speed ?? undefined,
+    })),
+  };
+};
+
+// Finish a journey's record: store the actual track, end time and duration
+export const closeJourneyRecord = async (journeyId, endedAt = new Date()) => {
+  if (!journeyId) return null;
+  const journey = await Journey.findOne({ _id: journeyId, status: 'active' });
+  if (!journey) return null;
+
+  const track = await loadTrack(journey.userId, journey.startedAt, endedAt);
+  journey.status = 'completed';
+  journey.endedAt = endedAt;
+  journey.durationSeconds = Math.round((endedAt - journey.startedAt) / 1000);
+  journey.track = track.points;
+  journey.trackRawCount = track.rawCount;
+  journey.distanceKm = track.distanceKm;
+  await journey.save();
+  return journey;
+};
+
+// Track of a journey - stored once it ended, built from location fixes while it is active
+const journeyTrack = async (journey) => {
+  if (journey.status === 'completed') {
+    return { points: journey.track, distanceKm: journey.distanceKm };
+  }
+  return loadTrack(journey.userId, journey.startedAt, new Date());
+};
+
+// Short form for lists
+export const formatJourneySummary = (journey) => ({
+  id: journey._id.toString(),
+  status: journey.status,
+  from: journey.from,
+  to: journey.to,
+  startedAt: journey.startedAt,
+  endedAt: journey.endedAt || null,
+  durationSeconds: journey.durationSeconds ?? null,
+  distanceKm: journey.distanceKm,
+  deviationCount: journey.deviationCount,
+  alertCount: journey.alertCount,
+});
+
+// Full record including planned route, actual track and events
+export const formatJourneyDetail = async (journey) => {
+  const track = await journeyTrack(journey);
+  return {
+    ...formatJourneySummary(journey),
+    distanceKm: track.distanceKm,
+    expectedArrivalAt: journey.expectedArrivalAt || null,
+    deviationThresholdMeters: journey.deviationThresholdMeters ?? null,
+    deviationGraceMinutes: journey.deviationGraceMinutes ?? null,
+    travelMode: journey.travelMode || null,
+    plannedRoute: journey.plannedRoute,
+    plannedRoutePolyline: encodePolyline(journey.plannedRoute),
+    track: track.points,
+    trackPolyline: encodePolyline(track.points.map((point) => [point.lat, point.lng])),
+    events: journey.events,
+  };
+};
+
+// Replay payload for animating a journey on a map. Every frame and event carries
+// `t`, the number of seconds since the journey started.
+export const buildJourneyReplay = async (journey) => {
+  const track = await journeyTrack(journey);
+  const start = journey.startedAt.getTime();
+  const end = (journey.endedAt || new Date()).getTime();
+  const offset = (time) => Math.max(0, Math.round((new Date(time).getTime() - start) / 1000));
+
+  const allPoints = [...journey.plannedRoute, ...track.points.map((point) => [point.lat, point.lng])];
+  const bounds = allPoints.length === 0 ? null : allPoints.reduce((acc, [lat, lng]) => ({
+    north: Math.max(acc.north, lat),
+    south: Math.min(acc.south, lat),
+    east: Math.max(acc.east, lng),
+    west: Math.min(acc.west, lng),
+  }), { north: -90, south: 90, east: -180, west: 180 });
+
+  return {
+    journeyId: journey._id.toString(),
+    startedAt: journey.startedAt,
+    endedAt: journey.endedAt || null,
+    durationSeconds: Math.round((end - start) / 1000),
+    bounds,
+    plannedRoute: encodePolyline(journey.plannedRoute),
+    from: journey.from,
+    to: journey.to,
+    frames: track.points.map((point) => ({
+      t: offset(point.timestamp),
+      lat: point.lat,
+      lng: point.lng,
+      speed: point.speed ?? null,
+    })),
+    events: journey.events.map((event) => ({
+      t: offset(event.timestamp),
+      type: event.type,
+      location: event.location?.lat !== undefined ? event.location : null,
+      details: event.details || null,
+    })),
+  };
+};
@@ -0,0 +1,332 @@
+// Live audio during an SOS: while an incident is open the phone streams audio chunks over its
+// socket. Each chunk is relayed straight to guardians with the evidence scope and stored as part
+// of a live upload session (see utils/resumableUploads.js), which becomes a recording attached
+// to the incident when the phone stops the stream, it goes quiet (jobs/liveAudioMonitor.js) or
+// the incident is closed.
+
+import mongoose from 'mongoose';
+import { config } from '../config/index.js';
+import { CLOSED_INCIDENT_STATUSES, Incident } from '../models/Incident.js';
+import { Session } from '../models/Session.js';
+import { UploadSession } from '../models/UploadSession.js';
+import { User } from '../models/User.js';
+import { recordEvidenceReceipt, sha256, socketCustodyDevice } from './custody.js';
+import { formatLocation } from './geo.js';
+import { emitToGuardians } from './guardians.js';
+import { publishUserItem, timelineItems } from './incidentTimeline.js';
+import { safeLog } from './logger.js';
+import { appendUploadChunk, countOpenUploads, discardUpload, finalizeUpload } from './resumableUploads.js';
+
+const AUDIO_MIME_TYPE = /^audio\/[\w.+-]+$/;
+
+// The upload helpers count expiry in hours; a live stream expires after its idle timeout
+const idleTtl = () => ({ sessionTtlHours: config.liveAudio.idleTimeoutSeconds / 3600 });
+const idleExpiry = () => new Date(Date.now() + config.liveAudio.idleTimeoutSeconds * 1000);
+
+// Store a finished stream and add it to the owner's recordings. Returns { data } or { error, status }.
+const saveLiveRecording = async (io, mediaStorage, session, buffer) => {
+  const user = await User.findById(session.userId).select('name accountId currentLocation');
+  if (!user) {
+    return { error: 'User not found', status: 404 };
+  }
+
+  const fileHash = sha256(buffer);
+  let stored;
+  try {
+    stored = await mediaStorage.upload({
+      buffer,
+      folder: 'emergency-audio',
+      name: `live_${user.accountId}`,
+      kind: 'audio',
+      mimeType: session.mimeType,
+    });
+  } catch (error) {
+    return { error: 'Failed to store audio', status: 500 };
+  }
+
+  const recording = {
+    _id: new mongoose.Types.ObjectId(),
+    audioUrl: stored.url,
+    storageProvider: stored.provider,
+    storageKey: stored.key,
+    timestamp: session.metadata.timestamp.toISOString(),
+    duration: stored.duration || 0,
+    fileSize: buffer.length,
+    sha256: fileHash,
+    incidentId: session.incidentId,
+  };
+  try {
+    // Pushed atomically, as the owner may be uploading other recordings at the same time.
+    // Same cap as /api/emergency/upload-audio.
+    await User.updateOne(
+      { _id: user._id },
+      { $push: { emergencyRecordings: { $each: [recording], $slice: -50 } } }
+    );
+  } catch (error) {
+    mediaStorage.delete({ ...stored, kind: 'audio' })
+      .catch((err) => safeLog.error('[LiveAudio] Failed to remove orphaned upload', err));
+    throw error;
+  }
+  publishUserItem(io, user._id, timelineItems.audio(recording));
+
+  await recordEvidenceReceipt({
+    actorId: user._id,
+    device: session.device,
+    ownerId: user._id,
+    evidenceType: 'audio',
+    evidenceId: recording._id,
+    fileHash,
+    sizeBytes: buffer.length,
+    mimeType: session.mimeType,
+    storage: { provider: stored.provider, url: stored.url, key: stored.key },
+    location: formatLocation(user.currentLocation),
+  });
+
+  return {
+    data: {
+      recordingId: recording._id.toString(),
+      incidentId: session.incidentId.toString(),
+      audioUrl: recording.audioUrl,
+      duration: recording.duration,
+      fileSize: recording.fileSize,
+      sha256: fileHash,
+    },
+  };
+};
+
+// Turn a live stream into a recording. Safe to call more than once: only the first call
+// that finds the stream still open does anything. Returns the recording data or null.
+export const finalizeLiveAudio = async (io, mediaStorage, streamId) => {
+  // Freeze the size at what has been received so far
+  const session = await UploadSession.findOneAndUpdate(
+    { _id: streamId, live: true, status: 'uploading' },
+    [{ $set: { totalBytes: '$receivedBytes', finalizeAttempts: { $add: [{ $ifNull: ['$finalizeAttempts', 0] }, 1] } } }],
+    { new: true }
+  );
+  if (!session) return null;
+
+  if (session.totalBytes === 0) {
+    await discardUpload(session._id);
+    return null;
+  }
+
+  let finalized;
+  try {
+    finalized = await finalizeUpload(
+      session,
+      (buffer) => saveLiveRecording(io, mediaStorage, session, buffer),
+      config.uploads
+    );
+  } catch (err) {
+    finalized = { error: err.message };
+  }
+  if (finalized.error) {
+    // The audio is evidence, so it is never dropped: jobs/liveAudioMonitor.js keeps retrying,
+    // a little later after each failure, and a stream that keeps failing is flagged
+    const { idleTimeoutSeconds, attentionAfterAttempts, maxRetryDelayMinutes } = config.liveAudio;
+    const needsAttention = session.finalizeAttempts >= attentionAfterAttempts;
+    const retryDelayMs = Math.min(session.finalizeAttempts * idleTimeoutSeconds, maxRetryDelayMinutes * 60) * 1000;
+    safeLog.error(`[LiveAudio] Failed to save stream${needsAttention ? ' (needs attention)' : ''}: ${finalized.error}`, {
+      streamId: streamId.toString(),
+      attempt: session.finalizeAttempts,
+    });
+    await UploadSession.updateOne(
+      { _id: session._id, status: 'uploading' },
+      { expiresAt: new Date(Date.now() + retryDelayMs), lastError: finalized.error, needsAttention }
+    );
+    return null;
+  }
+
+  await emitToGuardians(io, session.userId, 'evidence', 'child-live-audio-ended', {
+    childId: session.userId.toString(),
+    streamId: session._id.toString(),
+    ...finalized.data,
+  });
+  return finalized.data;
+};
+
+// Socket events for streaming audio. Replies through the optional acknowledgement callback
+// with { success, error? }. Streams outlive the socket: after a reconnect the phone passes
+// its streamId to live-audio-start to carry on with the same recording.
+export const registerLiveAudioHandlers = (io, socket, mediaStorage) => {
+  // Streams started (or resumed) on this socket: streamId -> { session, guardianRooms, queue }
+  const streams = new Map();
+
+  // Stop relaying and save the recording once the chunks already queued have been stored
+  const endStream = (streamId) => {
+    const stream = streams.get(streamId);
+    streams.delete(streamId);
+    const pending = stream ? stream.queue : Promise.resolve();
+    return pending
+      .then(() => finalizeLiveAudio(io, mediaStorage, streamId))
+      .catch((err) => {
+        safeLog.error('[LiveAudio] Failed to finalize stream', err);
+        return null;
+      });
+  };
+
+  // Find the stream to resume, or open a new one on the user's open incident.
+  // Returns { session, resumed } or { error }.
+  const openStream = async (data) => {
+    if (data.streamId) {
+      const session = mongoose.isValidObjectId(data.streamId)
+        ? await UploadSession.findOne({ _id: data.streamId, userId: socket.userId, live: true, status: 'uploading' })
+        : null;
+      if (!session || session.totalBytes != null) {
+        return { error: 'Stream not found' };
+      }
+      return { session, resumed: true };
+    }
+
+    if (typeof data.mimeType !== 'string' || !AUDIO_MIME_TYPE.test(data.mimeType)) {
+      return { error: 'An audio MIME type is required' };
+    }
+    if (data.incidentId && !mongoose.isValidObjectId(data.incidentId)) {
+      return { error: 'Incident not found' };
+    }
+
+    const incident = await Incident.findOne({
+      userId: socket.userId,
+      status: { $nin: CLOSED_INCIDENT_STATUSES },
+      ...(data.incidentId ? { _id: data.incidentId } : {}),
+    })
+      .sort({ createdAt: -1 })
+      .select('_id');
+    if (!incident) {
+      return { error: 'Live audio needs an active SOS' };
+    }
+
+    if (await countOpenUploads(socket.userId) >= config.uploads.maxOpenSessions) {
+      return { error: 'Too many uploads in progress' };
+    }
+
+    const loginSession = await Session.findById(socket.sessionId).lean();
+    const session = await UploadSession.create({
+      userId: socket.userId,
+      kind: 'audio',
+      mimeType: data.mimeType,
+      live: true,
+      incidentId: incident._id,
+      device: socketCustodyDevice(socket, loginSession),
+      metadata: { timestamp: new Date() },
+      expiresAt: idleExpiry(),
+    });
+    return { session, resumed: false };
+  };
+
+  socket.on('live-audio-start', async (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      const opened = await openStream(data);
+      if (opened.error) {
+        return reply({ success: false, error: opened.error });
+      }
+
+      const { session, resumed } = opened;
+      const streamId = session._id.toString();
+      // Guardians are looked up once per (re)start; one linked mid-stream gets the saved recording
+      const guardianIds = await emitToGuardians(io, socket.userId, 'evidence', 'child-live-audio-started', {
+        childId: socket.userId,
+        childName: socket.user.name,
+        streamId,
+        incidentId: session.incidentId.toString(),
+        mimeType: session.mimeType,
+        startedAt: session.metadata.timestamp,
+        resumed,
+      });
+      if (!streams.has(streamId)) {
+        streams.set(streamId, { session, queue: Promise.resolve() });
+      }
+      streams.get(streamId).guardianRooms = guardianIds.map((id) => `parent:${id}`);
+
+      return reply({
+        success: true,
+        streamId,
+        receivedBytes: session.receivedBytes,
+        maxChunkBytes: config.liveAudio.maxChunkBytes,
+      });
+    } catch (err) {
+      safeLog.error('[LiveAudio] Failed to start stream', err);
+      return reply({ success: false, error: 'Failed to start live audio' });
+    }
+  });
+
+  // { streamId, seq, chunk } - chunk is binary audio in the stream's format
+  socket.on('live-audio-chunk', (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const stream = streams.get(data.streamId);
+    if (!stream) {
+      return reply({ success: false, error: 'Stream not found' });
+    }
+
+    const chunk = Buffer.isBuffer(data.chunk) ? data.chunk
+      : data.chunk instanceof ArrayBuffer ? Buffer.from(data.chunk) : null;
+    if (!chunk || chunk.length === 0 || chunk.length > config.liveAudio.maxChunkBytes) {
+      return reply({ success: false, error: 'Invalid audio chunk' });
+    }
+
+    // Relay before storing so guardians hear it without waiting for the database
+    if (stream.guardianRooms.length > 0) {
+      io.to(stream.guardianRooms).emit('child-live-audio-chunk', {
+        childId: socket.userId,
+        streamId: data.streamId,
+        seq: Number.isInteger(data.seq) ? data.seq : null,
+        chunk,
+      });
+    }
+
+    // Chunks are stored one at a time, in the order they arrived
+    stream.queue = stream.queue
+      .then(async () => {
+        if (stream.session.receivedBytes + chunk.length > config.liveAudio.maxBytes) {
+          endStream(data.streamId);
+          return reply({ success: false, error: 'Live audio limit reached; the recording has been saved' });
+        }
+        const incidentOpen = await Incident.exists({
+          _id: stream.session.incidentId,
+          status: { $nin: CLOSED_INCIDENT_STATUSES },
+        });
+        if (!incidentOpen) {
+          endStream(data.streamId);
+          return reply({ success: false, error: 'The SOS has ended; the recording has been saved' });
+        }
+        const appended = await appendUploadChunk(stream.session, stream.session.receivedBytes, chunk, idleTtl());
+        if (appended.error) {
+          streams.delete(data.streamId);
+          return reply({ success: false, error: appended.error });
+        }
+        stream.session = appended.session;
+        return reply({ success: true, receivedBytes: stream.session.receivedBytes });
+      })
+      .catch((err) => {
+        safeLog.error('[LiveAudio] Failed to store chunk', err);
+        reply({ success: false, error: 'Failed to store chunk' });
+      });
+  });
+
+  // Also accepts streams started on an earlier socket
+  socket.on('live-audio-stop', async (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      if (!mongoose.isValidObjectId(data.streamId)) {
+        return reply({ success: false, error: 'Stream not found' });
+      }
+      if (!streams.has(data.streamId)) {
+        const owned = await UploadSession.exists({ _id: data.streamId, userId: socket.userId, live: true });
+        if (!owned) {
+          return reply({ success: false, error: 'Stream not found' });
+        }
+      }
+      const recording = await endStream(data.streamId);
+      return reply({ success: true, recording });
+    } catch (err) {
+      safeLog.error('[LiveAudio] Failed to stop stream', err);
+      return reply({ success: false, error: 'Failed to stop live audio' });
+    }
+  });
+
+  // Streams are left open for the phone to resume; quiet ones are saved by jobs/liveAudioMonitor.js
+  socket.on('disconnect', () => {
+    streams.clear();
+  });
+};
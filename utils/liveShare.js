@@ -0,0 +1,184 @@
+// Live location sharing: public snapshots, SSE viewers and the /share Socket.IO namespace
+
+import crypto from 'crypto';
+import { ShareLink } from '../models/ShareLink.js';
+import { User } from '../models/User.js';
+import { formatLocation } from './geo.js';
+import { safeLog } from './logger.js';
+import { userEvents } from './userEvents.js';
+
+export const hashShareToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export const generateShareToken = () => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, hash: hashShareToken(token) };
+};
+
+// Look up an active link by its public token
+export const findActiveShareLink = async (token) => {
+  if (typeof token !== 'string' || token.length < 20) return null;
+  const link = await ShareLink.findOne({ tokenHash: hashShareToken(token) });
+  return link && link.isActive() ? link : null;
+};
+
+// Read-only view of a user for a share link - only what the link includes
+export const buildShareSnapshot = (link, user) => {
+  const snapshot = {
+    name: user.name,
+    expiresAt: link.expiresAt,
+    generatedAt: new Date().toISOString(),
+  };
+
+  if (link.include?.location) {
+    snapshot.location = formatLocation(user.currentLocation);
+  }
+
+  if (link.include?.journey) {
+    const journey = user.activeJourney;
+    snapshot.journey = journey?.isActive
+      ? {
+        isActive: true,
+        from: journey.from,
+        to: journey.to,
+        routePath: journey.selectedRoutePath || [],
+        startedAt: journey.startedAt,
+      }
+      : { isActive: false };
+  }
+
+  if (link.include?.battery) {
+    snapshot.battery = {
+      level: user.batteryLevel,
+      isCharging: user.isCharging || false,
+      updatedAt: user.batteryUpdatedAt || null,
+    };
+  }
+
+  return snapshot;
+};
+
+// Create the hub that pushes updates to everyone viewing a user's share links
+export const createLiveShareHub = (io) => {
+  const namespace = io.of('/share');
+  const sseViewers = new Map(); // linkId -> Set of { res, timer }
+  const watchedUsers = new Map(); // userId -> number of connected viewers (socket and SSE)
+  const room = (linkId) => `share:${linkId}`;
+
+  // Viewers leave on expiry and revocation too, so a user with no entry has nobody to push to
+  const watch = (userId) => {
+    const id = userId.toString();
+    watchedUsers.set(id, (watchedUsers.get(id) || 0) + 1);
+    return () => {
+      const remaining = watchedUsers.get(id) - 1;
+      if (remaining > 0) watchedUsers.set(id, remaining);
+      else watchedUsers.delete(id);
+    };
+  };
+
+  // Viewers authenticate with the share token instead of a JWT
+  namespace.use(async (socket, next) => {
+    try {
+      const link = await findActiveShareLink(socket.handshake.auth?.token);
+      if (!link) {
+        return next(new Error('Share link is invalid or has expired'));
+      }
+      socket.shareLink = link;
+      next();
+    } catch (err) {
+      next(new Error('Share link is invalid or has expired'));
+    }
+  });
+
+  namespace.on('connection', async (socket) => {
+    const link = socket.shareLink;
+    const linkId = link._id.toString();
+    socket.join(room(linkId));
+    const unwatch = watch(link.userId);
+
+    // Drop the viewer the moment the link expires
+    const timer = setTimeout(() => socket.disconnect(true), link.expiresAt - Date.now());
+    socket.on('disconnect', () => {
+      clearTimeout(timer);
+      unwatch();
+    });
+
+    try {
+      const user = await User.findById(link.userId);
+      if (user) {
+        socket.emit('share-update', buildShareSnapshot(link, user));
+      }
+    } catch (err) {
+      safeLog.error('[Share] Failed to send initial snapshot', err);
+    }
+  });
+
+  const writeSse = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Register an SSE response for a link; it is closed on expiry or revocation
+  const addSseViewer = (link, res) => {
+    const linkId = link._id.toString();
+    if (!sseViewers.has(linkId)) {
+      sseViewers.set(linkId, new Set());
+    }
+    const viewer = { res };
+    viewer.timer = setTimeout(() => {
+      writeSse(res, 'share-expired', { expiresAt: link.expiresAt });
+      res.end();
+    }, link.expiresAt - Date.now());
+    // Comment lines keep proxies from closing an idle stream
+    viewer.keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+    sseViewers.get(linkId).add(viewer);
+    const unwatch = watch(link.userId);
+
+    res.on('close', () => {
+      clearTimeout(viewer.timer);
+      clearInterval(viewer.keepAlive);
+      unwatch();
+      const viewers = sseViewers.get(linkId);
+      if (viewers) {
+        viewers.delete(viewer);
+        if (viewers.size === 0) sseViewers.delete(linkId);
+      }
+    });
+
+    return (event, data) => writeSse(res, event, data);
+  };
+
+  // Push a fresh snapshot to every viewer of the user's active links.
+  // Location and battery changes are frequent, so users nobody is viewing skip the lookup.
+  const publish = async (user) => {
+    if (!watchedUsers.has(user._id.toString())) return;
+
+    const links = await ShareLink.find({
+      userId: user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+
+    links.forEach((link) => {
+      const linkId = link._id.toString();
+      const snapshot = buildShareSnapshot(link, user);
+      namespace.to(room(linkId)).emit('share-update', snapshot);
+      (sseViewers.get(linkId) || []).forEach(({ res }) => writeSse(res, 'share-update', snapshot));
+    });
+  };
+
+  // Disconnect every viewer of a link (used on revocation)
+  const closeLink = (linkId) => {
+    const id = linkId.toString();
+    namespace.to(room(id)).emit('share-revoked', {});
+    namespace.in(room(id)).disconnectSockets(true);
+    (sseViewers.get(id) || []).forEach(({ res }) => {
+      writeSse(res, 'share-revoked', {});
+      res.end();
+    });
+  };
+
+  userEvents.on('change', ({ user }) => {
+    publish(user).catch((err) => safeLog.error('[Share] Failed to publish update', err));
+  });
+
+  return { addSseViewer, closeLink, publish };
+};
@@ -0,0 +1,68 @@
+// Location history helpers: recording fixes and building downsampled trails
+
+import { LocationFix } from '../models/LocationFix.js';
+import { capPoints, encodePolyline, simplifyTrack } from './geo.js';
+
+const MAX_RAW_FIXES = 20000; // Upper bound of fixes loaded for a single trail
+
+// Store a location fix. Optional fields are dropped when not provided.
+export const recordLocationFix = (userId, fix) => {
+  const doc = {
+    userId,
+    timestamp: fix.timestamp || new Date(),
+    latitude: fix.latitude,
+    longitude: fix.longitude,
+    source: fix.source || 'unknown',
+  };
+  ['accuracy', 'speed', 'heading', 'batteryLevel'].forEach((field) => {
+    if (typeof fix[field] === 'number') {
+      doc[field] = fix[field];
+    }
+  });
+  return LocationFix.create(doc);
+};
+
+// Load fixes for a user between two dates, oldest first
+export const findLocationFixes = (userId, from, to) => LocationFix.find({
+  userId,
+  timestamp: { $gte: from, $lte: to },
+})
+  .sort({ timestamp: 1 })
+  .limit(MAX_RAW_FIXES)
+  .select('-_id timestamp latitude longitude accuracy speed heading source batteryLevel')
+  .lean();
+
+// Stream every fix between two dates, oldest first (used for exports of long trails)
+export const locationFixCursor = (userId, from, to) => LocationFix.find({
+  userId,
+  timestamp: { $gte: from, $lte: to },
+})
+  .sort({ timestamp: 1 })
+  .select('-_id timestamp latitude longitude')
+  .lean()
+  .cursor();
+
+// Build a downsampled trail: Douglas-Peucker with `toleranceMeters`, then capped to `maxPoints`
+export const buildTrail = async (userId, { from, to, toleranceMeters = 10, maxPoints = 500 }) => {
+  const fixes = await findLocationFixes(userId, from, to);
+  const simplified = capPoints(
+    simplifyTrack(fixes, toleranceMeters / 1000, (fix) => [fix.latitude, fix.longitude]),
+    maxPoints
+  );
+
+  return {
+    from,
+    to,
+    rawCount: fixes.length,
+    truncated: fixes.length === MAX_RAW_FIXES,
+    points: simplified.map((fix) => ({
+      latitude: fix.latitude,
+      longitude: fix.longitude,
+      timestamp: fix.timestamp,
+      accuracy: fix.accuracy ?? null,
+      speed: fix.speed ?? null,
+      batteryLevel: fix.batteryLevel ?? null,
+    })),
+    polyline: encodePolyline(simplified.map((fix) => [fix.latitude, fix.longitude])),
+  };
+};
@@ -0,0 +1,63 @@
+/**
+ * Mail Transport
+ * A transport is any object with `name` and `async send({ from, to, subject, text })`.
+ * The console and file transports ship by default so the backend can run offline in
+ * development; register a real provider (SMTP, SES, ...) with registerMailTransport and
+ * select it with MAIL_TRANSPORT. Production refuses to start with the console transport.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { safeLog } from './logger.js';
+
+// Logs messages to stdout - useful in development
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 [Mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    return { accepted: [message.to] };
+  },
+});
+
+// Writes each message as a JSON file into an outbox directory - useful for tests
+const createFileTransport = ({ outboxDir }) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.mkdir(outboxDir, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    const filePath = path.join(outboxDir, fileName);
+    await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    return { accepted: [message.to], filePath };
+  },
+});
+
+const transportFactories = new Map([
+  ['console', createConsoleTransport],
+  ['file', createFileTransport],
+]);
+
+// Register an additional transport factory: (mailConfig) => transport
+export const registerMailTransport = (name, factory) => {
+  transportFactories.set(name, factory);
+};
+
+// Create the mailer configured in config.mail
+export const createMailTransport = (mailConfig) => {
+  const factory = transportFactories.get(mailConfig.transport);
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${mailConfig.transport}`);
+  }
+  const transport = factory(mailConfig);
+
+  return {
+    name: transport.name,
+    send: async ({ to, subject, text }) => {
+      try {
+        return await transport.send({ from: mailConfig.from, to, subject, text });
+      } catch (error) {
+        safeLog.error(`[Mail] Failed to send via ${transport.name}`, error);
+        throw error;
+      }
+    },
+  };
+};
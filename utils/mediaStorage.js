@@ -0,0 +1,238 @@
+/**
+ * Media Storage
+ * A provider is any object with `name` and:
+ *   async upload({ buffer, folder, name, kind, mimeType }) -> { key, url, duration? }
+ *   async fetch({ key, url }) -> Buffer
+ *   async delete({ key, kind })
+ *   async ping()
+ * `kind` is 'image', 'audio' or 'video'. The local filesystem, S3-compatible and Cloudinary providers
+ * ship by default; register others with registerStorageProvider.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { v2 as cloudinary } from 'cloudinary';
+import { safeLog } from './logger.js';
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/heic': 'heic',
+  'audio/mp4': 'm4a',
+  'audio/m4a': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/aac': 'aac',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/webm': 'webm',
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov',
+  'video/3gpp': '3gp',
+  'video/webm': 'webm',
+};
+
+const DEFAULT_EXTENSIONS = { image: 'jpg', audio: 'm4a', video: 'mp4' };
+
+// Object key for providers that name files themselves. The random suffix keeps
+// public URLs unguessable.
+const objectKey = ({ folder, name, kind, mimeType }) => {
+  const extension = EXTENSIONS[mimeType] || DEFAULT_EXTENSIONS[kind];
+  return `${folder}/${name}_${crypto.randomBytes(8).toString('hex')}.${extension}`;
+};
+
+// Download an object over HTTP. Returns a Buffer.
+const downloadUrl = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Storage responded with ${response.status}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+};
+
+// Files on local disk, served by the backend itself under config.storage.local.mountPath
+const createLocalProvider = ({ local }) => {
+  const rootDir = path.resolve(local.dir);
+  const baseUrl = local.publicBaseUrl.replace(/\/+$/, '');
+
+  // Keys are generated here, but fetch/delete also take keys read back from the database
+  const filePath = (key) => {
+    const resolved = path.resolve(rootDir, key);
+    if (!resolved.startsWith(rootDir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return resolved;
+  };
+
+  return {
+    name: 'local',
+    rootDir,
+    upload: async (object) => {
+      const key = objectKey(object);
+      await fs.mkdir(path.dirname(filePath(key)), { recursive: true });
+      await fs.writeFile(filePath(key), object.buffer);
+      return { key, url: `${baseUrl}/${key}` };
+    },
+    fetch: async ({ key }) => fs.readFile(filePath(key)),
+    delete: async ({ key }) => fs.rm(filePath(key), { force: true }),
+    ping: async () => {
+      await fs.mkdir(rootDir, { recursive: true });
+      await fs.access(rootDir, fs.constants.W_OK);
+    },
+  };
+};
+
+// Any S3-compatible object store (AWS S3, MinIO, R2, ...). The AWS SDK is loaded on first
+// use so deployments on other providers do not need it installed.
+const createS3Provider = ({ s3 }) => {
+  let clientPromise = null;
+  const loadClient = () => {
+    clientPromise ||= import('@aws-sdk/client-s3')
+      .catch(() => {
+        throw new Error('The s3 storage provider needs the @aws-sdk/client-s3 package');
+      })
+      .then((sdk) => ({
+        sdk,
+        client: new sdk.S3Client({
+          region: s3.region,
+          endpoint: s3.endpoint || undefined,
+          forcePathStyle: s3.forcePathStyle,
+          credentials: s3.accessKeyId
+            ? { accessKeyId: s3.accessKeyId, secretAccessKey: s3.secretAccessKey }
+            : undefined, // Fall back to the SDK's default credential chain
+        }),
+      }));
+    return clientPromise;
+  };
+
+  const objectUrl = (key) => {
+    if (s3.publicBaseUrl) return `${s3.publicBaseUrl.replace(/\/+$/, '')}/${key}`;
+    if (s3.endpoint) return `${s3.endpoint.replace(/\/+$/, '')}/${s3.bucket}/${key}`;
+    return `https://${s3.bucket}.s3.${s3.region}.amazonaws.com/${key}`;
+  };
+
+  return {
+    name: 's3',
+    upload: async (object) => {
+      const { sdk, client } = await loadClient();
+      const key = objectKey(object);
+      await client.send(new sdk.PutObjectCommand({
+        Bucket: s3.bucket,
+        Key: key,
+        Body: object.buffer,
+        ContentType: object.mimeType,
+      }));
+      return { key, url: objectUrl(key) };
+    },
+    // Read through the API rather than the URL so private buckets work
+    fetch: async ({ key }) => {
+      const { sdk, client } = await loadClient();
+      const result = await client.send(new sdk.GetObjectCommand({ Bucket: s3.bucket, Key: key }));
+      return Buffer.from(await result.Body.transformToByteArray());
+    },
+    delete: async ({ key }) => {
+      const { sdk, client } = await loadClient();
+      await client.send(new sdk.DeleteObjectCommand({ Bucket: s3.bucket, Key: key }));
+    },
+    ping: async () => {
+      const { sdk, client } = await loadClient();
+      await client.send(new sdk.HeadBucketCommand({ Bucket: s3.bucket }));
+    },
+  };
+};
+
+// Cloudinary names the object itself from folder + public_id
+const createCloudinaryProvider = ({ cloudinary: credentials }) => {
+  cloudinary.config(credentials);
+
+  // Audio and video files both use the 'video' resource type in Cloudinary
+  const resourceType = (kind) => (kind === 'image' ? 'image' : 'video');
+
+  return {
+    name: 'cloudinary',
+    upload: async ({ buffer, folder, name, kind }) => {
+      const result = await new Promise((resolve, reject) => {
+        cloudinary.uploader.upload_stream(
+          {
+            folder,
+            resource_type: resourceType(kind),
+            public_id: `${name}_${Date.now()}`,
+          },
+          (error, uploaded) => {
+            if (error) reject(error);
+            else resolve(uploaded);
+          }
+        ).end(buffer);
+      });
+      return { key: result.public_id, url: result.secure_url, duration: result.duration };
+    },
+    fetch: async ({ url }) => downloadUrl(url),
+    delete: async ({ key, kind }) => {
+      await cloudinary.uploader.destroy(key, { resource_type: resourceType(kind) });
+    },
+    ping: async () => {
+      await cloudinary.api.ping();
+    },
+  };
+};
+
+const providerFactories = new Map([
+  ['local', createLocalProvider],
+  ['s3', createS3Provider],
+  ['cloudinary', createCloudinaryProvider],
+]);
+
+// Register an additional provider factory: (storageConfig) => provider
+export const registerStorageProvider = (name, factory) => {
+  providerFactories.set(name, factory);
+};
+
+// Create the media store configured in config.storage
+export const createMediaStorage = (storageConfig) => {
+  const factory = providerFactories.get(storageConfig.provider);
+  if (!factory) {
+    throw new Error(`Unknown storage provider: ${storageConfig.provider}`);
+  }
+  const provider = factory(storageConfig);
+
+  return {
+    name: provider.name,
+    // Directory to serve at config.storage.local.mountPath, for providers that store on local disk
+    localDir: provider.rootDir || null,
+    // Returns { provider, key, url, duration }
+    upload: async (object) => {
+      try {
+        const stored = await provider.upload(object);
+        return { ...stored, provider: provider.name, duration: stored.duration ?? null };
+      } catch (error) {
+        safeLog.error(`[Storage] Failed to upload to ${provider.name}`, error);
+        throw error;
+      }
+    },
+    // `stored` is { provider, key, url } as recorded at upload. Objects left behind by a
+    // previously configured provider are read from their URL.
+    fetch: async (stored) => {
+      if (stored.provider && stored.provider !== provider.name) {
+        return downloadUrl(stored.url);
+      }
+      return provider.fetch(stored);
+    },
+    delete: async (stored) => {
+      if (stored.provider && stored.provider !== provider.name) {
+        throw new Error(`Cannot delete an object stored with ${stored.provider}`);
+      }
+      await provider.delete(stored);
+    },
+    // Returns { provider, status, error? } for the health check
+    checkHealth: async () => {
+      try {
+        await provider.ping();
+        return { provider: provider.name, status: 'healthy' };
+      } catch (error) {
+        return { provider: provider.name, status: 'unhealthy', error: error.message };
+      }
+    },
+  };
+};
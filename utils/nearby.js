@@ -0,0 +1,115 @@
+// Nearby user search backed by the 2dsphere index on User.currentLocation.point
+
+import mongoose from 'mongoose';
+import { DEFAULT_RESPONDER_DISTANCE_KM, User } from '../models/User.js';
+import { formatLocation, toGeoPoint } from './geo.js';
+
+// True while a responder's quiet hours are in effect. Times are compared as HH:mm strings
+// in the responder's own time zone; a window like 22:00-07:00 wraps past midnight.
+const inQuietHoursExpr = (now) => {
+  const quietHours = '$responderProfile.quietHours';
+  const time = {
+    $dateToString: {
+      date: now,
+      format: '%H:%M',
+      timezone: { $ifNull: [`${quietHours}.timeZone`, 'UTC'] },
+    },
+  };
+  const start = `${quietHours}.start`;
+  const end = `${quietHours}.end`;
+  return {
+    $and: [
+      { $eq: [`${quietHours}.enabled`, true] },
+      {
+        $cond: [
+          { $lte: [start, end] },
+          { $and: [{ $gte: [time, start] }, { $lt: [time, end] }] },
+          { $or: [{ $gte: [time, start] }, { $lt: [time, end] }] },
+        ],
+      },
+    ],
+  };
+};
+
+// Only responders who opted in, are within their own max distance and are outside
+// their quiet hours - verified volunteers first, then by distance
+const responderStages = () => [
+  {
+    $match: {
+      $expr: {
+        $and: [
+          {
+            $lte: [
+              '$distanceMeters',
+              { $multiply: [{ $ifNull: ['$responderProfile.maxDistanceKm', DEFAULT_RESPONDER_DISTANCE_KM] }, 1000] },
+            ],
+          },
+          { $not: [inQuietHoursExpr(new Date())] },
+        ],
+      },
+    },
+  },
+  { $addFields: { isVerifiedVolunteer: { $eq: ['$responderProfile.volunteer.status', 'verified'] } } },
+  { $sort: { isVerifiedVolunteer: -1, distanceMeters: 1 } },
+];
+
+// Users within radiusKm of a point, closest first. Users whose last fix is older than
+// staleAfterMinutes are skipped - an hours-old location says nothing about who is nearby now.
+// With respondersOnly, the search honours each user's responder profile (see responderStages).
+export const findNearbyUsers = async ({
+  latitude,
+  longitude,
+  radiusKm,
+  excludeUserId,
+  excludeUserIds = [],
+  staleAfterMinutes,
+  respondersOnly = false,
+  limit = 100,
+}) => {
+  const query = { isAppEnabled: true };
+  if (respondersOnly) {
+    query['responderProfile.optedIn'] = true;
+  }
+  const excluded = excludeUserId ? [excludeUserId, ...excludeUserIds] : excludeUserIds;
+  if (excluded.length > 0) {
+    query._id = { $nin: excluded.map((id) => new mongoose.Types.ObjectId(id.toString())) };
+  }
+  if (staleAfterMinutes) {
+    query['currentLocation.timestamp'] = { $gte: new Date(Date.now() - staleAfterMinutes * 60 * 1000) };
+  }
+
+  const users = await User.aggregate([
+    {
+      $geoNear: {
+        near: toGeoPoint(latitude, longitude),
+        key: 'currentLocation.point',
+        distanceField: 'distanceMeters',
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+        query,
+      },
+    },
+    ...(respondersOnly ? responderStages() : []),
+    { $limit: limit },
+    {
+      $project: {
+        name: 1,
+        accountId: 1,
+        currentLocation: 1,
+        distanceMeters: 1,
+        isVerifiedVolunteer: 1,
+        'responderProfile.volunteer.qualification': 1,
+      },
+    },
+  ]);
+
+  return users.map((user) => ({
+    userId: user._id.toString(),
+    name: user.name,
+    accountId: user.accountId,
+    distance: user.distanceMeters / 1000, // km
+    location: formatLocation(user.currentLocation),
+    verifiedVolunteer: user.isVerifiedVolunteer || false,
+    qualification: user.isVerifiedVolunteer ? user.responderProfile?.volunteer?.qualification || null : null,
+  }));
+};
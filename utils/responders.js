@@ -0,0 +1,172 @@
+// Responses from nearby users to an SOS: acknowledge, on my way (with live ETA/location) or decline
+
+import mongoose from 'mongoose';
+import { CLOSED_INCIDENT_STATUSES, Incident, MAX_RESPONDER_ACTIONS, RESPONDER_STATUSES } from '../models/Incident.js';
+import { calculateDistance } from './geo.js';
+import { emitToGuardians } from './guardians.js';
+import { validateCoordinates } from './helpers.js';
+import { publishIncidentItem, timelineItems } from './incidentTimeline.js';
+import { safeLog } from './logger.js';
+
+// Aggregated view of who is responding, sent to the person in distress and their guardians
+export const buildResponderRoster = (incident) => {
+  const counts = Object.fromEntries(RESPONDER_STATUSES.map((status) => [status, 0]));
+  incident.responders.forEach((responder) => { counts[responder.status] += 1; });
+
+  const responders = incident.responders
+    .filter((responder) => responder.status !== 'declined')
+    .map((responder) => ({
+      userId: responder.userId.toString(),
+      name: responder.name,
+      verifiedVolunteer: responder.verifiedVolunteer || false,
+      status: responder.status,
+      etaMinutes: responder.status === 'on_my_way' ? responder.etaMinutes ?? null : null,
+      location: responder.status === 'on_my_way' && responder.location?.latitude !== undefined
+        ? { latitude: responder.location.latitude, longitude: responder.location.longitude }
+        : null,
+      distanceKm: responder.status === 'on_my_way' && responder.location?.latitude !== undefined &&
+        incident.location?.latitude !== undefined
+        ? parseFloat(calculateDistance(
+          responder.location.latitude,
+          responder.location.longitude,
+          incident.location.latitude,
+          incident.location.longitude
+        ).toFixed(2))
+        : null,
+      respondedAt: responder.respondedAt,
+      updatedAt: responder.updatedAt,
+    }))
+    // Closest ETA first; acknowledgements without an ETA go last
+    .sort((a, b) => (a.etaMinutes ?? Infinity) - (b.etaMinutes ?? Infinity));
+
+  return {
+    incidentId: incident._id.toString(),
+    incidentStatus: incident.status,
+    counts,
+    responders,
+    updatedAt: new Date().toISOString(),
+  };
+};
+
+// Push the roster to the person in distress and their guardians
+export const publishResponderRoster = async (io, incident) => {
+  const roster = buildResponderRoster(incident);
+  if (incident.concealedFromSessionIds.length === 0) {
+    io.to(`user:${incident.userId}`).emit('sos-responders-updated', roster);
+  }
+  await emitToGuardians(io, incident.userId, 'sos', 'child-sos-responders-updated', {
+    ...roster,
+    childId: incident.userId.toString(),
+  });
+  return roster;
+};
+
+// Record a nearby user's response to an SOS and publish the new roster.
+// Returns { incident, roster } or { error, status }.
+export const respondToIncident = async (io, { incidentId, responder, status, etaMinutes, location }) => {
+  if (!RESPONDER_STATUSES.includes(status)) {
+    return { error: 'Invalid response', status: 400 };
+  }
+  if (!mongoose.isValidObjectId(incidentId)) {
+    return { error: 'Invalid incident ID format', status: 400 };
+  }
+  if (etaMinutes !== undefined && etaMinutes !== null &&
+    !(Number.isFinite(etaMinutes) && etaMinutes >= 0 && etaMinutes <= 600)) {
+    return { error: 'ETA must be between 0 and 600 minutes', status: 400 };
+  }
+  if (location && !validateCoordinates(location.latitude, location.longitude)) {
+    return { error: 'Invalid coordinates', status: 400 };
+  }
+
+  const onTheWay = status === 'on_my_way';
+  const now = new Date();
+  const entry = {
+    userId: responder._id,
+    name: responder.name,
+    verifiedVolunteer: responder.responderProfile?.volunteer?.status === 'verified',
+    status,
+    etaMinutes: onTheWay && etaMinutes !== undefined ? etaMinutes : undefined,
+    location: onTheWay && location ? { latitude: location.latitude, longitude: location.longitude } : undefined,
+    updatedAt: now,
+  };
+
+  // Only users the SOS was sent to may respond, and only while it is still open
+  const responsive = {
+    _id: incidentId,
+    'alertedUsers.userId': responder._id,
+    status: { $nin: CLOSED_INCIDENT_STATUSES },
+  };
+
+  // Update an existing response in place (keeping when they first responded)...
+  const set = Object.fromEntries(Object.entries(entry)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => [`responders.$[entry].${key}`, value]));
+  const unset = {};
+  if (!onTheWay) {
+    unset['responders.$[entry].etaMinutes'] = '';
+    unset['responders.$[entry].location'] = '';
+  }
+  const action = {
+    $push: {
+      responderActions: {
+        $each: [{ userId: responder._id, name: responder.name, status, etaMinutes: entry.etaMinutes, at: now }],
+        $slice: -MAX_RESPONDER_ACTIONS,
+      },
+    },
+  };
+  let incident = await Incident.findOneAndUpdate(
+    { ...responsive, 'responders.userId': responder._id },
+    { $set: set, ...(Object.keys(unset).length > 0 ? { $unset: unset } : {}), ...action },
+    { new: true, arrayFilters: [{ 'entry.userId': responder._id }] }
+  );
+
+  // ...or add it
+  if (!incident) {
+    incident = await Incident.findOneAndUpdate(
+      { ...responsive, 'responders.userId': { $ne: responder._id } },
+      { $push: { responders: { ...entry, respondedAt: now }, ...action.$push } },
+      { new: true }
+    );
+  }
+
+  if (!incident) {
+    return { error: 'SOS alert not found or no longer active', status: 404 };
+  }
+
+  publishIncidentItem(io, incident._id, timelineItems.responder(incident.responderActions.at(-1)));
+  safeLog.info('[Responders] SOS response recorded', { incidentId, responderId: responder._id, status });
+  const roster = await publishResponderRoster(io, incident);
+  return { incident, roster };
+};
+
+// Socket events for responding without a REST round trip. Every handler replies
+// through the optional acknowledgement callback with { success, error? }.
+export const registerResponderHandlers = (io, socket, loadUser) => {
+  const handle = (status) => async (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      const responder = await loadUser();
+      if (!responder) {
+        return reply({ success: false, error: 'User not found' });
+      }
+      const result = await respondToIncident(io, {
+        incidentId: data.incidentId,
+        responder,
+        status,
+        etaMinutes: data.etaMinutes,
+        location: data.location,
+      });
+      if (result.error) {
+        return reply({ success: false, error: result.error });
+      }
+      return reply({ success: true, roster: result.roster });
+    } catch (err) {
+      safeLog.error('[Responders] Failed to record socket response', err);
+      return reply({ success: false, error: 'Failed to record response' });
+    }
+  };
+
+  socket.on('sos-acknowledge', handle('acknowledged'));
+  socket.on('sos-on-my-way', handle('on_my_way'));
+  socket.on('sos-decline', handle('declined'));
+};
@@ -0,0 +1,177 @@
+// Resumable evidence uploads: the phone opens a session with the file's size, sends chunks
+// at the session's current offset and, after a dropped connection, asks where to carry on.
+// Chunks are kept in MongoDB so they survive restarts and work across instances. Finalizing
+// assembles them and hands the file to the same path as a single-request upload.
+
+import { UploadChunk } from '../models/UploadChunk.js';
+import { UploadSession } from '../models/UploadSession.js';
+import { sha256 } from './custody.js';
+import { safeLog } from './logger.js';
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+// Uploads (including live streams) a user has open, which hold chunks in MongoDB. Streams that
+// keep failing to save do not count, so a storage outage cannot block the next SOS stream.
+export const countOpenUploads = (userId) =>
+  UploadSession.countDocuments({ userId, status: { $ne: 'completed' }, needsAttention: { $ne: true } });
+
+// Returns { session } or { error, status }
+export const createUploadSession = async (userId, { kind, mimeType, totalBytes, sha256: expectedSha256, metadata }, { sessionTtlHours, maxOpenSessions }) => {
+  if (await countOpenUploads(userId) >= maxOpenSessions) {
+    return { error: 'Too many uploads in progress; finish or cancel one first', status: 429 };
+  }
+
+  const session = await UploadSession.create({
+    userId,
+    kind,
+    mimeType,
+    totalBytes,
+    expectedSha256,
+    metadata,
+    expiresAt: hoursFromNow(sessionTtlHours),
+  });
+  return { session };
+};
+
+// Store one chunk at `offset`. Chunks must arrive in order. A chunk the server already has
+// (a retry after a lost response) is not stored again; the reply tells the client where to resume.
+// Returns { session } or { error, status }.
+export const appendUploadChunk = async (session, offset, data, { sessionTtlHours }) => {
+  if (session.status !== 'uploading') {
+    return { error: 'Upload is already finalized', status: 409 };
+  }
+  if (offset < session.receivedBytes) {
+    return { session };
+  }
+  if (offset > session.receivedBytes) {
+    return { error: `Expected a chunk at offset ${session.receivedBytes}`, status: 409 };
+  }
+  if (!session.live && offset + data.length > session.totalBytes) {
+    return { error: 'Chunk goes past the declared file size', status: 400 };
+  }
+
+  let length = data.length;
+  try {
+    await UploadChunk.create({ uploadId: session._id, offset, data });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    // Stored by an earlier request that did not get to move the offset; the stored chunk wins
+    const existing = await UploadChunk.findOne({ uploadId: session._id, offset }).select('data');
+    length = existing.data.length;
+  }
+
+  // Only one request can move the offset past this chunk
+  const updated = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'uploading', receivedBytes: offset },
+    { receivedBytes: offset + length, expiresAt: hoursFromNow(sessionTtlHours) },
+    { new: true }
+  );
+  return { session: updated || await UploadSession.findById(session._id) };
+};
+
+// Remove an upload and everything received for it
+export const discardUpload = async (uploadId) => {
+  await UploadChunk.deleteMany({ uploadId });
+  await UploadSession.deleteOne({ _id: uploadId });
+};
+
+// Copy an upload's chunks, read one at a time, into a single buffer of the upload's size.
+// Returns null if the chunks do not cover the file exactly.
+const assembleChunks = async (session) => {
+  const buffer = Buffer.alloc(session.totalBytes);
+  // A live stream's size is frozen when it ends; a chunk that raced past that is left out
+  const cursor = UploadChunk.find({ uploadId: session._id, offset: { $lt: session.totalBytes } })
+    .sort({ offset: 1 })
+    .cursor();
+
+  let expectedOffset = 0;
+  for await (const chunk of cursor) {
+    if (chunk.offset !== expectedOffset || chunk.offset + chunk.data.length > session.totalBytes) {
+      await cursor.close();
+      return null;
+    }
+    chunk.data.copy(buffer, chunk.offset);
+    expectedOffset += chunk.data.length;
+  }
+  return expectedOffset === session.totalBytes ? buffer : null;
+};
+
+// Assemble a fully received upload and pass it to `store(buffer, session)`, which returns
+// { data } or { error, status }. A finalize that was cut off can be retried: a completed
+// upload replays its result and one stuck in 'finalizing' is reclaimed after the timeout.
+// Returns { data } or { error, status }.
+export const finalizeUpload = async (session, store, { sessionTtlHours, finalizeTimeoutMinutes }) => {
+  if (session.status === 'completed') {
+    return { data: session.result };
+  }
+  if (session.receivedBytes < session.totalBytes) {
+    return { error: `Upload is incomplete: ${session.receivedBytes} of ${session.totalBytes} bytes received`, status: 409 };
+  }
+
+  const staleBefore = new Date(Date.now() - finalizeTimeoutMinutes * 60 * 1000);
+  const claimed = await UploadSession.findOneAndUpdate(
+    {
+      _id: session._id,
+      $or: [{ status: 'uploading' }, { status: 'finalizing', finalizingAt: { $lt: staleBefore } }],
+    },
+    { status: 'finalizing', finalizingAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) {
+    const current = await UploadSession.findById(session._id).lean();
+    return current?.status === 'completed'
+      ? { data: current.result }
+      : { error: 'Upload is already being finalized', status: 409 };
+  }
+
+  const release = () => UploadSession.updateOne(
+    { _id: session._id, status: 'finalizing' },
+    { status: 'uploading', finalizingAt: null }
+  );
+
+  // Received chunks are evidence, so they are kept even when something is wrong with them:
+  // a gap is left for the client to look into (the session expires as usual), and a file that
+  // does not match the client's hash is stored anyway with both hashes in its custody record
+  const buffer = await assembleChunks(claimed);
+  if (!buffer) {
+    await release();
+    return { error: 'Upload data has a gap; the received chunks have been kept', status: 422 };
+  }
+  const hashMismatch = Boolean(claimed.expectedSha256) && sha256(buffer) !== claimed.expectedSha256;
+  if (hashMismatch) {
+    safeLog.warn('[Uploads] File does not match the SHA-256 the client declared', { uploadId: session._id.toString() });
+  }
+
+  let stored;
+  try {
+    stored = await store(buffer, claimed);
+  } catch (err) {
+    await release();
+    throw err;
+  }
+  if (stored.error) {
+    await release();
+    return stored;
+  }
+
+  const data = hashMismatch ? { ...stored.data, hashMismatch: true } : stored.data;
+
+  // The result is kept until the session expires so a retried finalize gets the same answer
+  await UploadSession.updateOne(
+    { _id: session._id },
+    { status: 'completed', result: data, finalizingAt: null, expiresAt: hoursFromNow(sessionTtlHours) }
+  );
+  await UploadChunk.deleteMany({ uploadId: session._id });
+  return { data };
+};
+
+// API representation of an upload session
+export const formatUploadSession = (session) => ({
+  uploadId: session._id.toString(),
+  kind: session.kind,
+  mimeType: session.mimeType || null,
+  totalBytes: session.totalBytes,
+  receivedBytes: session.receivedBytes,
+  status: session.status,
+  expiresAt: session.expiresAt,
+});
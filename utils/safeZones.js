@@ -0,0 +1,128 @@
+// Safe zone evaluation: geometry, hysteresis and enter/exit events
+
+import { SafeZone } from '../models/SafeZone.js';
+import { ZoneEvent } from '../models/ZoneEvent.js';
+import { calculateDistance, pointToSegmentDistance } from './geo.js';
+import { emitToGuardians } from './guardians.js';
+import { safeLog } from './logger.js';
+
+// Consecutive fixes needed to confirm a transition
+const CONFIRMING_FIXES = 2;
+// Fixes less accurate than this are too vague to flip a zone state
+const MAX_FIX_ACCURACY_METERS = 100;
+
+// Ray casting point-in-polygon test (polygon as [[lat, lng], ...])
+const isInsidePolygon = (lat, lng, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+    const crosses = (latI > lat) !== (latJ > lat) &&
+      lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+// Distance in meters from a point to the zone boundary: negative inside, positive outside
+export const signedDistanceToZone = (zone, lat, lng) => {
+  if (zone.shape === 'circle') {
+    const distance = calculateDistance(lat, lng, zone.center.latitude, zone.center.longitude) * 1000;
+    return distance - zone.radiusMeters;
+  }
+
+  const polygon = zone.polygon;
+  let minDistance = Infinity;
+  for (let i = 0; i < polygon.length; i++) {
+    const next = polygon[(i + 1) % polygon.length];
+    minDistance = Math.min(minDistance, pointToSegmentDistance([lat, lng], polygon[i], next) * 1000);
+  }
+  return isInsidePolygon(lat, lng, polygon) ? -minDistance : minDistance;
+};
+
+// Work out the next state of a zone for a fix. Returns { state, transition } where
+// transition is 'entered' / 'exited' / null. A transition needs the fix to be clearly
+// past the hysteresis band and confirmed by CONFIRMING_FIXES consecutive fixes.
+export const nextZoneState = (zone, lat, lng) => {
+  const distance = signedDistanceToZone(zone, lat, lng);
+  const band = zone.hysteresisMeters || 0;
+  const current = zone.state || {};
+
+  let observedInside = null;
+  if (distance < -band) observedInside = true;
+  else if (distance > band) observedInside = false;
+
+  // First fix for a zone just establishes where the child is
+  if (current.inside === null || current.inside === undefined) {
+    if (observedInside === null) {
+      return { state: current, transition: null };
+    }
+    return {
+      state: { inside: observedInside, changedAt: new Date(), pendingInside: null, pendingCount: 0 },
+      transition: null,
+    };
+  }
+
+  // Inside the band or agreeing with the current state - drop any pending transition
+  if (observedInside === null || observedInside === current.inside) {
+    return {
+      state: { inside: current.inside, changedAt: current.changedAt, pendingInside: null, pendingCount: 0 },
+      transition: null,
+    };
+  }
+
+  const pendingCount = current.pendingInside === observedInside ? (current.pendingCount || 0) + 1 : 1;
+  if (pendingCount < CONFIRMING_FIXES) {
+    return {
+      state: { inside: current.inside, changedAt: current.changedAt, pendingInside: observedInside, pendingCount },
+      transition: null,
+    };
+  }
+
+  return {
+    state: { inside: observedInside, changedAt: new Date(), pendingInside: null, pendingCount: 0 },
+    transition: observedInside ? 'entered' : 'exited',
+  };
+};
+
+// Evaluate a child's location fix against all of their active zones
+export const evaluateSafeZones = async (io, child, fix) => {
+  if (typeof fix.accuracy === 'number' && fix.accuracy > MAX_FIX_ACCURACY_METERS) {
+    return [];
+  }
+
+  const zones = await SafeZone.find({ childId: child._id, isActive: true });
+  const events = [];
+
+  for (const zone of zones) {
+    const { state, transition } = nextZoneState(zone, fix.latitude, fix.longitude);
+    zone.state = state;
+    await zone.save();
+
+    if (!transition) continue;
+
+    const event = await ZoneEvent.create({
+      zoneId: zone._id,
+      childId: child._id,
+      zoneName: zone.name,
+      type: transition,
+      location: { latitude: fix.latitude, longitude: fix.longitude },
+      timestamp: fix.timestamp || new Date(),
+    });
+    events.push(event);
+
+    await emitToGuardians(io, child._id, 'liveLocation', `child-zone-${transition}`, {
+      childId: child._id.toString(),
+      childName: child.name,
+      zoneId: zone._id.toString(),
+      zoneName: zone.name,
+      eventId: event._id.toString(),
+      location: event.location,
+      timestamp: event.timestamp,
+    });
+
+    safeLog.info(`[SafeZones] Child ${transition} zone`, { userId: child._id, zone: zone.name });
+  }
+
+  return events;
+};
@@ -0,0 +1,134 @@
+// Session helpers: refresh token generation, rotation and revocation
+
+import crypto from 'crypto';
+import { Session } from '../models/Session.js';
+import { safeLog } from './logger.js';
+
+// Refresh tokens are "<sessionId>.<random secret>" so the session can be looked up
+// without storing the token itself - only its SHA-256 hash is persisted
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export const generateRefreshToken = (sessionId) => {
+  const token = `${sessionId}.${crypto.randomBytes(48).toString('base64url')}`;
+  return { token, hash: hashToken(token) };
+};
+
+export const parseRefreshToken = (token) => {
+  if (typeof token !== 'string') return null;
+  const [sessionId, secret] = token.split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+  return { sessionId };
+};
+
+// Socket.IO room every socket authenticated with a given session joins
+export const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// Create a new session for a user (replacing any existing session for the same device)
+export const openSession = async (user, req, ttlDays, io) => {
+  const { deviceId, deviceName, platform } = req.body || {};
+
+  if (deviceId) {
+    const previous = await Session.find({ userId: user._id, deviceId, revokedAt: null }).select('_id');
+    if (previous.length > 0) {
+      await revokeSessions(io, previous.map((s) => s._id), 'replaced');
+    }
+  }
+
+  const session = new Session({
+    userId: user._id,
+    deviceId: deviceId || undefined,
+    deviceName: deviceName || undefined,
+    platform: platform || undefined,
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip,
+    expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+  });
+  const { token, hash } = generateRefreshToken(session._id.toString());
+  session.refreshTokenHash = hash;
+  await session.save();
+
+  return { session, refreshToken: token };
+};
+
+// Rotate a refresh token. Returns { session, refreshToken } or { error }.
+// Presenting an already-rotated token means it was copied - the whole session is revoked.
+export const rotateRefreshToken = async (refreshToken, ttlDays, io) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || !session.isActive()) {
+    return { error: 'Session expired or revoked' };
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  if (presentedHash !== session.refreshTokenHash) {
+    if (presentedHash === session.previousRefreshTokenHash) {
+      safeLog.warn('[Sessions] Refresh token reuse detected, revoking session', { userId: session.userId });
+      await revokeSessions(io, [session._id], 'refresh_token_reuse');
+    }
+    return { error: 'Invalid refresh token' };
+  }
+
+  const { token, hash } = generateRefreshToken(session._id.toString());
+  // Conditional update so two concurrent refreshes cannot both rotate the same token
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      refreshTokenHash: hash,
+      previousRefreshTokenHash: presentedHash,
+      lastUsedAt: new Date(),
+      expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  return { session: rotated, refreshToken: token };
+};
+
+// Revoke sessions by ID and drop any live sockets bound to them
+export const revokeSessions = async (io, sessionIds, reason) => {
+  if (!sessionIds || sessionIds.length === 0) return 0;
+
+  const result = await Session.updateMany(
+    { _id: { $in: sessionIds }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  if (io) {
+    sessionIds.forEach((id) => {
+      io.in(sessionRoom(id.toString())).disconnectSockets(true);
+    });
+  }
+
+  return result.modifiedCount;
+};
+
+// Revoke every active session of a user, optionally keeping one (e.g. the caller's)
+export const revokeUserSessions = async (io, userId, reason, exceptSessionId = null) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  const sessions = await Session.find(filter).select('_id');
+  return revokeSessions(io, sessions.map((s) => s._id), reason);
+};
+
+// Public representation of a session for the session list
+export const describeSession = (session, currentSessionId) => ({
+  id: session._id.toString(),
+  deviceId: session.deviceId || null,
+  deviceName: session.deviceName || null,
+  platform: session.platform || null,
+  userAgent: session.userAgent || null,
+  ipAddress: session.ipAddress || null,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: currentSessionId ? session._id.toString() === currentSessionId.toString() : false,
+});
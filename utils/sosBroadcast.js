@@ -0,0 +1,141 @@
+// Adaptive SOS broadcast: page nearby users in expanding rings until enough of them respond.
+// The first ring is paged by /api/emergency/sos-broadcast, later ones by jobs/sosRingMonitor.js.
+
+import { config } from '../config/index.js';
+import { Incident } from '../models/Incident.js';
+import { emitToGuardians } from './guardians.js';
+import { safeLog } from './logger.js';
+import { findNearbyUsers } from './nearby.js';
+
+const { ringRadiiKm, ringIntervalSeconds, targetAcknowledgements } = config.sosBroadcast;
+
+export const ringCount = ringRadiiKm.length;
+
+// Radius of a ring (1-based)
+export const ringRadiusKm = (ring) => ringRadiiKm[Math.min(ring, ringCount) - 1];
+
+// Responders who acknowledged or are on their way
+export const countAcknowledgements = (incident) => incident.responders
+  .filter((responder) => responder.status !== 'declined')
+  .length;
+
+export const targetReached = (incident) => countAcknowledgements(incident) >= targetAcknowledgements;
+
+// The SOS payload sent to nearby users (without the per-recipient distance)
+const buildAlertData = (incident, owner, ring) => ({
+  alertId: incident._id.toString(),
+  incidentId: incident._id.toString(),
+  userId: owner._id.toString(),
+  userName: owner.name,
+  accountId: owner.accountId,
+  location: {
+    latitude: incident.broadcast.center.latitude,
+    longitude: incident.broadcast.center.longitude,
+    address: incident.broadcast.center.address || null,
+  },
+  ring,
+  radiusKm: ringRadiusKm(ring),
+  timestamp: new Date().toISOString(),
+});
+
+// Page everyone inside a ring who has not been paged yet.
+// `center` moves the broadcast to a new location first; `advance` records the ring as
+// reached and schedules the next one (a repeated SOS press re-pages without advancing).
+// Returns { incident, alertData, recipients }.
+export const pageSosRing = async (io, incident, owner, ring, { center, advance = true } = {}) => {
+  const radiusKm = ringRadiusKm(ring);
+  const origin = center || incident.broadcast.center;
+  const alreadyAlerted = incident.alertedUsers.map(({ userId }) => userId);
+  const remaining = config.nearby.maxSosRecipients - alreadyAlerted.length;
+
+  const recipients = remaining > 0
+    ? await findNearbyUsers({
+      latitude: origin.latitude,
+      longitude: origin.longitude,
+      radiusKm,
+      excludeUserIds: [owner._id, ...alreadyAlerted],
+      staleAfterMinutes: config.nearby.staleLocationMinutes,
+      respondersOnly: true,
+      limit: remaining,
+    })
+    : [];
+
+  const now = new Date();
+  const set = {};
+  if (center) {
+    set['broadcast.center'] = center;
+  }
+  if (advance) {
+    const isLastRing = ring >= ringCount;
+    set['broadcast.ring'] = ring;
+    set['broadcast.radiusKm'] = radiusKm;
+    set['broadcast.nextRingAt'] = isLastRing ? null : new Date(now.getTime() + ringIntervalSeconds * 1000);
+    if (ring === 1) {
+      set['broadcast.startedAt'] = now;
+    }
+    if (isLastRing) {
+      set['broadcast.completedAt'] = now;
+      set['broadcast.completedReason'] = 'max_radius';
+    }
+  }
+
+  const updated = await Incident.findByIdAndUpdate(
+    incident._id,
+    {
+      ...(Object.keys(set).length > 0 ? { $set: set } : {}),
+      $push: {
+        'broadcast.pages': { ring, radiusKm, recipientCount: recipients.length, at: now },
+        alertedUsers: {
+          $each: recipients.map((recipient) => ({
+            userId: recipient.userId,
+            ring,
+            radiusKm,
+            distanceKm: parseFloat(recipient.distance.toFixed(2)),
+            alertedAt: now,
+          })),
+        },
+      },
+      $inc: { nearbyUsersNotified: recipients.length },
+    },
+    { new: true }
+  );
+
+  const alertData = buildAlertData(updated, owner, ring);
+  recipients.forEach((recipient) => {
+    io.to(`user:${recipient.userId}`).emit('nearby-sos-alert', {
+      ...alertData,
+      distance: parseFloat(recipient.distance.toFixed(2)),
+    });
+  });
+
+  safeLog.info('[SOS] Ring paged', { incidentId: incident._id, ring, radiusKm, notifiedCount: recipients.length });
+  return { incident: updated, alertData, recipients };
+};
+
+// Broadcast state as reported to the person in distress and their guardians
+export const formatBroadcast = (incident) => ({
+  ring: incident.broadcast?.ring || 0,
+  ringCount,
+  radiusKm: incident.broadcast?.radiusKm ?? null,
+  nextRingAt: incident.broadcast?.nextRingAt || null,
+  completedAt: incident.broadcast?.completedAt || null,
+  completedReason: incident.broadcast?.completedReason || null,
+  alertedCount: incident.alertedUsers.length,
+  acknowledgements: countAcknowledgements(incident),
+  targetAcknowledgements,
+});
+
+// Tell the user (unless the incident is concealed) and their guardians how far the broadcast has reached
+export const notifyBroadcastProgress = async (io, incident, owner) => {
+  const payload = {
+    incidentId: incident._id.toString(),
+    childId: owner._id.toString(),
+    childName: owner.name,
+    broadcast: formatBroadcast(incident),
+    timestamp: new Date().toISOString(),
+  };
+  if (incident.concealedFromSessionIds.length === 0) {
+    io.to(`user:${owner._id}`).emit('sos-broadcast-updated', payload);
+  }
+  await emitToGuardians(io, owner._id, 'sos', 'child-sos-broadcast-updated', payload);
+};
@@ -0,0 +1,212 @@
+// GPX / KML / GeoJSON: route import and streaming track export
+
+import { once } from 'events';
+
+export const EXPORT_FORMATS = ['gpx', 'kml', 'geojson'];
+export const IMPORT_FORMATS = ['gpx', 'geojson'];
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const isoTime = (value) => (value ? new Date(value).toISOString() : null);
+
+// ---------------------------------------------------------------------------
+// Import
+// ---------------------------------------------------------------------------
+
+// Read lat/lon attributes from every <tag ...> element, in document order
+const gpxPoints = (xml, tag) => {
+  const points = [];
+  const elementPattern = new RegExp(`<${tag}\\b([^>]*)>`, 'g');
+  let match;
+  while ((match = elementPattern.exec(xml)) !== null) {
+    const attrs = match[1];
+    const lat = /\blat\s*=\s*["']([^"']+)["']/.exec(attrs);
+    const lon = /\blon\s*=\s*["']([^"']+)["']/.exec(attrs);
+    if (lat && lon) {
+      points.push([parseFloat(lat[1]), parseFloat(lon[1])]);
+    }
+  }
+  return points;
+};
+
+// A planned route (<rte>) is preferred, then a recorded track, then bare waypoints
+const parseGpx = (xml) => {
+  for (const tag of ['rtept', 'trkpt', 'wpt']) {
+    const points = gpxPoints(xml, tag);
+    if (points.length > 0) return points;
+  }
+  throw new Error('GPX file contains no route, track or waypoints');
+};
+
+// Nested Features/collections deeper than this are not searched
+const MAX_GEOJSON_DEPTH = 8;
+
+// First LineString (or MultiLineString, joined) in a GeoJSON object
+const findLineCoordinates = (geojson, depth = 0) => {
+  if (!geojson || typeof geojson !== 'object' || depth > MAX_GEOJSON_DEPTH) return null;
+  const search = (children) => {
+    if (!Array.isArray(children)) return null;
+    for (const child of children) {
+      const coords = findLineCoordinates(child, depth + 1);
+      if (coords) return coords;
+    }
+    return null;
+  };
+  switch (geojson.type) {
+    case 'LineString':
+      return Array.isArray(geojson.coordinates) ? geojson.coordinates : null;
+    case 'MultiLineString':
+      if (!Array.isArray(geojson.coordinates) || !geojson.coordinates.every(Array.isArray)) return null;
+      return geojson.coordinates.flat();
+    case 'Feature':
+      return findLineCoordinates(geojson.geometry, depth + 1);
+    case 'FeatureCollection':
+      return search(geojson.features);
+    case 'GeometryCollection':
+      return search(geojson.geometries);
+    default:
+      return null;
+  }
+};
+
+const parseGeoJson = (content) => {
+  let geojson;
+  try {
+    geojson = typeof content === 'string' ? JSON.parse(content) : content;
+  } catch (err) {
+    throw new Error('GeoJSON file is not valid JSON');
+  }
+  const coords = findLineCoordinates(geojson);
+  if (!Array.isArray(coords) || coords.length === 0) {
+    throw new Error('GeoJSON contains no LineString');
+  }
+  // GeoJSON positions are [lng, lat, (elevation)]
+  return coords.map((position) => (Array.isArray(position) ? [position[1], position[0]] : [undefined, undefined]));
+};
+
+// Work out the format from the content when it is not given
+export const detectRouteFormat = (content) => {
+  if (typeof content !== 'string') return 'geojson';
+  const start = content.trimStart();
+  if (start.startsWith('<')) return 'gpx';
+  if (start.startsWith('{')) return 'geojson';
+  return null;
+};
+
+// Parse a GPX or GeoJSON route to [[lat, lng], ...]. Throws with a user-facing message.
+// Coordinates are not validated here.
+export const parseRouteFile = (content, format = detectRouteFormat(content)) => {
+  if (format === 'gpx') return parseGpx(String(content));
+  if (format === 'geojson') return parseGeoJson(content);
+  throw new Error('Route file must be GPX or GeoJSON');
+};
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+// Each writer turns a track into text pieces so long tracks can be streamed.
+// Points are { latitude, longitude, timestamp }; plannedRoute is [[lat, lng], ...].
+const writers = {
+  gpx: () => ({
+    contentType: 'application/gpx+xml',
+    begin: ({ name, plannedRoute }) => {
+      let text = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<gpx version="1.1" creator="women-safety-backend" xmlns="http://www.topografix.com/GPX/1/1">\n' +
+        `<metadata><name>${escapeXml(name)}</name><time>${new Date().toISOString()}</time></metadata>\n`;
+      if (plannedRoute.length > 0) {
+        text += '<rte><name>Planned route</name>\n' +
+          plannedRoute.map(([lat, lng]) => `<rtept lat="${lat}" lon="${lng}"/>\n`).join('') +
+          '</rte>\n';
+      }
+      return `${text}<trk><name>${escapeXml(name)}</name><trkseg>\n`;
+    },
+    point: ({ latitude, longitude, timestamp }) => {
+      const time = isoTime(timestamp);
+      return `<trkpt lat="${latitude}" lon="${longitude}">${time ? `<time>${time}</time>` : ''}</trkpt>\n`;
+    },
+    end: () => '</trkseg></trk>\n</gpx>\n',
+  }),
+
+  kml: () => ({
+    contentType: 'application/vnd.google-earth.kml+xml',
+    begin: ({ name, plannedRoute }) => {
+      let text = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>\n' +
+        `<name>${escapeXml(name)}</name>\n`;
+      if (plannedRoute.length > 0) {
+        text += '<Placemark><name>Planned route</name><LineString><coordinates>\n' +
+          plannedRoute.map(([lat, lng]) => `${lng},${lat},0\n`).join('') +
+          '</coordinates></LineString></Placemark>\n';
+      }
+      return `${text}<Placemark><name>${escapeXml(name)}</name><LineString><tessellate>1</tessellate><coordinates>\n`;
+    },
+    point: ({ latitude, longitude }) => `${longitude},${latitude},0\n`,
+    end: () => '</coordinates></LineString></Placemark>\n</Document></kml>\n',
+  }),
+
+  // Per-point times go into properties.coordTimes (the common GeoJSON convention).
+  // They come after the coordinates, so they are written from a second pass over the points.
+  geojson: () => ({
+    contentType: 'application/geo+json',
+    begin: ({ name, plannedRoute }) => {
+      let text = '{"type":"FeatureCollection","features":[';
+      if (plannedRoute.length > 0) {
+        text += JSON.stringify({
+          type: 'Feature',
+          properties: { name: 'Planned route' },
+          geometry: { type: 'LineString', coordinates: plannedRoute.map(([lat, lng]) => [lng, lat]) },
+        }) + ',';
+      }
+      return `${text}{"type":"Feature","geometry":{"type":"LineString","coordinates":[`;
+    },
+    point: ({ latitude, longitude }, index) => `${index > 0 ? ',' : ''}[${longitude},${latitude}]`,
+    between: ({ name }) => `]},"properties":{"name":${JSON.stringify(name)},"coordTimes":[`,
+    time: ({ timestamp }, index) => `${index > 0 ? ',' : ''}${JSON.stringify(isoTime(timestamp))}`,
+    end: () => ']}}]}\n',
+  }),
+};
+
+// Write text to the response, waiting for the socket to drain when its buffer is full
+const write = async (res, text) => {
+  if (!res.write(text)) {
+    await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  }
+};
+
+// Write one piece per point; false if the client went away part way through
+const writeEach = async (res, points, piece) => {
+  let index = 0;
+  for await (const point of points) {
+    // Stop reading once the client has gone away
+    if (res.destroyed) return false;
+    await write(res, piece(point, index++));
+  }
+  return true;
+};
+
+// Stream a track in `format` to an Express response.
+// `points` returns a fresh (async) iterable, e.g. a Mongoose cursor, each time it is
+// called; formats with per-point times after the coordinates read it twice.
+export const streamTrackExport = async (res, format, { name, filename, plannedRoute = [], points }) => {
+  const writer = writers[format]();
+
+  res.set({
+    'Content-Type': `${writer.contentType}; charset=utf-8`,
+    'Content-Disposition': `attachment; filename="${filename}.${format}"`,
+    'Cache-Control': 'no-store',
+  });
+
+  await write(res, writer.begin({ name, plannedRoute }));
+  if (!await writeEach(res, points(), writer.point)) return;
+  if (writer.time) {
+    await write(res, writer.between({ name }));
+    if (!await writeEach(res, points(), writer.time)) return;
+  }
+  res.end(writer.end());
+};
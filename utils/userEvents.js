@@ -0,0 +1,13 @@
+// In-process event bus for user state changes (location, battery, journey).
+// Routes publish here; features that react to live updates subscribe instead of
+// being threaded through every route factory.
+
+import { EventEmitter } from 'events';
+
+export const userEvents = new EventEmitter();
+userEvents.setMaxListeners(50);
+
+// Publish a change. `type` is 'location' | 'battery' | 'journey'.
+export const publishUserEvent = (type, user) => {
+  userEvents.emit('change', { type, userId: user._id.toString(), user });
+};
@@ -0,0 +1,67 @@
+// One-time code helpers for password reset and email verification
+
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { VerificationCode } from '../models/VerificationCode.js';
+
+const CODE_TTL_MINUTES = 15;
+const MAX_ATTEMPTS = 5;
+
+// Generate a 6-digit numeric code
+const generateCode = () => crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+// Issue a new code, invalidating any outstanding code for the same purpose
+export const issueVerificationCode = async (userId, purpose) => {
+  await VerificationCode.updateMany(
+    { userId, purpose, consumedAt: null },
+    { consumedAt: new Date() }
+  );
+
+  const code = generateCode();
+  const record = await VerificationCode.create({
+    userId,
+    purpose,
+    codeHash: await bcrypt.hash(code, 10),
+    expiresAt: new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000),
+    maxAttempts: MAX_ATTEMPTS,
+  });
+
+  return { code, expiresAt: record.expiresAt };
+};
+
+// Check a code. The attempt counter is incremented before comparing so parallel
+// guesses cannot exceed the limit; a correct code is consumed so it cannot be replayed.
+export const consumeVerificationCode = async (userId, purpose, code) => {
+  const record = await VerificationCode.findOneAndUpdate(
+    {
+      userId,
+      purpose,
+      consumedAt: null,
+      expiresAt: { $gt: new Date() },
+      $expr: { $lt: ['$attempts', '$maxAttempts'] },
+    },
+    { $inc: { attempts: 1 } },
+    { sort: { createdAt: -1 }, new: true }
+  );
+
+  if (!record) {
+    return { valid: false, error: 'Code is invalid or has expired. Please request a new code.' };
+  }
+
+  const matches = typeof code === 'string' && await bcrypt.compare(code, record.codeHash);
+  if (!matches) {
+    return { valid: false, error: 'Code is invalid or has expired. Please request a new code.' };
+  }
+
+  const consumed = await VerificationCode.updateOne(
+    { _id: record._id, consumedAt: null },
+    { consumedAt: new Date() }
+  );
+  if (consumed.modifiedCount === 0) {
+    return { valid: false, error: 'Code has already been used' };
+  }
+
+  return { valid: true };
+};
+
+export const verificationCodeTtlMinutes = CODE_TTL_MINUTES;
@@ -0,0 +1,59 @@
+// Script to approve (or revoke) a user's verified-volunteer status after checking their qualification
+// Usage: node verify-volunteer.js <accountId> [--revoke]
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { User } from './models/User.js';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+async function verifyVolunteer() {
+    const [accountId, flag] = process.argv.slice(2);
+    if (!accountId) {
+        console.log('Usage: node verify-volunteer.js <accountId> [--revoke]');
+        process.exit(1);
+    }
+    const revoke = flag === '--revoke';
+
+    try {
+        console.log('Connecting to MongoDB...');
+        await mongoose.connect(MONGODB_URI);
+        console.log('✅ Connected to MongoDB\n');
+
+        const user = await User.findOne({ accountId: accountId.toUpperCase() });
+        if (!user) {
+            console.log('❌ User not found!');
+            await mongoose.disconnect();
+            process.exit(1);
+        }
+
+        const { volunteer } = user.responderProfile;
+        console.log('👤 User:', user.name, `(${user.accountId})`);
+        console.log('📋 Current status:', volunteer.status);
+        console.log('🎓 Qualification:', volunteer.qualification || '(none given)');
+
+        if (revoke) {
+            volunteer.status = 'none';
+            volunteer.verifiedAt = undefined;
+        } else {
+            if (!volunteer.qualification) {
+                console.log('❌ The user has not requested verification yet');
+                await mongoose.disconnect();
+                process.exit(1);
+            }
+            volunteer.status = 'verified';
+            volunteer.verifiedAt = new Date();
+        }
+        await user.save();
+
+        console.log(revoke ? '\n✅ Volunteer status revoked' : '\n✅ User is now a verified volunteer');
+        await mongoose.disconnect();
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error:', error);
+        process.exit(1);
+    }
+}
+
+verifyVolunteer();